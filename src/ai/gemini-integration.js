@@ -6,7 +6,7 @@ const chalk = require('chalk');
 class GeminiIntegration {
   constructor() {
     this.isAvailable = false;
-    this.initializeGemini();
+    this.ready = this.initializeGemini();
   }
 
   async initializeGemini() {
@@ -15,13 +15,14 @@ class GeminiIntegration {
       const result = await this.executeCommand('which gemini');
       this.isAvailable = result.code === 0;
       
+      // Status banners go to stderr so machine-readable output (--json) stays clean
       if (this.isAvailable) {
-        console.log(chalk.green('✓ Gemini CLI found and ready'));
+        console.error(chalk.green('✓ Gemini CLI found and ready'));
       } else {
-        console.log(chalk.yellow('⚠️  Gemini CLI not found. Using fallback responses.'));
+        console.warn(chalk.yellow('⚠️  Gemini CLI not found. Using fallback responses.'));
       }
     } catch (error) {
-      console.log(chalk.yellow('⚠️  Gemini CLI not available. Using fallback responses.'));
+      console.warn(chalk.yellow('⚠️  Gemini CLI not available. Using fallback responses.'));
       this.isAvailable = false;
     }
   }
@@ -226,6 +227,197 @@ class GeminiIntegration {
     };
   }
 
+  async generateCommitMessage(stagedChanges, options = {}) {
+    await this.ready;
+
+    if (!this.isAvailable || options.useAI === false) {
+      return this.getFallbackCommitMessage(stagedChanges, options);
+    }
+
+    try {
+      const prompt = this.buildCommitMessagePrompt(stagedChanges, options);
+      const tempFile = `/tmp/gemini_commit_${Date.now()}.txt`;
+      await fs.writeFile(tempFile, prompt);
+
+      const result = await this.executeCommand(`gemini --prompt "$(cat "${tempFile}")"`, 45000);
+
+      try {
+        await fs.unlink(tempFile);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+
+      if (result.code === 0 && result.stdout.trim()) {
+        const parsed = this.parseCommitMessageResponse(result.stdout);
+        if (parsed.subject) {
+          return { ...parsed, source: 'gemini' };
+        }
+      }
+
+      console.warn(chalk.yellow('⚠️  Gemini could not generate a commit message, using heuristic summary'));
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️  Gemini API error, using heuristic summary'));
+    }
+
+    return this.getFallbackCommitMessage(stagedChanges, options);
+  }
+
+  buildCommitMessagePrompt(stagedChanges, options) {
+    const { diff, files } = stagedChanges;
+    const maxChars = (options.maxTokens || 1000) * 4; // Rough estimate of 4 characters per token
+
+    let prompt = `You are writing a Git commit message for the staged changes below. `;
+    prompt += `Reply with the commit message only: a subject line, a blank line, then an optional body. `;
+    prompt += `Keep the subject under 72 characters and in the imperative mood. Wrap the body at 72 characters `;
+    prompt += `and explain what changed and why, not how.\n`;
+
+    if (options.format === 'conventional') {
+      prompt += `The subject MUST follow Conventional Commits: type(scope): description, `;
+      prompt += `where type is one of feat, fix, docs, style, refactor, test, chore, perf, ci, build, revert.\n`;
+    }
+
+    if (options.previous) {
+      prompt += `Do not repeat this earlier suggestion: "${options.previous.subject}"\n`;
+    }
+
+    prompt += `\nChanged files:\n`;
+    files.forEach(file => {
+      prompt += `- ${file.status} ${file.path} (+${file.added} -${file.deleted})\n`;
+    });
+
+    let trimmedDiff = diff;
+    if (trimmedDiff.length > maxChars) {
+      trimmedDiff = trimmedDiff.substring(0, maxChars) + '\n... (diff truncated)';
+    }
+
+    prompt += `\nStaged diff:\n${trimmedDiff}\n`;
+    return prompt;
+  }
+
+  parseCommitMessageResponse(rawResponse) {
+    const lines = rawResponse
+      .replace(/```[a-z]*\n?/g, '')
+      .trim()
+      .split('\n');
+
+    const subject = (lines.shift() || '').replace(/^["'`]|["'`]$/g, '').trim();
+    const body = lines.join('\n').trim();
+
+    return { subject, body };
+  }
+
+  getFallbackCommitMessage(stagedChanges, options = {}) {
+    const { files } = stagedChanges;
+
+    if (files.length === 0) {
+      return { subject: 'Update repository', body: '', source: 'heuristic' };
+    }
+
+    const verbs = { A: 'add', D: 'remove', R: 'rename' };
+    const statuses = new Set(files.map(file => file.status));
+    const verb = statuses.size === 1 ? (verbs[files[0].status] || 'update') : 'update';
+
+    const scope = this.inferCommitScope(files.map(file => file.path));
+    const target = files.length === 1 ? path.basename(files[0].path) : `${files.length} files`;
+
+    let subject;
+    if (options.format === 'conventional') {
+      const type = this.inferCommitType(files);
+      subject = `${type}${scope ? `(${scope})` : ''}: ${verb} ${target}`;
+    } else {
+      const location = files.length > 1 && scope ? ` in ${scope}` : '';
+      subject = `${verb.charAt(0).toUpperCase()}${verb.slice(1)} ${target}${location}`;
+    }
+
+    const totalAdded = files.reduce((sum, file) => sum + file.added, 0);
+    const totalDeleted = files.reduce((sum, file) => sum + file.deleted, 0);
+
+    const bodyLines = files.slice(0, 15).map(file => `- ${file.path} (+${file.added} -${file.deleted})`);
+    if (files.length > 15) {
+      bodyLines.push(`- ... and ${files.length - 15} more files`);
+    }
+    bodyLines.push('', `${files.length} files changed, ${totalAdded} insertions(+), ${totalDeleted} deletions(-)`);
+
+    return {
+      subject,
+      body: files.length > 1 ? bodyLines.join('\n') : '',
+      source: 'heuristic'
+    };
+  }
+
+  inferCommitType(files) {
+    const paths = files.map(file => file.path);
+    const every = (pattern) => paths.every(filePath => pattern.test(filePath));
+
+    if (every(/(^|\/)(test|tests|__tests__|spec)\/|\.(test|spec)\.[jt]sx?$/)) return 'test';
+    if (every(/\.(md|rst|txt|adoc)$|(^|\/)docs?\//i)) return 'docs';
+    if (every(/^\.(github|gitlab|circleci)\/|(^|\/)(Jenkinsfile|\.travis\.yml|\.gitlab-ci\.yml)$/)) return 'ci';
+    if (every(/(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|Makefile)$/)) return 'build';
+    if (files.every(file => file.status === 'A')) return 'feat';
+
+    return 'chore';
+  }
+
+  inferCommitScope(paths) {
+    // Use the deepest directory shared by all files, skipping generic source roots
+    const directories = paths.map(filePath => path.dirname(filePath).split('/').filter(part => part !== '.'));
+    const shared = [];
+
+    for (let i = 0; i < directories[0].length; i++) {
+      const part = directories[0][i];
+      if (directories.every(parts => parts[i] === part)) {
+        shared.push(part);
+      } else {
+        break;
+      }
+    }
+
+    const meaningful = shared.filter(part => !['src', 'lib', 'app', 'packages'].includes(part));
+    return meaningful.length > 0 ? meaningful[meaningful.length - 1] : null;
+  }
+
+  async suggestCommitGroups(files, options = {}) {
+    await this.ready;
+
+    if (!this.isAvailable || options.useAI === false) {
+      return null;
+    }
+
+    try {
+      let prompt = `Group the following changed files into a small number of logical, independently `;
+      prompt += `reviewable commits. Reply with JSON only, in the form `;
+      prompt += `[{"name": "short description", "files": ["path", ...]}]. Every file must appear exactly once.\n\n`;
+      prompt += `Changed files:\n`;
+      files.forEach(file => {
+        prompt += `- ${file.status} ${file.path}\n`;
+      });
+
+      const tempFile = `/tmp/gemini_split_${Date.now()}.txt`;
+      await fs.writeFile(tempFile, prompt);
+
+      const result = await this.executeCommand(`gemini --prompt "$(cat "${tempFile}")"`, 45000);
+
+      try {
+        await fs.unlink(tempFile);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+
+      if (result.code === 0) {
+        const json = result.stdout.substring(result.stdout.indexOf('['), result.stdout.lastIndexOf(']') + 1);
+        const groups = JSON.parse(json);
+        if (Array.isArray(groups)) {
+          return groups;
+        }
+      }
+    } catch (error) {
+      // Fall through to the caller's non-AI grouping
+    }
+
+    console.warn(chalk.yellow('⚠️  Gemini could not suggest commit groups'));
+    return null;
+  }
+
   async getSmartSuggestions(repositoryState) {
     const suggestions = [];
     
@@ -25,7 +25,7 @@ class AskCommand {
           await this.execute(question, options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -22,7 +22,7 @@ class DoctorCommand {
           await this.execute(options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
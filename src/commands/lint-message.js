@@ -0,0 +1,107 @@
+const chalk = require('chalk');
+const fs = require('fs').promises;
+const path = require('path');
+const CommitLinter = require('../core/commit-linter');
+
+class LintMessageCommand {
+  constructor(program, gitRepoGetter, errorHandler) {
+    this.gitRepoGetter = gitRepoGetter;
+    this.errorHandler = errorHandler;
+    this.setupCommand(program);
+  }
+
+  get gitRepo() {
+    return this.gitRepoGetter();
+  }
+
+  setupCommand(program) {
+    program
+      .command('lint-message')
+      .description('Check a commit message against the team commit rules')
+      .argument('[file]', 'File containing the commit message (as passed to a commit-msg hook)')
+      .option('-m, --message <message>', 'Commit message to check')
+      .option('--install-hook', 'Install a commit-msg hook so plain "git commit" runs the same checks')
+      .action(async (file, options) => {
+        try {
+          await this.execute(file, options);
+        } catch (error) {
+          await this.errorHandler.handleError(error, this.gitRepo);
+          process.exit(error.exitCode || 1);
+        }
+      });
+  }
+
+  async execute(file, options = {}) {
+    if (options.installHook) {
+      return await this.installHook();
+    }
+
+    let message = options.message;
+    if (!message) {
+      if (!file) {
+        throw new Error('Provide a commit message file or use --message');
+      }
+      message = await fs.readFile(file, 'utf8');
+    }
+
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const linter = new CommitLinter(await config.getCommitLintRules());
+
+    // Message files written by git still contain comment lines
+    const report = linter.lint(message, { stripComments: Boolean(file) });
+
+    if (report.results.length === 0) {
+      console.log(chalk.gray('No commit message rules configured'));
+      return;
+    }
+
+    console.log(chalk.blue('📏 Commit message rules:'));
+    linter.formatReport(report).forEach(line => console.log(line));
+
+    if (!report.valid) {
+      console.log(chalk.red(`\n❌ Commit message failed ${report.errors.length} rule(s)`));
+      process.exit(1);
+    }
+
+    console.log(chalk.green('\n✓ Commit message passes all required rules'));
+  }
+
+  async installHook() {
+    if (!this.gitRepo || !this.gitRepo.isRepository()) {
+      throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
+    }
+
+    const hooksDir = path.resolve(
+      this.gitRepo.workingDir,
+      (await this.gitRepo.git.revparse(['--git-path', 'hooks'])).trim()
+    );
+    const hookPath = path.join(hooksDir, 'commit-msg');
+
+    try {
+      const existing = await fs.readFile(hookPath, 'utf8');
+      if (!existing.includes('easygit')) {
+        throw new Error(`A commit-msg hook already exists at ${hookPath}. Add "easygit lint-message \\"$1\\"" to it manually.`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const indexPath = path.resolve(__dirname, '..', 'index.js');
+    const script = [
+      '#!/bin/sh',
+      '# Installed by easygit: check commit messages against the team rules',
+      `exec "${process.execPath}" "${indexPath}" lint-message "$1"`,
+      ''
+    ].join('\n');
+
+    await fs.mkdir(hooksDir, { recursive: true });
+    await fs.writeFile(hookPath, script, { mode: 0o755 });
+
+    console.log(chalk.green(`✓ Installed commit-msg hook at ${hookPath}`));
+  }
+}
+
+module.exports = LintMessageCommand;
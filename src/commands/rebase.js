@@ -1,11 +1,12 @@
 const chalk = require('chalk');
-const inquirer = require('inquirer');
 const TUIManager = require('../ui/tui-manager');
+const PromptService = require('../core/prompt-service');
 
 class RebaseCommand {
   constructor(program, gitRepoGetter, errorHandler) {
     this.gitRepoGetter = gitRepoGetter;
     this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
     this.tuiManager = new TUIManager();
     this.setupCommand(program);
   }
@@ -29,7 +30,7 @@ class RebaseCommand {
           await this.execute(target, options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -83,11 +84,14 @@ class RebaseCommand {
       throw new Error('No available branches to rebase onto');
     }
 
+    await this.prompts.requireInteraction('rebase.target', 'Choosing a branch to rebase onto');
+
     try {
-      const selectedBranch = await this.tuiManager.showBranchSelector(
-        targetBranches, 
-        'Select target branch for rebase'
-      );
+      const selectedBranch = await this.tuiManager.showBranchSelector(targetBranches, {
+        title: 'Select target branch for rebase',
+        getPreview: async (branch) => (await this.gitRepo.getCommitsInRange(['-10', branch.name]))
+          .map(commit => `${chalk.yellow(commit.hash.substring(0, 8))} ${commit.subject}`)
+      });
       return selectedBranch.name;
     } catch (error) {
       throw new Error('Rebase cancelled by user');
@@ -107,9 +111,17 @@ class RebaseCommand {
 
     console.log(chalk.gray(`Found ${commits.length} commits to rebase onto ${target}`));
 
+    const plan = this.arrangeAutosquash(commits);
+    const arranged = plan.filter(commit => commit.action !== 'pick').length;
+    if (arranged > 0) {
+      console.log(chalk.blue(`🧩 Moved ${arranged} fixup!/squash! commit(s) next to their targets`));
+    }
+
+    await this.prompts.requireInteraction('rebase.plan', 'Editing the rebase plan');
+
     try {
       // Show interactive rebase UI
-      const rebaseActions = await this.tuiManager.showInteractiveRebase(commits);
+      const rebaseActions = await this.tuiManager.showInteractiveRebase(plan);
       
       // Execute the rebase
       await this.executeInteractiveRebase(target, rebaseActions);
@@ -135,7 +147,7 @@ class RebaseCommand {
       
       rebaseOptions.push(target);
       
-      await this.gitRepo.git.rebase(rebaseOptions);
+      await this.gitRepo.rebase(rebaseOptions, await this.getSigningConfig());
       
       console.log(chalk.green('✓ Rebase completed successfully'));
       
@@ -162,17 +174,51 @@ class RebaseCommand {
     }
   }
 
+  // Orders commits the way "git rebase --autosquash" would: each fixup!/squash!
+  // commit moves directly after the commit it targets and gets the matching action
+  arrangeAutosquash(commits) {
+    const plan = commits.map(commit => ({ ...commit, action: 'pick', followers: [] }));
+    const moved = new Set();
+
+    for (const [index, commit] of plan.entries()) {
+      const match = commit.message.match(/^(fixup|squash)! (.+)$/);
+      if (!match) {
+        continue;
+      }
+
+      // "fixup! fixup! subject" still targets the original commit
+      const reference = match[2].replace(/^((fixup|squash)! )+/, '');
+      const candidates = plan.slice(0, index).filter(candidate => !moved.has(candidate));
+      const target = candidates.find(candidate => candidate.message === reference) ||
+        candidates.find(candidate => candidate.hash.startsWith(reference)) ||
+        candidates.find(candidate => candidate.message.startsWith(reference));
+
+      if (target) {
+        commit.action = match[1];
+        target.followers.push(commit);
+        moved.add(commit);
+      }
+    }
+
+    const ordered = [];
+    const place = (commit) => {
+      ordered.push(commit);
+      commit.followers.forEach(place);
+    };
+    plan.filter(commit => !moved.has(commit)).forEach(place);
+
+    return ordered.map(({ followers, ...commit }) => commit);
+  }
+
   async executeInteractiveRebase(target, actions) {
     console.log(chalk.blue('⚙️  Executing rebase plan...'));
     
     // Create rebase todo file content
-    const todoContent = actions.map(action => 
-      `${action.action} ${action.commit.hash} ${action.commit.message}`
-    ).join('\\n');
+    const todoLines = actions.map(action => `${action.action} ${action.hash} ${action.message}`);
     
     try {
       // Start interactive rebase with custom todo
-      await this.gitRepo.git.rebase(['-i', target]);
+      await this.gitRepo.rebaseWithTodo([target], todoLines, await this.getSigningConfig());
       
       console.log(chalk.green('✓ Interactive rebase completed'));
       
@@ -202,13 +248,13 @@ class RebaseCommand {
     }
     
     console.log(chalk.cyan('Resolution steps:'));
-    console.log(chalk.gray('1. Resolve conflicts in the listed files'));
+    console.log(chalk.gray('1. Resolve conflicts: easygit resolve (or edit the listed files)'));
     console.log(chalk.gray('2. Stage resolved files: git add <file>'));
     console.log(chalk.gray('3. Continue rebase: easygit rebase --continue'));
     console.log(chalk.gray('4. Or abort rebase: easygit rebase --abort'));
     console.log('');
     
-    const { action } = await inquirer.prompt([{
+    const { action } = await this.prompts.prompt('rebase.conflicts', [{
       type: 'list',
       name: 'action',
       message: 'What would you like to do?',
@@ -251,7 +297,7 @@ class RebaseCommand {
     console.log('');
     
     if (conflictedFiles.length > 0) {
-      const { openFile } = await inquirer.prompt([{
+      const { openFile } = await this.prompts.prompt('rebase.openConflictFile', [{
         type: 'confirm',
         name: 'openFile',
         message: 'Would you like to open the first conflicted file?',
@@ -279,7 +325,7 @@ class RebaseCommand {
     console.log(chalk.blue('▶️  Continuing rebase...'));
     
     try {
-      await this.gitRepo.git.rebase(['--continue']);
+      await this.gitRepo.rebase(['--continue'], await this.getSigningConfig());
       console.log(chalk.green('✓ Rebase continued successfully'));
       
     } catch (error) {
@@ -297,12 +343,12 @@ class RebaseCommand {
   async abortRebase() {
     console.log(chalk.yellow('🛑 Aborting rebase...'));
     
-    const { confirmed } = await inquirer.prompt([{
+    const { confirmed } = await this.prompts.prompt('rebase.abort', [{
       type: 'confirm',
       name: 'confirmed',
       message: 'Are you sure you want to abort the rebase?',
       default: false
-    }]);
+    }], { destructive: true });
     
     if (!confirmed) {
       console.log(chalk.gray('Rebase abort cancelled.'));
@@ -322,7 +368,7 @@ class RebaseCommand {
     console.log(chalk.yellow('⏭️  Skipping current commit...'));
     
     try {
-      await this.gitRepo.git.rebase(['--skip']);
+      await this.gitRepo.rebase(['--skip'], await this.getSigningConfig());
       console.log(chalk.green('✓ Commit skipped, continuing rebase...'));
       
     } catch (error) {
@@ -334,6 +380,12 @@ class RebaseCommand {
     }
   }
 
+  async getSigningConfig() {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    return await config.getSigningConfig();
+  }
+
   async isRebaseInProgress() {
     try {
       const fs = require('fs').promises;
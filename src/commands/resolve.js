@@ -0,0 +1,459 @@
+const chalk = require('chalk');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConflictParser = require('../core/conflict-parser');
+const PromptService = require('../core/prompt-service');
+const EditorLauncher = require('../core/editor-launcher');
+
+const CONFLICT_KINDS = {
+  UU: 'both modified',
+  AA: 'both added',
+  DD: 'both deleted',
+  UD: 'deleted by them',
+  DU: 'deleted by us',
+  AU: 'added by us',
+  UA: 'added by them'
+};
+
+class ResolveCommand {
+  constructor(program, gitRepoGetter, errorHandler) {
+    this.gitRepoGetter = gitRepoGetter;
+    this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
+    this.conflictParser = new ConflictParser();
+    this.setupCommand(program);
+  }
+
+  get gitRepo() {
+    return this.gitRepoGetter();
+  }
+
+  setupCommand(program) {
+    program
+      .command('resolve')
+      .description('Interactively resolve merge and rebase conflicts')
+      .argument('[files...]', 'Conflicted files to resolve (defaults to all)')
+      .action(async (files, options) => {
+        try {
+          await this.execute(files, options);
+        } catch (error) {
+          await this.errorHandler.handleError(error, this.gitRepo);
+          process.exit(error.exitCode || 1);
+        }
+      });
+  }
+
+  async execute(files = [], options = {}) {
+    if (!this.gitRepo || !this.gitRepo.isRepository()) {
+      throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
+    }
+
+    const status = await this.gitRepo.getStatus();
+    const operation = await this.gitRepo.getOperationInProgress();
+
+    if (status.conflicted.length === 0) {
+      console.log(chalk.green('✓ No conflicted files'));
+      if (operation) {
+        await this.finishOperation(operation, options);
+      }
+      return;
+    }
+
+    const targets = files.length > 0
+      ? status.conflicted.filter(file => files.includes(file))
+      : status.conflicted;
+
+    if (targets.length === 0) {
+      throw new Error(`None of the given files are conflicted. Conflicted files: ${status.conflicted.join(', ')}`);
+    }
+
+    const sides = this.describeSides(operation);
+    const renames = await this.detectRenames(operation);
+
+    console.log(chalk.blue(`🔧 Resolving ${targets.length} conflicted file(s)${operation ? ` (${operation} in progress)` : ''}`));
+    console.log(chalk.gray(`   ours = ${sides.ours}, theirs = ${sides.theirs}\n`));
+
+    targets.forEach(file => {
+      const kind = this.getConflictKind(status, file);
+      console.log(`   ${chalk.red('✗')} ${file} ${chalk.gray(`(${CONFLICT_KINDS[kind] || kind})`)}`);
+    });
+
+    for (const file of targets) {
+      const kind = this.getConflictKind(status, file);
+      console.log(chalk.bold(`\n📄 ${file} ${chalk.gray(`(${CONFLICT_KINDS[kind] || kind})`)}`));
+      this.printRenameHints(file, renames, sides);
+
+      const result = await this.resolveFile(file, kind, sides);
+      if (result === 'quit') {
+        break;
+      }
+    }
+
+    const remaining = (await this.gitRepo.getStatus()).conflicted;
+    if (remaining.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  ${remaining.length} file(s) still conflicted:`));
+      remaining.forEach(file => console.log(chalk.yellow(`   • ${file}`)));
+      console.log(chalk.cyan('💡 Run "easygit resolve" again when you are ready'));
+      return;
+    }
+
+    console.log(chalk.green('\n✓ All conflicts resolved'));
+    if (operation) {
+      await this.finishOperation(operation, options);
+    }
+  }
+
+  getConflictKind(status, file) {
+    const entry = status.files.find(candidate => candidate.path === file);
+    return entry ? `${entry.index}${entry.working_dir}` : 'UU';
+  }
+
+  // During a rebase "ours" is the branch being rebased onto and "theirs" is your commit
+  describeSides(operation) {
+    if (operation === 'rebase') {
+      return { ours: 'upstream (HEAD)', theirs: 'your commit being replayed' };
+    }
+    if (operation === 'cherry-pick' || operation === 'revert') {
+      return { ours: 'current branch (HEAD)', theirs: `the commit being ${operation === 'revert' ? 'reverted' : 'picked'}` };
+    }
+    return { ours: 'current branch (HEAD)', theirs: 'incoming branch (MERGE_HEAD)' };
+  }
+
+  async detectRenames(operation) {
+    const otherRef = {
+      merge: 'MERGE_HEAD',
+      rebase: 'REBASE_HEAD',
+      'cherry-pick': 'CHERRY_PICK_HEAD',
+      revert: 'REVERT_HEAD'
+    }[operation];
+
+    if (!otherRef) {
+      return { ours: {}, theirs: {} };
+    }
+
+    try {
+      const base = (await this.gitRepo.git.raw(['merge-base', 'HEAD', otherRef])).trim();
+      return {
+        ours: await this.gitRepo.getRenames(base, 'HEAD'),
+        theirs: await this.gitRepo.getRenames(base, otherRef)
+      };
+    } catch (error) {
+      return { ours: {}, theirs: {} };
+    }
+  }
+
+  printRenameHints(file, renames, sides) {
+    for (const side of ['ours', 'theirs']) {
+      for (const [from, to] of Object.entries(renames[side])) {
+        if (to === file) {
+          console.log(chalk.cyan(`   ↪ renamed from ${from} in ${sides[side]}`));
+        } else if (from === file) {
+          console.log(chalk.cyan(`   ↪ renamed to ${to} in ${sides[side]}`));
+        }
+      }
+    }
+  }
+
+  async resolveFile(file, kind, sides) {
+    switch (kind) {
+      case 'DD':
+        return await this.resolveBothDeleted(file);
+      case 'UD':
+      case 'DU':
+        return await this.resolveDeleteModify(file, kind === 'UD' ? 'ours' : 'theirs', sides);
+      case 'AU':
+      case 'UA':
+        return await this.resolveOneSided(file, kind === 'AU' ? 'ours' : 'theirs', sides);
+      default:
+        return await this.resolveContent(file, sides);
+    }
+  }
+
+  async resolveBothDeleted(file) {
+    const { remove } = await this.prompts.prompt('resolve.bothDeleted', [{
+      type: 'confirm',
+      name: 'remove',
+      message: `Both sides removed or renamed ${file}. Remove it?`,
+      default: true
+    }]);
+
+    if (!remove) {
+      return 'skipped';
+    }
+
+    await this.gitRepo.removeFiles([file]);
+    console.log(chalk.green(`✓ Removed ${file}`));
+    return 'resolved';
+  }
+
+  async resolveDeleteModify(file, modifiedSide, sides) {
+    const deletedSide = modifiedSide === 'ours' ? 'theirs' : 'ours';
+    console.log(chalk.gray(`   Modified in ${sides[modifiedSide]}, deleted in ${sides[deletedSide]}`));
+
+    return await this.chooseKeepOrDelete(file, modifiedSide, 'resolve.deleteModify', {
+      keep: `Keep the modified version from ${modifiedSide}`,
+      delete: 'Accept the deletion'
+    });
+  }
+
+  async resolveOneSided(file, side, sides) {
+    console.log(chalk.gray(`   Only exists in ${sides[side]} (added there, or the other side renamed or removed it)`));
+
+    return await this.chooseKeepOrDelete(file, side, 'resolve.oneSided', {
+      keep: `Keep the file from ${side}`,
+      delete: 'Remove the file'
+    });
+  }
+
+  async chooseKeepOrDelete(file, side, promptId, labels) {
+    const { action } = await this.prompts.prompt(promptId, [{
+      type: 'list',
+      name: 'action',
+      message: `How should ${file} be resolved?`,
+      choices: [
+        { name: labels.keep, value: 'keep' },
+        { name: labels.delete, value: 'delete' },
+        { name: 'Skip this file', value: 'skip' },
+        { name: 'Stop resolving', value: 'quit' }
+      ]
+    }]);
+
+    switch (action) {
+      case 'keep':
+        await this.gitRepo.checkoutConflictSide(side, [file]);
+        await this.gitRepo.addFiles([file]);
+        console.log(chalk.green(`✓ Kept ${file}`));
+        return 'resolved';
+      case 'delete':
+        await this.gitRepo.removeFiles([file]);
+        console.log(chalk.green(`✓ Removed ${file}`));
+        return 'resolved';
+      case 'quit':
+        return 'quit';
+      default:
+        return 'skipped';
+    }
+  }
+
+  async resolveContent(file, sides) {
+    const filePath = path.join(this.gitRepo.workingDir, file);
+    const content = await fs.readFile(filePath, 'utf8');
+
+    // Binary files and files already cleaned up by hand have no markers to walk through
+    if (!this.conflictParser.hasMarkers(content)) {
+      return await this.resolveWithoutMarkers(file);
+    }
+
+    const segments = this.conflictParser.parse(content);
+    await this.attachBaseSections(file, segments);
+
+    const conflicts = this.conflictParser.getConflicts(segments);
+    console.log(chalk.gray(`   ${conflicts.length} conflict(s)`));
+
+    for (const [index, conflict] of conflicts.entries()) {
+      this.printConflict(conflict, index + 1, conflicts.length, sides);
+
+      const action = await this.chooseHunkAction(conflict);
+      if (action === 'quit') {
+        break;
+      }
+      if (action === 'skip') {
+        continue;
+      }
+
+      conflict.resolution = action === 'edit'
+        ? await this.editConflict(conflict)
+        : this.applyHunkAction(conflict, action);
+    }
+
+    const updated = this.conflictParser.render(segments, this.conflictParser.getLineEnding(content));
+    if (updated !== content) {
+      await fs.writeFile(filePath, updated);
+    }
+
+    if (this.conflictParser.hasMarkers(updated)) {
+      const left = this.conflictParser.getConflicts(this.conflictParser.parse(updated)).length;
+      console.log(chalk.yellow(`   ${left} conflict(s) left in ${file}; it stays unresolved`));
+      return 'skipped';
+    }
+
+    await this.gitRepo.addFiles([file]);
+    console.log(chalk.green(`✓ Resolved ${file}`));
+    return 'resolved';
+  }
+
+  async attachBaseSections(file, segments) {
+    const conflicts = this.conflictParser.getConflicts(segments);
+    if (conflicts.every(conflict => conflict.base)) {
+      return;
+    }
+
+    try {
+      const diff3 = await this.gitRepo.mergeStagesWithBase(file, { ours: 'ours', base: 'base', theirs: 'theirs' });
+      if (diff3) {
+        this.conflictParser.attachBase(segments, this.conflictParser.parse(diff3));
+      }
+    } catch (error) {
+      // Without a base the conflict is still resolvable from ours and theirs
+    }
+  }
+
+  async resolveWithoutMarkers(file) {
+    const { action } = await this.prompts.prompt('resolve.noMarkers', [{
+      type: 'list',
+      name: 'action',
+      message: `${file} has no conflict markers (binary, or already edited). How should it be resolved?`,
+      choices: [
+        { name: 'Mark the current contents as resolved', value: 'mark' },
+        { name: 'Take ours', value: 'ours' },
+        { name: 'Take theirs', value: 'theirs' },
+        { name: 'Skip this file', value: 'skip' },
+        { name: 'Stop resolving', value: 'quit' }
+      ]
+    }]);
+
+    if (action === 'skip' || action === 'quit') {
+      return action === 'quit' ? 'quit' : 'skipped';
+    }
+
+    if (action !== 'mark') {
+      await this.gitRepo.checkoutConflictSide(action, [file]);
+    }
+    await this.gitRepo.addFiles([file]);
+    console.log(chalk.green(`✓ Resolved ${file}`));
+    return 'resolved';
+  }
+
+  printConflict(conflict, number, total, sides) {
+    const printSide = (title, lines, color) => {
+      console.log(color(`   ── ${title} ${'─'.repeat(Math.max(0, 50 - title.length))}`));
+      if (lines.length === 0) {
+        console.log(chalk.gray('   (empty)'));
+      }
+      lines.forEach(line => console.log(color(`   ${line}`)));
+    };
+
+    console.log(chalk.gray(`\n   Conflict ${number}/${total}`));
+    printSide(`ours: ${sides.ours}`, conflict.ours, chalk.green);
+    if (conflict.base) {
+      printSide('base', conflict.base, chalk.gray);
+    } else {
+      console.log(chalk.gray('   ── base: not available'));
+    }
+    printSide(`theirs: ${sides.theirs}`, conflict.theirs, chalk.blue);
+  }
+
+  async chooseHunkAction(conflict) {
+    const { action } = await this.prompts.prompt('resolve.hunk', [{
+      type: 'list',
+      name: 'action',
+      message: 'Resolve this conflict with:',
+      choices: [
+        { name: 'Ours', value: 'ours' },
+        { name: 'Theirs', value: 'theirs' },
+        { name: 'Both, ours first', value: 'ours-theirs' },
+        { name: 'Both, theirs first', value: 'theirs-ours' },
+        ...(conflict.base ? [{ name: 'Base (neither change)', value: 'base' }] : []),
+        { name: 'Edit by hand', value: 'edit' },
+        { name: 'Skip (leave the markers)', value: 'skip' },
+        { name: 'Stop working on this file', value: 'quit' }
+      ],
+      pageSize: 10
+    }]);
+
+    return action;
+  }
+
+  applyHunkAction(conflict, action) {
+    switch (action) {
+      case 'ours':
+        return conflict.ours;
+      case 'theirs':
+        return conflict.theirs;
+      case 'ours-theirs':
+        return [...conflict.ours, ...conflict.theirs];
+      case 'theirs-ours':
+        return [...conflict.theirs, ...conflict.ours];
+      case 'base':
+        return conflict.base;
+      default:
+        return null;
+    }
+  }
+
+  // Opens the conflict (with base, when known) in the editor; whatever is saved
+  // replaces it. Leaving markers in place keeps the conflict unresolved.
+  async editConflict(conflict) {
+    const tempFile = path.join(os.tmpdir(), `easygit-conflict-${process.pid}-${Date.now()}`);
+    const lines = [`<<<<<<< ours`, ...conflict.ours];
+    if (conflict.base) {
+      lines.push('||||||| base', ...conflict.base);
+    }
+    lines.push('=======', ...conflict.theirs, '>>>>>>> theirs');
+
+    await fs.writeFile(tempFile, lines.join('\n') + '\n');
+
+    try {
+      await new EditorLauncher(this.gitRepo.workingDir).open(tempFile);
+      const edited = (await fs.readFile(tempFile, 'utf8')).replace(/\r?\n$/, '');
+
+      if (this.conflictParser.hasMarkers(edited)) {
+        console.log(chalk.yellow('   Conflict markers are still present; leaving this conflict unresolved'));
+        return null;
+      }
+      return edited === '' ? [] : edited.split(/\r?\n/);
+    } catch (error) {
+      console.log(chalk.red(`❌ Edit failed: ${error.message}`));
+      return null;
+    } finally {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  async finishOperation(operation, options) {
+    if (operation === 'cherry-pick' || operation === 'revert') {
+      console.log(chalk.cyan(`💡 Run "git ${operation} --continue" to finish the ${operation}`));
+      return;
+    }
+
+    const { proceed } = await this.prompts.prompt('resolve.continue', [{
+      type: 'confirm',
+      name: 'proceed',
+      message: operation === 'merge' ? 'Commit the merge now?' : 'Continue the rebase now?',
+      default: true
+    }]);
+
+    if (!proceed) {
+      console.log(chalk.cyan(`💡 Finish later with ${operation === 'merge' ? '"easygit save"' : '"easygit rebase --continue"'}`));
+      return;
+    }
+
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const signing = await config.getSigningConfig();
+
+    if (operation === 'merge') {
+      // Keep the merge message git prepared in MERGE_MSG
+      const { git, args } = this.gitRepo.withSigning(signing);
+      await git.raw(['commit', '--no-edit', ...args]);
+      console.log(chalk.green('✓ Merge committed'));
+      return;
+    }
+
+    try {
+      await this.gitRepo.rebase(['--continue'], signing, { editor: 'true' });
+      console.log(chalk.green('✓ Rebase continued successfully'));
+    } catch (error) {
+      if (!/conflict/i.test(error.message)) {
+        throw error;
+      }
+
+      // The next commit in the rebase conflicts too; keep going
+      console.log(chalk.yellow('\n⚠️  The rebase stopped on another conflict'));
+      await this.execute([], options);
+    }
+  }
+}
+
+module.exports = ResolveCommand;
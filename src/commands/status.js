@@ -1,4 +1,7 @@
 const chalk = require('chalk');
+const TriangularWorkflow = require('../core/triangular-workflow');
+const SubmoduleManager = require('../core/submodule-manager');
+const ParkedChanges = require('../core/parked-changes');
 
 class StatusCommand {
   constructor(program, gitRepoGetter, errorHandler) {
@@ -24,7 +27,7 @@ class StatusCommand {
           await this.execute(options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -49,26 +52,36 @@ class StatusCommand {
 
   async gatherStatusInformation() {
     try {
-      const [gitStatus, branches, remotes, stashList, lastCommit] = await Promise.all([
+      const [gitStatus, branches, remotes, stashList, lastCommit, lastCommitSignature] = await Promise.all([
         this.gitRepo.getStatus(),
         this.gitRepo.getBranches(),
         this.gitRepo.getRemotes(),
         this.gitRepo.getStashList(),
-        this.gitRepo.getLastCommit().catch(() => null)
+        this.gitRepo.getLastCommit().catch(() => null),
+        this.gitRepo.getCommitSignature().catch(() => null)
       ]);
 
       // Get repository health information
       const isMonorepo = await this.gitRepo.isMonorepo();
       const repoStats = await this.gitRepo.gatherRepoStats().catch(() => null);
 
+      // Forks relate to two remotes: upstream to integrate from, origin to push to
+      const forkWorkflow = await new TriangularWorkflow(this.gitRepo).describe(gitStatus.current).catch(() => null);
+      const submodules = await new SubmoduleManager(this.gitRepo).getStatus().catch(() => []);
+      const parked = await new ParkedChanges(this.gitRepo).list().catch(() => []);
+
       return {
         git: gitStatus,
         branches,
         remotes,
         stashList,
         lastCommit,
+        lastCommitSignature,
         isMonorepo,
         repoStats,
+        forkWorkflow,
+        submodules,
+        parked,
         workingDir: this.gitRepo.workingDir
       };
     } catch (error) {
@@ -88,6 +101,11 @@ class StatusCommand {
       console.log(`Branch is ${aheadBehind.join(' ')}`);
     }
 
+    if (status.forkWorkflow && status.forkWorkflow.base) {
+      const { base } = status.forkWorkflow;
+      console.log(`${base.ref}: ${chalk.green(`↑${base.ahead}`)} ${chalk.red(`↓${base.behind}`)}`);
+    }
+
     // Show file changes in short format
     const allChanges = [
       ...git.staged.map(f => chalk.green('A ') + f),
@@ -104,19 +122,28 @@ class StatusCommand {
       console.log(chalk.green('\nWorking tree clean'));
     }
 
+    const staleSubmodules = status.submodules.filter(submodule => !submodule.initialized || submodule.checkedOut !== submodule.recorded);
+    if (staleSubmodules.length > 0) {
+      console.log(chalk.yellow(`\nSubmodules out of date: ${staleSubmodules.map(submodule => submodule.path).join(', ')}`));
+    }
+
     if (status.stashList.total > 0) {
       console.log(chalk.cyan(`\nStash: ${status.stashList.total} entries`));
     }
+
+    if (status.parked.length > 0) {
+      console.log(chalk.cyan(`Parked: ${status.parked.map(entry => entry.branch).join(', ')}`));
+    }
   }
 
   async showDetailedStatus(status, options) {
-    const { git, branches, remotes, stashList, lastCommit, isMonorepo, repoStats } = status;
+    const { git, branches, remotes, stashList, lastCommit, lastCommitSignature, isMonorepo, repoStats } = status;
 
     // Header with repository information
     console.log(chalk.bold.blue('📊 Repository Status\n'));
     
     // Branch information
-    await this.showBranchStatus(git, branches, options);
+    await this.showBranchStatus(git, branches, options, status.forkWorkflow);
     
     // Remote information
     if (remotes.length > 0) {
@@ -129,9 +156,13 @@ class StatusCommand {
     // Staging area
     await this.showStagingAreaStatus(git);
 
+    if (status.submodules.length > 0) {
+      await this.showSubmoduleStatus(status.submodules);
+    }
+
     // Last commit information
     if (lastCommit) {
-      await this.showLastCommitInfo(lastCommit);
+      await this.showLastCommitInfo(lastCommit, lastCommitSignature);
     }
 
     // Stash information
@@ -139,6 +170,10 @@ class StatusCommand {
       await this.showStashInfo(stashList);
     }
 
+    if (status.parked.length > 0) {
+      await this.showParkedChanges(status.parked);
+    }
+
     // Repository health and performance
     if (options.verbose) {
       await this.showRepositoryHealth(isMonorepo, repoStats);
@@ -148,7 +183,7 @@ class StatusCommand {
     await this.showSuggestions(git, status);
   }
 
-  async showBranchStatus(git, branches, options) {
+  async showBranchStatus(git, branches, options, forkWorkflow = null) {
     console.log(chalk.yellow('🌿 Branch Information:'));
     
     const currentBranch = git.current || 'HEAD (detached)';
@@ -169,6 +204,20 @@ class StatusCommand {
       console.log(`   Tracking: ${chalk.yellow('no upstream branch')}`);
     }
 
+    if (forkWorkflow) {
+      const describeCounts = ({ ahead, behind }) => {
+        const parts = [];
+        if (ahead > 0) parts.push(chalk.green(`${ahead} ahead`));
+        if (behind > 0) parts.push(chalk.red(`${behind} behind`));
+        return parts.length > 0 ? parts.join(', ') : chalk.green('up to date');
+      };
+
+      if (forkWorkflow.base) {
+        console.log(`   Upstream: ${forkWorkflow.base.ref} (${describeCounts(forkWorkflow.base)})`);
+      }
+      console.log(`   Fork: ${forkWorkflow.fork.ref} (${forkWorkflow.fork.exists ? describeCounts(forkWorkflow.fork) : chalk.yellow('not pushed yet')})`);
+    }
+
     if (options.branchInfo) {
       const localBranches = branches.all.filter(b => !b.startsWith('remotes/'));
       const remoteBranches = branches.all.filter(b => b.startsWith('remotes/'));
@@ -248,6 +297,32 @@ class StatusCommand {
     console.log('');
   }
 
+  async showSubmoduleStatus(submodules) {
+    console.log(chalk.yellow('📦 Submodules:'));
+
+    submodules.forEach(submodule => {
+      if (!submodule.initialized) {
+        console.log(`   ${chalk.red('○')} ${submodule.path} ${chalk.gray(`not initialized (recorded ${submodule.recorded.substring(0, 8)})`)}`);
+        return;
+      }
+
+      const inSync = submodule.checkedOut === submodule.recorded;
+      const details = [inSync
+        ? chalk.gray(`at ${submodule.recorded.substring(0, 8)}`)
+        : chalk.red(`checked out ${submodule.checkedOut.substring(0, 8)}, recorded ${submodule.recorded.substring(0, 8)}`)];
+      if (submodule.dirty) details.push(chalk.yellow('local changes'));
+      if (submodule.ahead > 0) details.push(chalk.green(`${submodule.ahead} unpushed commit(s)`));
+
+      console.log(`   ${inSync && !submodule.dirty ? chalk.green('●') : chalk.yellow('●')} ${submodule.path} ${details.join(', ')}`);
+    });
+
+    if (submodules.some(submodule => !submodule.initialized || submodule.checkedOut !== submodule.recorded)) {
+      console.log(chalk.cyan('   💡 Run "git submodule update --init --recursive" to check out the recorded commits'));
+    }
+
+    console.log('');
+  }
+
   async showStagingAreaStatus(git) {
     if (git.staged.length === 0) {
       return;
@@ -265,14 +340,34 @@ class StatusCommand {
     console.log('');
   }
 
-  async showLastCommitInfo(lastCommit) {
+  async showLastCommitInfo(lastCommit, signature) {
     console.log(chalk.yellow('📝 Last Commit:'));
     console.log(`   ${lastCommit.hash.substring(0, 8)} ${lastCommit.message}`);
     console.log(`   Author: ${lastCommit.author_name} <${lastCommit.author_email}>`);
     console.log(`   Date: ${new Date(lastCommit.date).toLocaleString()}`);
+    if (signature) {
+      console.log(`   Signature: ${this.formatSignature(signature)}`);
+    }
     console.log('');
   }
 
+  formatSignature(signature) {
+    // Codes from git's %G? placeholder
+    const states = {
+      G: chalk.green('✓ good'),
+      U: chalk.green('✓ good (unknown validity)'),
+      X: chalk.yellow('expired signature'),
+      Y: chalk.yellow('signed with expired key'),
+      R: chalk.red('signed with revoked key'),
+      B: chalk.red('✗ bad signature'),
+      E: chalk.yellow('cannot be checked (missing key)'),
+      N: chalk.gray('unsigned')
+    };
+
+    const state = states[signature.code] || chalk.gray('unknown');
+    return signature.signer ? `${state} ${chalk.gray(`by ${signature.signer}`)}` : state;
+  }
+
   async showStashInfo(stashList) {
     console.log(chalk.cyan(`💾 Stash (${stashList.total} entries):`));
     
@@ -287,6 +382,17 @@ class StatusCommand {
     console.log('');
   }
 
+  async showParkedChanges(parked) {
+    console.log(chalk.cyan(`🅿️  Parked Changes (${parked.length}):`));
+
+    parked.forEach(entry => {
+      console.log(`   ${entry.branch} ${chalk.gray(`${entry.files} file(s), parked ${entry.parkedAt}`)}`);
+    });
+    console.log(chalk.gray('   Restored when you switch to the branch; "easygit switch --parked" lists them'));
+
+    console.log('');
+  }
+
   async showRepositoryHealth(isMonorepo, repoStats) {
     console.log(chalk.yellow('🏥 Repository Health:'));
     
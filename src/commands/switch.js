@@ -1,11 +1,20 @@
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const fuzzy = require('fuzzy');
+const simpleGit = require('simple-git');
+const PromptService = require('../core/prompt-service');
+const SubmoduleManager = require('../core/submodule-manager');
+const WorktreeManager = require('../core/worktree-manager');
+const ParkedChanges = require('../core/parked-changes');
+const BranchHistory = require('../core/branch-history');
+const BranchNamer = require('../core/branch-namer');
+const TUIManager = require('../ui/tui-manager');
 
 class SwitchCommand {
   constructor(program, gitRepoGetter, errorHandler) {
     this.gitRepoGetter = gitRepoGetter;
     this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
     this.setupCommand(program);
   }
 
@@ -17,19 +26,25 @@ class SwitchCommand {
     program
       .command('switch')
       .description('Intelligently switch branches with fuzzy finding and safety checks')
-      .argument('[branch]', 'Branch name to switch to (supports fuzzy matching)')
+      .argument('[branch]', 'Branch name to switch to (supports fuzzy matching, "-" and @{-N} for previous branches)')
       .option('-c, --create', 'Create new branch if it doesn\'t exist')
       .option('-f, --force', 'Force switch even with uncommitted changes')
       .option('-r, --remote', 'Include remote branches in search')
       .option('--track <remote>', 'Set up tracking with specified remote')
       .option('--no-stash', 'Don\'t automatically stash uncommitted changes')
+      .option('--park', 'Leave uncommitted changes parked on the current branch until you switch back')
+      .option('--carry', 'Bring uncommitted changes along to the target branch')
+      .option('--recent', 'List the branches you visited in this repository, most recent first')
+      .option('--parked', 'List branches with parked changes')
+      .option('--discard-parked <branch>', 'Delete the changes parked on a branch')
       .option('--fuzzy', 'Use interactive fuzzy finder (default if no branch specified)')
+      .option('-w, --worktree', 'Check the branch out in its own worktree instead of switching this one')
       .action(async (branch, options) => {
         try {
           await this.execute(branch, options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -39,12 +54,26 @@ class SwitchCommand {
       throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
     }
 
+    if (options.recent) {
+      return await this.listRecent();
+    }
+    if (options.parked) {
+      return await this.listParked();
+    }
+    if (options.discardParked) {
+      return await this.discardParked(options.discardParked);
+    }
+
     console.log(chalk.blue('🔍 Analyzing branch state...'));
 
     // Get current state
     const currentBranch = await this.gitRepo.getCurrentBranch();
     const hasUncommittedChanges = await this.gitRepo.hasUncommittedChanges();
 
+    if (branchName && /^(-|@\{-\d+\})$/.test(branchName)) {
+      branchName = await this.resolvePreviousBranch(branchName);
+    }
+
     // If no branch specified or fuzzy option, use fuzzy finder
     if (!branchName || options.fuzzy) {
       branchName = await this.fuzzyFindBranch(branchName, options);
@@ -63,27 +92,48 @@ class SwitchCommand {
       return;
     }
 
+    // A branch held by another worktree cannot be checked out here; point there instead
+    const worktrees = new WorktreeManager(this.gitRepo);
+    const checkedOutElsewhere = (await worktrees.getBranchesElsewhere())[targetBranch];
+    if (checkedOutElsewhere) {
+      this.showWorktree(targetBranch, checkedOutElsewhere, 'is checked out in');
+      return;
+    }
+
+    // The current worktree is left alone, so there is nothing to stash
+    if (options.worktree) {
+      return await this.switchToWorktree(targetBranch, worktrees);
+    }
+
     // Pre-switch safety checks
     await this.performPreSwitchChecks(targetBranch, hasUncommittedChanges, options);
 
-    // Handle uncommitted changes
-    let stashCreated = false;
+    // Handle uncommitted changes: false, 'park' or 'carry'
+    let savedChanges = false;
     if (hasUncommittedChanges && !options.force) {
-      stashCreated = await this.handleUncommittedChanges(options);
+      savedChanges = await this.handleUncommittedChanges(currentBranch, options);
     }
 
     try {
+      const submodules = new SubmoduleManager(this.gitRepo);
+      const submodulesBefore = await submodules.getRecordedShas('HEAD').catch(() => ({}));
+
       // Perform the branch switch
       await this.performBranchSwitch(targetBranch, options);
+      await this.updateSubmodules(submodules, submodulesBefore);
       
       // Post-switch actions
-      await this.postSwitchActions(currentBranch, targetBranch, stashCreated);
+      await this.postSwitchActions(currentBranch, targetBranch, savedChanges);
       
     } catch (error) {
       // If switch failed and we stashed, try to restore
-      if (stashCreated) {
+      if (savedChanges) {
         try {
-          await this.gitRepo.stashPop();
+          if (savedChanges === 'park') {
+            await new ParkedChanges(this.gitRepo).restore(currentBranch);
+          } else {
+            await this.gitRepo.stashPop();
+          }
           console.log(chalk.blue('📦 Restored stashed changes after failed switch'));
         } catch (restoreError) {
           console.warn(chalk.yellow('Warning: Could not restore stashed changes'));
@@ -98,11 +148,14 @@ class SwitchCommand {
 
     // Get all branches
     const branches = await this.gitRepo.getBranches();
-    const allBranches = this.prepareBranchList(branches, options);
+    const ranking = await new BranchHistory(this.gitRepo).getRanking().catch(() => []);
+    const scores = Object.fromEntries(ranking.map(entry => [entry.branch, entry.score]));
+    const allBranches = this.prepareBranchList(branches, options, await new WorktreeManager(this.gitRepo).getBranchesElsewhere(), scores);
 
     if (allBranches.length === 0) {
       throw new Error('No branches found');
     }
+    await this.addBranchDetails(allBranches);
 
     // If there's an initial query, filter branches
     let filteredBranches = allBranches;
@@ -131,8 +184,12 @@ class SwitchCommand {
       return choices[0].value;
     }
 
+    if (await this.usePreviewSelector()) {
+      return await this.selectWithPreview(filteredBranches);
+    }
+
     // Show interactive selector
-    const { selectedBranch } = await inquirer.prompt([{
+    const { selectedBranch } = await this.prompts.prompt('switch.branch', [{
       type: 'list',
       name: 'selectedBranch',
       message: 'Select branch to switch to:',
@@ -158,7 +215,82 @@ class SwitchCommand {
     return selectedBranch;
   }
 
-  prepareBranchList(branches, options) {
+  // The full-screen finder with a commit preview, unless the choice is scripted
+  // through a prompt override or there is no terminal to draw it on
+  async usePreviewSelector() {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    if (!await config.get('ui.branchPreview', true) || !await this.prompts.isInteractive()) {
+      return false;
+    }
+    const { overrides } = await this.prompts.getPolicy();
+    return overrides['switch.branch'] === undefined;
+  }
+
+  async selectWithPreview(branches) {
+    const tui = new TUIManager();
+    let selected;
+    try {
+      selected = await tui.showBranchSelector(
+        branches.map(branch => ({ ...branch, label: this.formatBranchChoice(branch) })),
+        {
+          title: 'Select branch to switch to',
+          createLabel: '+ Create new branch',
+          getPreview: (branch) => this.getBranchPreview(branch)
+        }
+      );
+    } catch (error) {
+      if (error.message === 'Branch selection cancelled') {
+        return null;
+      }
+      throw error;
+    }
+
+    return selected.create ? await this.promptForNewBranch() : selected.name;
+  }
+
+  // Compares every branch with the default branch, locally or on origin
+  async addBranchDetails(branchList) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const defaultBranch = await config.get('core.defaultBranch', 'main');
+
+    let baseRef = null;
+    for (const candidate of [defaultBranch, `origin/${defaultBranch}`]) {
+      if (await this.gitRepo.resolveCommit(candidate)) {
+        baseRef = candidate;
+        break;
+      }
+    }
+
+    const details = await this.gitRepo.getBranchDetails(baseRef).catch(() => ({}));
+    branchList.forEach(branch => {
+      branch.details = details[branch.type === 'remote' ? `${branch.remote}/${branch.name}` : branch.name] || null;
+    });
+  }
+
+  async getBranchPreview(branch) {
+    const ref = branch.type === 'remote' ? `${branch.remote}/${branch.name}` : branch.name;
+    const lines = [chalk.bold(ref)];
+    const details = branch.details;
+
+    if (details) {
+      if (details.description) lines.push(details.description);
+      if (details.upstream) lines.push(chalk.gray(`Upstream: ${details.upstream}${details.upstreamGone ? ' (gone)' : ''}`));
+      if (details.base) lines.push(chalk.gray(`Against ${details.base.ref}: ${details.base.ahead} ahead, ${details.base.behind} behind`));
+    }
+
+    lines.push('', chalk.cyan('Recent commits:'));
+    const commits = await this.gitRepo.getCommitsInRange(['-8', ref]);
+    commits.forEach(commit => {
+      lines.push(`${chalk.yellow(commit.hash.substring(0, 8))} ${commit.subject}`);
+      lines.push(chalk.gray(`         ${commit.author}, ${commit.date}`));
+    });
+    return lines;
+  }
+
+  // scores ranks local branches by how often and how recently they were visited
+  prepareBranchList(branches, options, worktreeBranches = {}, scores = {}) {
     const currentBranch = branches.current;
     const branchList = [];
 
@@ -185,17 +317,22 @@ class SwitchCommand {
           fullName: branchName,
           type: 'local',
           remote: null,
-          current: branchName === currentBranch
+          current: branchName === currentBranch,
+          worktree: worktreeBranches[branchName] || null
         });
       }
     });
 
-    // Sort: current first, then local, then remote
+    // Sort: current first, then local by frecency, then remote
     return branchList.sort((a, b) => {
       if (a.current) return -1;
       if (b.current) return 1;
       if (a.type === 'local' && b.type === 'remote') return -1;
       if (a.type === 'remote' && b.type === 'local') return 1;
+      if (a.type === 'local') {
+        const byScore = (scores[b.name] || 0) - (scores[a.name] || 0);
+        if (byScore !== 0) return byScore;
+      }
       return a.name.localeCompare(b.name);
     });
   }
@@ -205,31 +342,84 @@ class SwitchCommand {
     
     if (branch.current) {
       formatted = chalk.green(`* ${formatted} (current)`);
+    } else if (branch.worktree) {
+      formatted = chalk.magenta(`${formatted} (worktree: ${branch.worktree})`);
     } else if (branch.type === 'remote') {
       formatted = chalk.blue(`${formatted} (${branch.remote})`);
     }
 
+    if (branch.details) {
+      formatted += `  ${this.describeBranch(branch.details)}`;
+    }
+
     return formatted;
   }
 
-  async promptForNewBranch() {
-    const { branchName } = await inquirer.prompt([{
-      type: 'input',
-      name: 'branchName',
-      message: 'Enter new branch name:',
-      validate: (input) => {
-        if (!input.trim()) return 'Branch name cannot be empty';
-        if (input.includes(' ')) return 'Branch name cannot contain spaces';
-        if (input.includes('..')) return 'Branch name cannot contain ".."';
-        if (input.startsWith('-')) return 'Branch name cannot start with "-"';
-        if (input.includes('~') || input.includes('^') || input.includes(':')) {
-          return 'Branch name contains invalid characters';
-        }
-        return true;
-      }
-    }]);
+  // "3 days ago by Dana · ↑1 ↓0 origin/x · ↑4 ↓2 main · unmerged · description"
+  describeBranch(details) {
+    const parts = [chalk.gray(`${details.date} by ${details.author}`)];
+
+    if (details.upstreamGone) {
+      parts.push(chalk.red(`${details.upstream} gone`));
+    } else if (details.upstream) {
+      parts.push(`${chalk.green(`↑${details.upstreamAhead}`)} ${chalk.red(`↓${details.upstreamBehind}`)} ${chalk.gray(details.upstream)}`);
+    }
+
+    if (details.base) {
+      parts.push(`${chalk.green(`↑${details.base.ahead}`)} ${chalk.red(`↓${details.base.behind}`)} ${chalk.gray(details.base.ref)}`);
+      parts.push(details.merged ? chalk.green('merged') : chalk.yellow('unmerged'));
+    }
+
+    if (details.description) {
+      parts.push(chalk.italic(details.description));
+    }
 
-    return branchName.trim();
+    return parts.join(chalk.gray(' · '));
+  }
+
+  // "-" is the branch checked out before this one, @{-N} the Nth before, as git records them
+  async resolvePreviousBranch(spec) {
+    const n = spec === '-' ? 1 : parseInt(spec.match(/\d+/)[0], 10);
+    let ref = '';
+    try {
+      ref = (await this.gitRepo.git.raw(['rev-parse', '--symbolic-full-name', `@{-${n}}`])).trim();
+    } catch (error) {
+      // Fewer than N branch switches recorded
+    }
+
+    if (!ref.startsWith('refs/heads/')) {
+      throw new Error(`No previous branch for "${spec}": you have not switched ${n} time(s) in this repository, or it was a detached HEAD`);
+    }
+    return ref.slice('refs/heads/'.length);
+  }
+
+  async listRecent() {
+    const ranking = await new BranchHistory(this.gitRepo).getRanking();
+    if (ranking.length === 0) {
+      console.log(chalk.yellow('No branch visits recorded for this repository yet'));
+      return;
+    }
+
+    const branches = await this.gitRepo.getBranches();
+    console.log(chalk.blue('🕘 Recently visited branches:'));
+    [...ranking]
+      .sort((a, b) => b.lastVisited.localeCompare(a.lastVisited))
+      .forEach(entry => {
+        const name = entry.branch === branches.current ? chalk.green(`* ${entry.branch}`) : `  ${entry.branch}`;
+        const gone = branches.all.includes(entry.branch) ? '' : chalk.red(' (deleted)');
+        console.log(`${name}${gone} ${chalk.gray(`${BranchHistory.formatAge(entry.lastVisited)}, ${entry.visits} visit(s)`)}`);
+      });
+  }
+
+  async getBranchNamer() {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    return new BranchNamer(await config.getBranchNamingOptions());
+  }
+
+  async promptForNewBranch() {
+    const namer = await this.getBranchNamer();
+    return await namer.ask(this.prompts, 'switch.newBranchName', this.gitRepo.git);
   }
 
   async resolveBranchName(branchName, options) {
@@ -275,7 +465,7 @@ class SwitchCommand {
     }
 
     // Ask if user wants to create the branch
-    const { shouldCreate } = await inquirer.prompt([{
+    const { shouldCreate } = await this.prompts.prompt('switch.createBranch', [{
       type: 'confirm',
       name: 'shouldCreate',
       message: `Branch '${branchName}' doesn't exist. Create it?`,
@@ -290,7 +480,7 @@ class SwitchCommand {
   }
 
   async confirmCreateTrackingBranch(branchName, remote) {
-    const { shouldCreate } = await inquirer.prompt([{
+    const { shouldCreate } = await this.prompts.prompt('switch.trackRemote', [{
       type: 'confirm',
       name: 'shouldCreate',
       message: `Create local tracking branch '${branchName}' from '${remote}/${branchName}'?`,
@@ -304,7 +494,7 @@ class SwitchCommand {
     const checks = [];
 
     // Check for uncommitted changes
-    if (hasUncommittedChanges && !options.force && options.noStash) {
+    if (hasUncommittedChanges && !options.force && options.stash === false) {
       checks.push(this.checkUncommittedChangesConflict(targetBranch));
     }
 
@@ -334,27 +524,88 @@ class SwitchCommand {
   }
 
   async checkBranchCreation(targetBranch, options) {
-    // Validate branch name
-    if (targetBranch.includes('..') || targetBranch.startsWith('-') || 
-        targetBranch.includes('~') || targetBranch.includes('^')) {
-      throw new Error(`Invalid branch name: ${targetBranch}`);
+    // Branches created from a remote branch keep the remote's name
+    const branches = await this.gitRepo.getBranches();
+    if (branches.all.some(b => b.startsWith('remotes/') && b.endsWith(`/${targetBranch}`))) {
+      return;
     }
-    
-    return Promise.resolve();
+
+    const namer = await this.getBranchNamer();
+    await namer.assertValid(this.gitRepo.git, targetBranch);
   }
 
-  async handleUncommittedChanges(options) {
-    if (options.noStash) {
+  // Returns how the changes were saved: 'park', 'carry' or false
+  async handleUncommittedChanges(currentBranch, options) {
+    if (options.stash === false) {
       return false;
     }
 
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    let mode = options.carry ? 'carry'
+      : options.park ? 'park'
+        : await config.get('switch.uncommittedChanges', 'carry');
+
+    // Work done on a detached HEAD has no branch to stay with
+    if (!currentBranch || currentBranch === 'HEAD') {
+      mode = 'carry';
+    }
+
+    if (mode === 'park') {
+      console.log(chalk.blue(`🅿️  Parking uncommitted changes on '${currentBranch}'...`));
+      if (!await new ParkedChanges(this.gitRepo).park(currentBranch)) {
+        console.log(chalk.gray('   Nothing git can stash (submodule changes stay in place); switching without parking'));
+        return false;
+      }
+      console.log(chalk.green(`✓ Changes parked; they come back when you switch to '${currentBranch}' again`));
+      return 'park';
+    }
+
     console.log(chalk.blue('📦 Stashing uncommitted changes...'));
     
     const stashMessage = `easygit-switch-auto-stash-${Date.now()}`;
     await this.gitRepo.stash(stashMessage);
     
     console.log(chalk.green('✓ Changes stashed'));
-    return true;
+    return 'carry';
+  }
+
+  async listParked() {
+    const entries = await new ParkedChanges(this.gitRepo).list();
+    if (entries.length === 0) {
+      console.log(chalk.green('✓ No parked changes'));
+      return;
+    }
+
+    console.log(chalk.blue(`🅿️  Parked changes (${entries.length}):`));
+    entries.forEach(entry => {
+      console.log(`   ${chalk.cyan(entry.branch)} ${chalk.gray(`${entry.files} file(s), parked ${entry.parkedAt}`)}`);
+    });
+    console.log(chalk.cyan('\n💡 Switch to a branch to restore its changes, or run "easygit switch --discard-parked <branch>"'));
+  }
+
+  async discardParked(branch) {
+    const parked = new ParkedChanges(this.gitRepo);
+    const hash = await parked.get(branch);
+    if (!hash) {
+      throw new Error(`No parked changes on '${branch}'. Run "easygit switch --parked" to list them`);
+    }
+
+    const { confirmed } = await this.prompts.prompt('switch.discardParked', [{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Discard the changes parked on '${branch}'?`,
+      default: false
+    }], { destructive: true });
+
+    if (!confirmed) {
+      console.log(chalk.yellow('Parked changes kept'));
+      return;
+    }
+
+    await parked.drop(branch);
+    console.log(chalk.green(`✓ Discarded the changes parked on '${branch}'`));
+    console.log(chalk.gray(`   They can still be recovered with "git stash apply ${hash.substring(0, 12)}" until git garbage-collects them`));
   }
 
   async performBranchSwitch(targetBranch, options) {
@@ -388,11 +639,75 @@ class SwitchCommand {
     }
   }
 
-  async postSwitchActions(fromBranch, toBranch, stashCreated) {
+  async switchToWorktree(targetBranch, worktrees) {
+    const branches = await this.gitRepo.getBranches();
+    const addOptions = {};
+
+    if (!branches.all.includes(targetBranch)) {
+      await this.checkBranchCreation(targetBranch);
+      const remoteBranch = branches.all.find(b =>
+        b.startsWith('remotes/') && b.endsWith(`/${targetBranch}`)
+      );
+      addOptions.startPoint = remoteBranch ? remoteBranch.slice('remotes/'.length) : 'HEAD';
+      addOptions.track = Boolean(remoteBranch);
+    }
+
+    console.log(chalk.blue(`🌳 Creating worktree for '${targetBranch}'...`));
+    const worktreePath = await worktrees.add(targetBranch, addOptions);
+
+    const submodules = new SubmoduleManager(this.gitRepo);
+    if ((await submodules.getPaths(targetBranch)).length > 0) {
+      try {
+        await simpleGit(worktreePath).raw(['submodule', 'update', '--init', '--recursive']);
+      } catch (error) {
+        console.warn(chalk.yellow(`Warning: Could not update submodules: ${error.message.split('\n')[0]}`));
+      }
+    }
+
+    this.showWorktree(targetBranch, worktreePath, 'is now checked out in');
+    await this.updateRecentBranches(targetBranch);
+  }
+
+  showWorktree(branch, worktreePath, verb) {
+    console.log(chalk.green(`✓ '${branch}' ${verb} ${worktreePath}`));
+    console.log(chalk.cyan(`💡 cd "${worktreePath}"`));
+  }
+
+  // Brings back work parked on the branch we just arrived at
+  async restoreParkedChanges(branch) {
+    const parked = new ParkedChanges(this.gitRepo);
+    if (!await parked.get(branch)) {
+      return;
+    }
+
+    try {
+      console.log(chalk.blue(`🅿️  Restoring changes parked on '${branch}'...`));
+      await parked.restore(branch);
+      console.log(chalk.green('✓ Parked changes restored'));
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not restore the parked changes cleanly: ${error.message.split('\n')[0]}`));
+      console.log(chalk.cyan(`💡 They are kept; resolve any conflicts, then run "easygit switch --discard-parked ${branch}"`));
+    }
+  }
+
+  // Checks out the submodule commits the new branch records, when they differ
+  async updateSubmodules(submodules, before) {
+    try {
+      const changed = await submodules.updateIfChanged(before);
+      if (changed.length > 0) {
+        console.log(chalk.green(`✓ Updated submodules: ${changed.join(', ')}`));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not update submodules: ${error.message.split('\n')[0]}`));
+      console.log(chalk.cyan('💡 Run "git submodule update --init --recursive" manually'));
+    }
+  }
+
+  async postSwitchActions(fromBranch, toBranch, savedChanges) {
     console.log(chalk.green(`✓ Switched from '${fromBranch}' to '${toBranch}'`));
 
     // Restore stashed changes if any
-    if (stashCreated) {
+    if (savedChanges === 'carry') {
       try {
         console.log(chalk.blue('📦 Restoring stashed changes...'));
         await this.gitRepo.stashPop();
@@ -403,6 +718,8 @@ class SwitchCommand {
       }
     }
 
+    await this.restoreParkedChanges(toBranch);
+
     // Show branch status
     const status = await this.gitRepo.getStatus();
     
@@ -433,46 +750,13 @@ class SwitchCommand {
     console.log(chalk.cyan('   • Run "easygit status" to see detailed branch information'));
 
     // Update recent branches list for future fuzzy finding
-    await this.updateRecentBranches(fromBranch, toBranch);
+    await this.updateRecentBranches(toBranch);
   }
 
-  async updateRecentBranches(fromBranch, toBranch) {
+  // Feeds the frecency ranking of the branch finder
+  async updateRecentBranches(toBranch) {
     try {
-      const fs = require('fs').promises;
-      const path = require('path');
-      const os = require('os');
-      
-      const recentFile = path.join(os.homedir(), '.easygit', 'recent-branches.json');
-      
-      let recent = [];
-      try {
-        const content = await fs.readFile(recentFile, 'utf8');
-        recent = JSON.parse(content);
-      } catch (error) {
-        // File doesn't exist or is invalid, start fresh
-      }
-
-      // Add current switch to recent list
-      const switchEntry = {
-        from: fromBranch,
-        to: toBranch,
-        timestamp: new Date().toISOString(),
-        workingDir: this.gitRepo.workingDir
-      };
-
-      // Remove duplicates and add to front
-      recent = recent.filter(entry => 
-        !(entry.from === fromBranch && entry.to === toBranch && entry.workingDir === this.gitRepo.workingDir)
-      );
-      recent.unshift(switchEntry);
-
-      // Keep only last 20 entries
-      recent = recent.slice(0, 20);
-
-      // Save back to file
-      await fs.mkdir(path.dirname(recentFile), { recursive: true });
-      await fs.writeFile(recentFile, JSON.stringify(recent, null, 2));
-      
+      await new BranchHistory(this.gitRepo).recordVisit(toBranch);
     } catch (error) {
       // Silently fail if we can't update recent branches
     }
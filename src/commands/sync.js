@@ -1,10 +1,16 @@
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const path = require('path');
+const LfsManager = require('../core/lfs-manager');
+const SyncQueue = require('../core/sync-queue');
+const PromptService = require('../core/prompt-service');
+const TriangularWorkflow = require('../core/triangular-workflow');
+const SubmoduleManager = require('../core/submodule-manager');
 
 class SyncCommand {
   constructor(program, gitRepoGetter, errorHandler) {
     this.gitRepoGetter = gitRepoGetter;
     this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
     this.setupCommand(program);
   }
 
@@ -12,6 +18,14 @@ class SyncCommand {
     return this.gitRepoGetter();
   }
 
+  get triangular() {
+    return new TriangularWorkflow(this.gitRepo);
+  }
+
+  get submodules() {
+    return new SubmoduleManager(this.gitRepo);
+  }
+
   setupCommand(program) {
     program
       .command('sync')
@@ -23,51 +37,197 @@ class SyncCommand {
       .option('--force', 'Force push (dangerous)')
       .option('--force-with-lease', 'Force push with lease (safer)')
       .option('--dry-run', 'Show what would be done without executing')
+      .option('--json', 'Print the --dry-run preview as JSON')
       .option('--allow-unrelated', 'Allow merging unrelated histories')
+      .option('--upstream', 'Refresh the fork\'s default branch from the upstream remote')
+      .option('--tags', 'Push local tags missing on the remote and reconcile tags that differ')
+      .option('--all-branches', 'Fast-forward every local tracking branch without checking it out')
+      .option('--queue', 'List sync operations queued while offline')
+      .option('--process-queue', 'Replay pending queued sync operations')
+      .option('--retry-queued <id>', 'Replay one queued sync operation')
+      .option('--cancel-queued <id>', 'Remove one queued sync operation')
       .action(async (options) => {
         try {
           await this.execute(options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
 
   async execute(options = {}) {
+    // The queue spans repositories, so it works from anywhere
+    if (options.queue) {
+      return await this.listQueue();
+    }
+    if (options.processQueue) {
+      return await this.processQueue();
+    }
+    if (options.retryQueued) {
+      return await this.retryQueued(options.retryQueued);
+    }
+    if (options.cancelQueued) {
+      return await this.cancelQueued(options.cancelQueued);
+    }
+
     if (!this.gitRepo || !this.gitRepo.isRepository()) {
       throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
     }
 
-    console.log(chalk.blue('🔄 Analyzing synchronization state...'));
+    if (options.allBranches) {
+      return await this.syncAllBranches(options);
+    }
+    if (options.upstream) {
+      return await this.syncFromUpstream(options);
+    }
 
     // Get current repository state
     const currentBranch = options.branch || await this.gitRepo.getCurrentBranch();
     const remote = options.remote;
 
-    // Check network connectivity
-    if (!options.dryRun) {
-      await this.checkNetworkConnectivity(remote);
+    // Forks pull from the upstream remote and push to their own
+    const upstreamRemote = await this.triangular.getUpstreamRemote();
+    const isTriangular = upstreamRemote && upstreamRemote !== remote;
+
+    if (options.dryRun) {
+      const integrate = isTriangular
+        ? await this.triangular.getIntegrationSource(currentBranch, upstreamRemote)
+        : { remote, branch: currentBranch };
+      return await this.showDryRun(currentBranch, { integrate, push: { remote, branch: currentBranch } }, options);
+    }
+
+    console.log(chalk.blue('🔄 Analyzing synchronization state...'));
+
+    if (isTriangular) {
+      await this.syncTriangular(currentBranch, remote, upstreamRemote, options);
+      if (options.tags) {
+        await this.syncTags(remote);
+      }
+      return;
+    }
+
+    // Check network connectivity; offline syncs are queued instead
+    if (!await this.checkNetworkConnectivity(remote, options)) {
+      return;
     }
 
     // Fetch latest changes
     console.log(chalk.blue(`📡 Fetching from ${remote}...`));
-    if (!options.dryRun) {
-      await this.gitRepo.fetch(remote);
-    }
+    await this.gitRepo.fetch(remote);
 
     // Analyze branch state
     const branchState = await this.analyzeBranchState(currentBranch, remote);
-    
-    if (options.dryRun) {
-      return await this.showDryRun(branchState, options);
-    }
 
     // Execute synchronization strategy
     await this.executeSyncStrategy(branchState, options);
+
+    if (options.tags) {
+      await this.syncTags(remote);
+    }
+  }
+
+  // Tags only ever move when the user says so: missing tags are copied in both
+  // directions, and a tag that names different commits on each side is asked about
+  async syncTags(remote) {
+    console.log(chalk.blue(`\n🏷️  Comparing tags with ${remote}...`));
+
+    const [localTags, remoteTags] = await Promise.all([
+      this.gitRepo.getLocalTags(),
+      this.gitRepo.getRemoteTags(remote)
+    ]);
+
+    const missingOnRemote = Object.keys(localTags).filter(name => !remoteTags[name]);
+    const missingLocally = Object.keys(remoteTags).filter(name => !localTags[name]);
+    const conflicts = Object.keys(localTags).filter(name => remoteTags[name] && remoteTags[name].commit !== localTags[name].commit);
+
+    const tagRefs = (names, force = false) => names.map(name => `${force ? '+' : ''}refs/tags/${name}:refs/tags/${name}`);
+    const summary = { pushed: [], fetched: [], skipped: [] };
+
+    for (const name of conflicts) {
+      const action = await this.resolveTagConflict(name, localTags[name], remoteTags[name], remote);
+
+      if (action === 'push') {
+        await this.gitRepo.git.push([remote, ...tagRefs([name], true)]);
+        summary.pushed.push(name);
+      } else if (action === 'fetch') {
+        await this.gitRepo.git.raw(['fetch', '--no-tags', remote, ...tagRefs([name], true)]);
+        summary.fetched.push(name);
+      } else {
+        summary.skipped.push(name);
+      }
+    }
+
+    if (missingLocally.length > 0) {
+      await this.gitRepo.git.raw(['fetch', '--no-tags', remote, ...tagRefs(missingLocally)]);
+      summary.fetched.push(...missingLocally);
+    }
+
+    if (missingOnRemote.length > 0) {
+      try {
+        await this.gitRepo.git.push([remote, ...tagRefs(missingOnRemote)]);
+        summary.pushed.push(...missingOnRemote);
+      } catch (error) {
+        throw new Error(`Failed to push tags to ${remote}: ${this.summarizeGitError(error)}`);
+      }
+    }
+
+    if (summary.pushed.length + summary.fetched.length + summary.skipped.length === 0) {
+      console.log(chalk.green(`✓ Tags are in sync with ${remote}`));
+      return summary;
+    }
+
+    if (summary.pushed.length > 0) {
+      console.log(chalk.green(`✓ Pushed ${summary.pushed.length} tag(s): ${summary.pushed.join(', ')}`));
+    }
+    if (summary.fetched.length > 0) {
+      console.log(chalk.green(`✓ Fetched ${summary.fetched.length} tag(s): ${summary.fetched.join(', ')}`));
+    }
+    if (summary.skipped.length > 0) {
+      console.log(chalk.yellow(`⚠️  Left ${summary.skipped.length} conflicting tag(s) as they are: ${summary.skipped.join(', ')}`));
+    }
+    return summary;
+  }
+
+  async resolveTagConflict(name, localTag, remoteTag, remote) {
+    const describe = async (hash) => {
+      const commits = await this.gitRepo.getCommitsInRange(['-1', hash]).catch(() => []);
+      return commits.length > 0
+        ? `${hash.substring(0, 8)} ${commits[0].subject}`
+        : `${hash.substring(0, 8)} (not fetched)`;
+    };
+
+    console.log(chalk.yellow(`⚠️  Tag "${name}" points to different commits:`));
+    console.log(chalk.gray(`   local:  ${await describe(localTag.commit)}`));
+    console.log(chalk.gray(`   ${remote}: ${await describe(remoteTag.commit)}`));
+
+    const { action } = await this.prompts.prompt('sync.tagConflict', [{
+      type: 'list',
+      name: 'action',
+      message: `How should tag "${name}" be reconciled?`,
+      choices: [
+        { name: `Keep the local tag and overwrite it on ${remote}`, value: 'push' },
+        { name: `Take the tag from ${remote} and overwrite the local one`, value: 'fetch' },
+        { name: 'Leave both as they are', value: 'skip' }
+      ],
+      default: 'skip'
+    }], { yes: 'skip' });
+
+    // Others may already have fetched the remote tag, so moving it needs a second yes
+    if (action === 'push') {
+      const { confirmed } = await this.prompts.prompt('sync.overwriteRemoteTag', [{
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Overwrite tag "${name}" on ${remote}? Anyone who fetched it keeps the old one.`,
+        default: false
+      }], { destructive: true });
+      return confirmed ? 'push' : 'skip';
+    }
+    return action;
   }
 
-  async checkNetworkConnectivity(remote) {
+  // Returns false when the sync was queued because the remote is unreachable
+  async checkNetworkConnectivity(remote, options = {}) {
     try {
       const remotes = await this.gitRepo.getRemotes();
       const remoteInfo = remotes.find(r => r.name === remote);
@@ -78,49 +238,40 @@ class SyncCommand {
 
       // Test connectivity with a simple fetch
       await this.gitRepo.git.raw(['ls-remote', '--heads', remote]);
+      return true;
       
     } catch (error) {
-      if (error.message.includes('Could not resolve hostname') || 
+      if (error.message.includes('Could not resolve host') || 
           error.message.includes('Connection refused') ||
           error.message.includes('Network is unreachable')) {
         
+        // A replayed operation that is still offline stays in the queue as failed
+        if (options.replaying) {
+          throw new Error(`Remote "${remote}" is still unreachable`);
+        }
+
         console.log(chalk.yellow('⚠️  Network connectivity issue detected.'));
         console.log(chalk.yellow('   Your sync operation will be queued for when connectivity is restored.'));
         
         await this.queueSyncOperation(options);
-        return;
+        return false;
       }
       throw error;
     }
   }
 
   async queueSyncOperation(options) {
-    const queueFile = require('path').join(require('os').homedir(), '.easygit', 'sync-queue.json');
-    
     try {
-      const fs = require('fs').promises;
-      await fs.mkdir(require('path').dirname(queueFile), { recursive: true });
-      
-      let queue = [];
-      try {
-        const existing = await fs.readFile(queueFile, 'utf8');
-        queue = JSON.parse(existing);
-      } catch (error) {
-        // File doesn't exist or is invalid, start with empty queue
-      }
-
-      const operation = {
-        timestamp: new Date().toISOString(),
+      const { replaced } = await new SyncQueue().add({
         workingDir: this.gitRepo.workingDir,
-        branch: await this.gitRepo.getCurrentBranch(),
-        options: options,
-        id: Date.now().toString()
-      };
+        branch: options.branch || await this.gitRepo.getCurrentBranch(),
+        options
+      });
 
-      queue.push(operation);
-      await fs.writeFile(queueFile, JSON.stringify(queue, null, 2));
-      
       console.log(chalk.green('✓ Sync operation queued'));
+      if (replaced) {
+        console.log(chalk.gray(`   Replaces the sync queued for this branch at ${new Date(replaced.timestamp).toLocaleString()}`));
+      }
       console.log(chalk.cyan('💡 Run "easygit sync --process-queue" when online to execute queued operations'));
       
     } catch (error) {
@@ -128,6 +279,463 @@ class SyncCommand {
     }
   }
 
+  async listQueue() {
+    const entries = await new SyncQueue().list();
+
+    if (entries.length === 0) {
+      console.log(chalk.green('✓ No queued sync operations'));
+      return;
+    }
+
+    console.log(chalk.blue(`📋 ${entries.length} queued sync operation(s):\n`));
+    entries.forEach(entry => this.printQueueEntry(entry));
+    console.log(chalk.cyan('\n💡 Use --process-queue, --retry-queued <id> or --cancel-queued <id>'));
+  }
+
+  printQueueEntry(entry) {
+    const status = entry.status === 'failed'
+      ? chalk.red(`failed ×${entry.attempts}`)
+      : chalk.yellow('pending');
+    const flags = Object.entries(entry.options || {})
+      .filter(([key, value]) => value && !['remote', 'branch'].includes(key))
+      .map(([key]) => `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+
+    console.log(`   ${chalk.bold(entry.id)}  ${status}  ${entry.workingDir} ${chalk.cyan(entry.branch)} → ${(entry.options && entry.options.remote) || 'origin'} ${chalk.gray(flags.join(' '))}`);
+    console.log(chalk.gray(`      queued ${new Date(entry.timestamp).toLocaleString()}`));
+    if (entry.lastError) {
+      console.log(chalk.red(`      last error: ${entry.lastError}`));
+    }
+  }
+
+  async processQueue() {
+    const queue = new SyncQueue();
+    const dropped = await queue.dedupe();
+    if (dropped > 0) {
+      console.log(chalk.gray(`   Dropped ${dropped} duplicate queued sync(s) for the same branch`));
+    }
+
+    const entries = await queue.list();
+    const pending = entries.filter(entry => entry.status === 'pending');
+    const failed = entries.length - pending.length;
+
+    if (pending.length === 0) {
+      console.log(chalk.green('✓ No pending sync operations'));
+      if (failed > 0) {
+        console.log(chalk.yellow(`   ${failed} failed operation(s) remain. Use "easygit sync --queue" to review them.`));
+      }
+      return;
+    }
+
+    console.log(chalk.blue(`🔁 Replaying ${pending.length} queued sync operation(s)...`));
+
+    const results = [];
+    for (const [index, entry] of pending.entries()) {
+      console.log(chalk.bold(`\n[${index + 1}/${pending.length}] ${entry.workingDir} (${entry.branch})`));
+      results.push(await this.replayQueueEntry(queue, entry));
+    }
+
+    console.log(chalk.bold('\nQueue results:'));
+    results.forEach(({ entry, error }) => {
+      if (error) {
+        console.log(chalk.red(`   ✗ ${entry.id} ${entry.workingDir} (${entry.branch}): ${error.message}`));
+      } else {
+        console.log(chalk.green(`   ✓ ${entry.id} ${entry.workingDir} (${entry.branch})`));
+      }
+    });
+
+    const failures = results.filter(result => result.error).length;
+    if (failures > 0 || failed > 0) {
+      console.log(chalk.yellow(`\n${failures + failed} operation(s) remain queued. Retry with "easygit sync --retry-queued <id>".`));
+    }
+  }
+
+  async retryQueued(id) {
+    const queue = new SyncQueue();
+    const entry = await queue.find(id);
+
+    console.log(chalk.blue(`🔁 Retrying queued sync ${entry.id} in ${entry.workingDir} (${entry.branch})...`));
+    const { error } = await this.replayQueueEntry(queue, entry);
+
+    if (error) {
+      throw new Error(`Queued sync ${entry.id} failed again and stays in the queue: ${error.message}`);
+    }
+  }
+
+  async cancelQueued(id) {
+    const queue = new SyncQueue();
+    const entry = await queue.find(id);
+    await queue.remove(entry.id);
+    console.log(chalk.green(`✓ Removed queued sync ${entry.id} (${entry.workingDir}, ${entry.branch})`));
+  }
+
+  // Runs one queued sync inside its own repository. Successful entries leave the
+  // queue; failures stay with the error recorded for the next retry.
+  async replayQueueEntry(queue, entry) {
+    const originalGetter = this.gitRepoGetter;
+    const originalPrompts = this.prompts;
+    const originalCwd = process.cwd();
+
+    try {
+      process.chdir(entry.workingDir);
+
+      const GitRepository = require('../core/git-repository');
+      const gitRepo = new GitRepository(entry.workingDir);
+      await gitRepo.initialize();
+      this.gitRepoGetter = () => gitRepo;
+      // Config is read relative to the working directory, so prompt answers come
+      // from the queued repository rather than the one the queue was replayed from
+      this.prompts = new PromptService();
+
+      // Pull and push act on the checked-out branch, so replay only where it still is;
+      // --all-branches moves every branch without checking any of them out
+      const currentBranch = await gitRepo.getCurrentBranch();
+      if (!(entry.options && entry.options.allBranches) && currentBranch !== entry.branch) {
+        throw new Error(`Repository is on "${currentBranch}", not "${entry.branch}". Switch to it and retry.`);
+      }
+
+      await this.execute({ remote: 'origin', ...entry.options, branch: entry.branch, replaying: true });
+      await queue.remove(entry.id);
+      return { entry, error: null };
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      await queue.recordFailure(entry.id, error);
+      return { entry, error };
+    } finally {
+      this.gitRepoGetter = originalGetter;
+      this.prompts = originalPrompts;
+      process.chdir(originalCwd);
+    }
+  }
+
+  // Fetches every upstream remote once, then fast-forwards local branches by moving
+  // their refs directly so nothing is checked out
+  async syncAllBranches(options) {
+    const trackingBranches = await this.gitRepo.getTrackingBranches();
+    if (trackingBranches.length === 0) {
+      console.log(chalk.yellow('No local branches track an upstream'));
+      return [];
+    }
+
+    // A branch can track another local branch (remote "."); those need no fetch and
+    // go last so they see the local branches already moved in this run
+    const isLocalUpstream = (branch) => branch.remote === '.';
+    const branches = [
+      ...trackingBranches.filter(branch => !isLocalUpstream(branch)),
+      ...trackingBranches.filter(isLocalUpstream)
+    ];
+
+    const configuredRemotes = (await this.gitRepo.getRemotes()).map(remote => remote.name);
+    const remotes = [...new Set(branches.map(branch => branch.remote))]
+      .filter(remote => configuredRemotes.includes(remote));
+
+    if (!options.dryRun) {
+      for (const remote of remotes) {
+        if (!await this.checkNetworkConnectivity(remote, options)) {
+          return [];
+        }
+      }
+
+      if (remotes.length > 0) {
+        console.log(chalk.blue(`📡 Fetching from ${remotes.join(', ')}...`));
+      }
+      for (const remote of remotes) {
+        // Pruning is what reveals upstreams that were deleted on the remote
+        await this.gitRepo.git.fetch([remote, '--prune']);
+      }
+    }
+
+    const worktreeBranches = await this.gitRepo.getWorktreeBranches();
+    const currentBranch = await this.gitRepo.getCurrentBranch();
+    const hasUncommittedChanges = await this.gitRepo.hasUncommittedChanges();
+    const currentWorktree = path.resolve(this.gitRepo.workingDir);
+
+    console.log(chalk.blue(`🔄 ${options.dryRun ? 'Checking' : 'Updating'} ${branches.length} tracking branch(es)...\n`));
+
+    const results = [];
+    for (const branch of branches) {
+      const checkedOutIn = worktreeBranches[branch.name];
+      const isCurrent = branch.name === currentBranch &&
+        (!checkedOutIn || path.resolve(checkedOutIn) === currentWorktree);
+      results.push(await this.fastForwardTrackingBranch(branch, { checkedOutIn, isCurrent, hasUncommittedChanges }, options));
+    }
+
+    this.printAllBranchesTable(results, options);
+    return results;
+  }
+
+  async fastForwardTrackingBranch(branch, { checkedOutIn, isCurrent, hasUncommittedChanges }, options) {
+    const result = { branch: branch.name, upstream: branch.upstream };
+    const upstreamHash = branch.gone ? null : await this.gitRepo.resolveCommit(branch.upstreamRef);
+
+    if (!upstreamHash) {
+      return { ...result, result: 'gone' };
+    }
+
+    const { ahead, behind } = await this.gitRepo.getAheadBehind(branch.hash, upstreamHash);
+    if (behind === 0) {
+      return { ...result, result: 'current', ahead };
+    }
+    if (ahead > 0) {
+      return { ...result, result: 'diverged', ahead, behind };
+    }
+
+    if (checkedOutIn && !isCurrent) {
+      return { ...result, result: 'skipped', behind, reason: `checked out in ${checkedOutIn}` };
+    }
+    if (isCurrent && hasUncommittedChanges) {
+      return { ...result, result: 'skipped', behind, reason: 'checked out here with uncommitted changes' };
+    }
+
+    if (options.dryRun) {
+      return { ...result, result: 'would-update', behind, from: branch.hash, to: upstreamHash };
+    }
+
+    try {
+      if (isCurrent) {
+        // The checked-out branch has to move its working tree along with the ref
+        await this.gitRepo.git.raw(['merge', '--ff-only', upstreamHash]);
+        await this.updateSubmodules(branch.hash);
+      } else {
+        await this.gitRepo.fastForwardBranch(branch.name, upstreamHash, branch.hash);
+      }
+      return { ...result, result: 'updated', behind, from: branch.hash, to: upstreamHash };
+    } catch (error) {
+      return { ...result, result: 'failed', reason: error.message.split('\n')[0] };
+    }
+  }
+
+  printAllBranchesTable(results, options) {
+    const labels = {
+      updated: chalk.green('✓ updated'),
+      'would-update': chalk.cyan('→ would update'),
+      current: chalk.gray('• already current'),
+      diverged: chalk.yellow('⚠ diverged'),
+      gone: chalk.red('✗ upstream gone'),
+      skipped: chalk.yellow('- skipped'),
+      failed: chalk.red('✗ failed')
+    };
+
+    const details = (entry) => {
+      switch (entry.result) {
+        case 'updated':
+        case 'would-update':
+          return `${entry.from.substring(0, 7)}..${entry.to.substring(0, 7)} (${entry.behind} commit(s) from ${entry.upstream})`;
+        case 'current':
+          return entry.ahead > 0 ? `${entry.ahead} commit(s) to push` : '';
+        case 'diverged':
+          return `${entry.ahead} ahead, ${entry.behind} behind ${entry.upstream} - needs attention`;
+        case 'gone':
+          return `${entry.upstream} no longer exists`;
+        default:
+          return entry.reason;
+      }
+    };
+
+    const branchWidth = Math.max(6, ...results.map(entry => entry.branch.length));
+    const stripColor = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+    const resultWidth = Math.max(...results.map(entry => stripColor(labels[entry.result]).length));
+    const pad = (text, width) => text + ' '.repeat(Math.max(0, width - stripColor(text).length));
+
+    console.log(chalk.bold(`  ${pad('Branch', branchWidth)}  ${pad('Result', resultWidth)}  Details`));
+    results.forEach(entry => {
+      console.log(`  ${pad(entry.branch, branchWidth)}  ${pad(labels[entry.result], resultWidth)}  ${chalk.gray(details(entry))}`);
+    });
+
+    const count = (type) => results.filter(entry => entry.result === type).length;
+    const updated = count(options.dryRun ? 'would-update' : 'updated');
+    console.log(chalk.blue(`\n${updated} ${options.dryRun ? 'would be updated' : 'updated'}, ${count('current')} current, ` +
+      `${count('diverged')} diverged, ${count('gone')} upstream gone, ${count('skipped') + count('failed')} skipped`));
+
+    if (count('diverged') > 0) {
+      console.log(chalk.cyan('💡 Switch to a diverged branch and run "easygit sync" to rebase or merge it'));
+    }
+    if (count('gone') > 0) {
+      console.log(chalk.cyan('💡 Branches whose upstream is gone were probably merged; delete them with "git branch -d <branch>"'));
+    }
+  }
+
+  // Fork workflow: integrate from the upstream remote, then publish to the push remote
+  async syncTriangular(currentBranch, remote, upstreamRemote, options) {
+    for (const name of [upstreamRemote, remote]) {
+      if (!await this.checkNetworkConnectivity(name, options)) {
+        return;
+      }
+    }
+
+    console.log(chalk.blue(`📡 Fetching from ${upstreamRemote} and ${remote}...`));
+    await this.gitRepo.fetch(upstreamRemote);
+    await this.gitRepo.fetch(remote);
+
+    const relationships = await this.triangular.describe(currentBranch, remote);
+    this.printTriangularState(relationships);
+
+    if (!relationships.base) {
+      throw new Error(`Could not find ${upstreamRemote}/${await this.triangular.getDefaultBranch()} to integrate from. Check core.defaultBranch or the branch's upstream.`);
+    }
+
+    const hasUncommittedChanges = await this.gitRepo.hasUncommittedChanges();
+    let rewritten = false;
+
+    if (relationships.base.behind > 0) {
+      const baseState = {
+        currentBranch,
+        remote: upstreamRemote,
+        remoteBranch: relationships.base.ref,
+        hasRemoteBranch: true,
+        ahead: relationships.base.ahead,
+        behind: relationships.base.behind
+      };
+
+      await this.withAutoStash(hasUncommittedChanges, () => this.handleBehind(baseState, options));
+      // Rebasing local commits onto upstream rewrites what the fork already has
+      rewritten = await this.getSyncStrategy(options) === 'rebase' && relationships.base.ahead > 0;
+    } else {
+      console.log(chalk.green(`✓ Up to date with ${relationships.base.ref}`));
+    }
+
+    const forkState = await this.analyzeRemoteBranch(currentBranch, remote);
+    await this.withAutoStash(hasUncommittedChanges && forkState.status !== 'ahead', async () => {
+      if (forkState.status === 'diverged' && rewritten) {
+        await this.handleForcePushDiverged(forkState);
+      } else {
+        await this.executeSyncStrategy({ ...forkState, hasUncommittedChanges: false }, options);
+      }
+    });
+  }
+
+  // Like analyzeBranchState, but against any remote rather than the branch's tracking ref
+  async analyzeRemoteBranch(currentBranch, remote) {
+    const remoteBranch = `${remote}/${currentBranch}`;
+    const hasRemoteBranch = Boolean(await this.gitRepo.resolveCommit(remoteBranch));
+    const { ahead, behind } = hasRemoteBranch
+      ? await this.gitRepo.getAheadBehind(currentBranch, remoteBranch)
+      : { ahead: 0, behind: 0 };
+
+    return {
+      currentBranch,
+      remote,
+      remoteBranch,
+      hasRemoteBranch,
+      ahead,
+      behind,
+      hasUncommittedChanges: await this.gitRepo.hasUncommittedChanges(),
+      status: this.determineSyncStatus(ahead, behind, hasRemoteBranch)
+    };
+  }
+
+  printTriangularState(relationships) {
+    const describeCounts = ({ ahead, behind }) => {
+      if (ahead === 0 && behind === 0) {
+        return chalk.green('up to date');
+      }
+      const parts = [];
+      if (ahead > 0) parts.push(chalk.green(`${ahead} ahead`));
+      if (behind > 0) parts.push(chalk.red(`${behind} behind`));
+      return parts.join(', ');
+    };
+
+    console.log(chalk.white('\nFork workflow:'));
+    if (relationships.base) {
+      console.log(`  Upstream: ${relationships.base.ref} (${describeCounts(relationships.base)})`);
+    }
+    console.log(`  Fork:     ${relationships.fork.ref} (${relationships.fork.exists ? describeCounts(relationships.fork) : chalk.yellow('not pushed yet')})`);
+    console.log('');
+  }
+
+  // Brings the fork's default branch (local and on the push remote) up to date with upstream
+  async syncFromUpstream(options) {
+    const upstreamRemote = await this.triangular.getUpstreamRemote();
+    if (!upstreamRemote) {
+      throw new Error('No upstream remote configured. Add one with "git remote add upstream <url>" or set sync.upstreamRemote');
+    }
+
+    const remote = options.remote;
+    const defaultBranch = await this.triangular.getDefaultBranch();
+    const upstreamRef = `${upstreamRemote}/${defaultBranch}`;
+
+    if (!options.dryRun) {
+      for (const name of [upstreamRemote, remote]) {
+        if (!await this.checkNetworkConnectivity(name, options)) {
+          return;
+        }
+      }
+
+      console.log(chalk.blue(`📡 Fetching from ${upstreamRemote} and ${remote}...`));
+      await this.gitRepo.fetch(upstreamRemote);
+      await this.gitRepo.fetch(remote);
+    }
+
+    const upstreamHash = await this.gitRepo.resolveCommit(upstreamRef);
+    if (!upstreamHash) {
+      throw new Error(`${upstreamRef} does not exist. Check core.defaultBranch.`);
+    }
+
+    const localHash = await this.gitRepo.resolveCommit(`refs/heads/${defaultBranch}`);
+    const local = localHash ? await this.gitRepo.getAheadBehind(localHash, upstreamHash) : null;
+    if (local && local.ahead > 0) {
+      throw new Error(`Local ${defaultBranch} has ${local.ahead} commit(s) that are not in ${upstreamRef}. Move them to a feature branch before refreshing from upstream.`);
+    }
+
+    const forkRef = `${remote}/${defaultBranch}`;
+    const forkHash = await this.gitRepo.resolveCommit(forkRef);
+    const fork = forkHash ? await this.gitRepo.getAheadBehind(forkHash, upstreamHash) : null;
+    if (fork && fork.ahead > 0) {
+      throw new Error(`${forkRef} has ${fork.ahead} commit(s) that are not in ${upstreamRef}; refusing to overwrite them`);
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.cyan('\n🔍 Dry run - showing what would be executed:\n'));
+      console.log(`  • Fast-forward local ${defaultBranch} by ${local ? local.behind : 0} commits from ${upstreamRef}`);
+      console.log(`  • Push ${upstreamRef} to ${forkRef}${fork ? ` (${fork.behind} commits)` : ' (new branch)'}`);
+      return;
+    }
+
+    if (local && local.behind > 0) {
+      const currentBranch = await this.gitRepo.getCurrentBranch();
+      const checkedOutIn = (await this.gitRepo.getWorktreeBranches())[defaultBranch];
+
+      if (currentBranch === defaultBranch) {
+        await this.gitRepo.git.raw(['merge', '--ff-only', upstreamHash]);
+        await this.updateSubmodules(localHash);
+        console.log(chalk.green(`✓ Fast-forwarded ${defaultBranch} by ${local.behind} commits`));
+      } else if (checkedOutIn) {
+        console.log(chalk.yellow(`⚠️  ${defaultBranch} is checked out in ${checkedOutIn}; update it there`));
+      } else {
+        await this.gitRepo.fastForwardBranch(defaultBranch, upstreamHash, localHash, 'easygit sync --upstream');
+        console.log(chalk.green(`✓ Fast-forwarded ${defaultBranch} by ${local.behind} commits`));
+      }
+    } else if (local) {
+      console.log(chalk.green(`✓ Local ${defaultBranch} is up to date with ${upstreamRef}`));
+    }
+
+    if (fork && fork.behind === 0) {
+      console.log(chalk.green(`✓ ${forkRef} is up to date with ${upstreamRef}`));
+      return;
+    }
+
+    // The fork's default branch is usually protected too. The push is a fast-forward
+    // (a fork with commits of its own was refused above), so only the push policy applies.
+    await this.enforcePushPolicy({
+      currentBranch: defaultBranch,
+      remote,
+      remoteBranch: forkRef,
+      hasRemoteBranch: Boolean(forkHash)
+    });
+
+    await this.runSyncHooks('prePush', {
+      EASYGIT_REMOTE: remote,
+      EASYGIT_BRANCH: defaultBranch,
+      EASYGIT_REMOTE_REF: `refs/heads/${defaultBranch}`,
+      EASYGIT_LOCAL_SHA: upstreamHash,
+      EASYGIT_REMOTE_SHA: forkHash || '0'.repeat(40),
+      EASYGIT_PUSH_RANGE: forkHash ? `${forkHash}..${upstreamHash}` : upstreamHash
+    });
+
+    console.log(chalk.blue(`⬆️  Pushing ${upstreamRef} to ${forkRef}...`));
+    await this.gitRepo.git.push([remote, `${upstreamHash}:refs/heads/${defaultBranch}`]);
+    console.log(chalk.green(`✓ ${forkRef} now matches ${upstreamRef}`));
+  }
+
   async analyzeBranchState(currentBranch, remote) {
     try {
       const status = await this.gitRepo.getStatus();
@@ -139,7 +747,8 @@ class SyncCommand {
       // Check if remote branch exists
       const branches = await this.gitRepo.getBranches();
       const remoteBranch = `${remote}/${currentBranch}`;
-      const hasRemoteBranch = branches.all.includes(remoteBranch);
+      // `branch --all` lists remote-tracking branches as remotes/<remote>/<branch>
+      const hasRemoteBranch = branches.all.includes(remoteBranch) || branches.all.includes(`remotes/${remoteBranch}`);
       
       // Check for uncommitted changes
       const hasUncommittedChanges = !status.isClean();
@@ -183,59 +792,214 @@ class SyncCommand {
     return 'unknown';
   }
 
-  async showDryRun(branchState, options) {
-    console.log(chalk.cyan('\n🔍 Dry run - showing what would be executed:\n'));
-    
-    console.log(chalk.white('Repository State:'));
-    console.log(`  Current branch: ${branchState.currentBranch}`);
-    console.log(`  Remote: ${branchState.remote}`);
-    console.log(`  Status: ${branchState.status}`);
-    console.log(`  Ahead: ${branchState.ahead} commits`);
-    console.log(`  Behind: ${branchState.behind} commits`);
-    console.log(`  Uncommitted changes: ${branchState.hasUncommittedChanges ? 'Yes' : 'No'}`);
-    
-    console.log(chalk.white('\nPlanned Actions:'));
-    
-    switch (branchState.status) {
+  // Fetches into a private ref namespace so the preview is current without moving
+  // remote-tracking branches, then predicts the outcome with git merge-tree
+  async showDryRun(currentBranch, sources, options) {
+    if (!options.json) {
+      console.log(chalk.blue(`📡 Fetching ${[...new Set([sources.integrate, sources.push].map(source => source.remote))].join(' and ')} for preview...`));
+    }
+
+    const preview = await this.buildSyncPreview(currentBranch, sources, options);
+
+    if (options.json) {
+      console.log(JSON.stringify(preview, null, 2));
+    } else {
+      this.printSyncPreview(preview);
+    }
+    return preview;
+  }
+
+  async buildSyncPreview(currentBranch, sources, options) {
+    const localHash = await this.gitRepo.resolveCommit(currentBranch);
+    if (!localHash) {
+      throw new Error(`Branch "${currentBranch}" has no commits yet`);
+    }
+
+    const refs = {};
+    const previewRefs = [];
+    const warnings = [];
+
+    try {
+      for (const source of [sources.integrate, sources.push]) {
+        const name = `${source.remote}/${source.branch}`;
+        if (refs[name]) {
+          continue;
+        }
+
+        const previewRef = `refs/easygit/preview/${name}`;
+        try {
+          const exists = await this.gitRepo.fetchToRef(source.remote, source.branch, previewRef);
+          if (exists) {
+            previewRefs.push(previewRef);
+          }
+          refs[name] = { name, ref: exists ? previewRef : null };
+        } catch (error) {
+          // Offline: fall back to whatever was fetched last
+          const cached = await this.gitRepo.resolveCommit(name);
+          refs[name] = { name, ref: cached ? name : null };
+          warnings.push(`Could not fetch ${source.remote} (${error.message.split('\n')[0]}); using the last fetched state`);
+        }
+      }
+
+      const integrate = refs[`${sources.integrate.remote}/${sources.integrate.branch}`];
+      const push = refs[`${sources.push.remote}/${sources.push.branch}`];
+      const isTriangular = integrate !== push;
+
+      const { ahead, behind } = integrate.ref
+        ? await this.gitRepo.getAheadBehind(localHash, integrate.ref)
+        : { ahead: 0, behind: 0 };
+      const status = this.determineSyncStatus(ahead, behind, Boolean(integrate.ref));
+      const strategy = await this.getSyncStrategy(options);
+
+      const incoming = integrate.ref ? await this.gitRepo.getCommitsWithFiles([`${localHash}..${integrate.ref}`]) : [];
+      const outgoing = await this.gitRepo.getCommitsWithFiles([
+        localHash,
+        '--not',
+        ...(push.ref ? [push.ref] : [`--remotes=${sources.push.remote}`]),
+        ...(isTriangular && integrate.ref ? [integrate.ref] : [])
+      ]);
+
+      const conflicts = status === 'diverged'
+        ? await this.gitRepo.predictMergeConflicts(localHash, integrate.ref)
+        : [];
+
+      // Local edits to files that incoming commits also change may not unstash cleanly
+      const gitStatus = await this.gitRepo.getStatus();
+      const uncommittedChanges = gitStatus.files.map(file => file.path);
+      const incomingFiles = new Set(incoming.flatMap(commit => commit.files));
+      const stashConflicts = uncommittedChanges.filter(file => incomingFiles.has(file));
+
+      return {
+        branch: currentBranch,
+        integrateFrom: integrate.name,
+        pushTo: push.name,
+        status,
+        strategy,
+        ahead,
+        behind,
+        incoming,
+        outgoing,
+        conflicts,
+        uncommittedChanges,
+        stashConflicts,
+        warnings,
+        actions: this.describePlannedActions({ status, strategy, ahead, behind, incoming, outgoing, conflicts, uncommittedChanges, integrate, push, isTriangular })
+      };
+    } finally {
+      for (const ref of previewRefs) {
+        await this.gitRepo.deleteRef(ref).catch(() => {});
+      }
+    }
+  }
+
+  describePlannedActions({ status, strategy, behind, outgoing, conflicts, uncommittedChanges, integrate, push, isTriangular }) {
+    const actions = [];
+    const conflictNote = conflicts.length > 0
+      ? ` - ${conflicts.length} file(s) predicted to conflict`
+      : ' - no conflicts predicted';
+
+    if (uncommittedChanges.length > 0 && behind > 0) {
+      actions.push('Stash uncommitted changes before sync');
+    }
+
+    switch (status) {
       case 'up-to-date':
-        console.log('  • No action needed - branch is up to date');
+        actions.push(`No action needed - ${isTriangular ? 'up to date with' : 'branch is up to date with'} ${integrate.name}`);
         break;
-        
       case 'ahead':
-        console.log(`  • Push ${branchState.ahead} commits to ${branchState.remoteBranch}`);
+        if (!isTriangular) {
+          actions.push(`Push ${outgoing.length} commits to ${push.name}`);
+        }
         break;
-        
       case 'behind':
-        const strategy = await this.getSyncStrategy(options);
-        console.log(`  • ${strategy === 'rebase' ? 'Rebase' : 'Merge'} ${branchState.behind} commits from ${branchState.remoteBranch}`);
+        actions.push(`Fast-forward ${behind} commits from ${integrate.name}`);
         break;
-        
       case 'diverged':
-        console.log('  • Handle diverged history (requires user intervention)');
+        actions.push(isTriangular
+          ? `${strategy === 'rebase' ? 'Rebase onto' : 'Merge'} ${behind} commits from ${integrate.name}${conflictNote}`
+          : `Reconcile diverged history with ${integrate.name} (you choose rebase, merge or force push)${conflictNote}`);
+        if (!isTriangular && outgoing.length > 0) {
+          actions.push(`Push ${outgoing.length} commits to ${push.name}`);
+        }
         break;
-        
       case 'new-branch':
-        console.log(`  • Create new remote branch ${branchState.remoteBranch}`);
-        console.log(`  • Push ${branchState.ahead} commits`);
+        if (!isTriangular) {
+          actions.push(`Create new remote branch ${push.name}`);
+          actions.push(`Push ${outgoing.length} commits`);
+        }
         break;
     }
-    
-    if (branchState.hasUncommittedChanges) {
-      console.log('  • Stash uncommitted changes before sync');
-      console.log('  • Restore stashed changes after sync');
+
+    // Rebasing onto upstream rewrites commits the fork already has
+    const rewrites = isTriangular && push.ref && status === 'diverged' && strategy === 'rebase';
+    if (isTriangular && (outgoing.length > 0 || !push.ref || rewrites)) {
+      actions.push(`Push to ${push.name}${push.ref ? '' : ' (new branch)'}${rewrites ? ' with --force-with-lease (rebased history)' : ''}`);
     }
+
+    if (uncommittedChanges.length > 0 && behind > 0) {
+      actions.push('Restore stashed changes after sync');
+    }
+
+    return actions;
   }
 
-  async executeSyncStrategy(branchState, options) {
-    // Handle uncommitted changes
-    let stashCreated = false;
-    if (branchState.hasUncommittedChanges && branchState.status !== 'ahead') {
-      console.log(chalk.blue('📦 Stashing uncommitted changes...'));
-      await this.gitRepo.stash('easygit-sync-auto-stash');
-      stashCreated = true;
+  printSyncPreview(preview) {
+    console.log(chalk.cyan('\n🔍 Dry run - showing what would be executed:\n'));
+
+    preview.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+    console.log(chalk.white('Repository State:'));
+    console.log(`  Current branch: ${preview.branch}`);
+    console.log(`  Integrate from: ${preview.integrateFrom}`);
+    if (preview.pushTo !== preview.integrateFrom) {
+      console.log(`  Push to: ${preview.pushTo}`);
     }
+    console.log(`  Status: ${preview.status}`);
+    console.log(`  Ahead: ${preview.ahead} commits`);
+    console.log(`  Behind: ${preview.behind} commits`);
+    console.log(`  Uncommitted changes: ${preview.uncommittedChanges.length > 0 ? 'Yes' : 'No'}`);
 
-    try {
+    const printCommits = (title, commits) => {
+      if (commits.length === 0) {
+        return;
+      }
+      console.log(chalk.white(`\n${title} (${commits.length}):`));
+      commits.forEach(commit => {
+        console.log(`  ${chalk.yellow(commit.hash.substring(0, 7))} ${commit.subject} ${chalk.gray(`- ${commit.author}, ${new Date(commit.date).toLocaleDateString()}`)}`);
+        const shown = commit.files.slice(0, 5);
+        const more = commit.files.length - shown.length;
+        if (shown.length > 0) {
+          console.log(chalk.gray(`      ${shown.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`));
+        }
+      });
+    };
+
+    printCommits(`Incoming from ${preview.integrateFrom}`, preview.incoming);
+    printCommits(`Outgoing to ${preview.pushTo}`, preview.outgoing);
+
+    if (preview.status === 'diverged') {
+      if (preview.conflicts.length > 0) {
+        console.log(chalk.red(`\nPredicted conflicts (${preview.conflicts.length}):`));
+        preview.conflicts.forEach(file => console.log(chalk.red(`  ✗ ${file}`)));
+        if (preview.strategy === 'rebase') {
+          console.log(chalk.gray('  A rebase replays commits one at a time, so it may stop more than once in these files'));
+        }
+      } else {
+        console.log(chalk.green('\n✓ No conflicts predicted'));
+      }
+    }
+
+    if (preview.stashConflicts.length > 0) {
+      console.log(chalk.yellow('\nUncommitted changes that incoming commits also touch (restoring the stash may conflict):'));
+      preview.stashConflicts.forEach(file => console.log(chalk.yellow(`  • ${file}`)));
+    }
+
+    console.log(chalk.white('\nPlanned Actions:'));
+    preview.actions.forEach(action => console.log(`  • ${action}`));
+  }
+
+  async executeSyncStrategy(branchState, options) {
+    await this.withAutoStash(branchState.hasUncommittedChanges && branchState.status !== 'ahead', async () => {
       switch (branchState.status) {
         case 'up-to-date':
           await this.handleUpToDate(branchState);
@@ -260,6 +1024,20 @@ class SyncCommand {
         default:
           throw new Error(`Unknown sync status: ${branchState.status}`);
       }
+    });
+  }
+
+  async withAutoStash(shouldStash, action) {
+    // Handle uncommitted changes
+    let stashCreated = false;
+    if (shouldStash) {
+      console.log(chalk.blue('📦 Stashing uncommitted changes...'));
+      await this.gitRepo.stash('easygit-sync-auto-stash');
+      stashCreated = true;
+    }
+
+    try {
+      return await action();
     } finally {
       // Restore stashed changes
       if (stashCreated) {
@@ -277,9 +1055,14 @@ class SyncCommand {
   async handleUpToDate(branchState) {
     console.log(chalk.green('✓ Branch is already up to date'));
     console.log(chalk.gray(`   ${branchState.currentBranch} is synchronized with ${branchState.remoteBranch}`));
+
+    // Catches up mirrors that missed an earlier push
+    await this.pushToMirrors(branchState, { primaryStatus: 'up to date' });
   }
 
   async handleAhead(branchState, options) {
+    await this.runPrePushChecks(branchState, { force: Boolean(options.force || options.forceWithLease) });
+
     console.log(chalk.blue(`⬆️  Pushing ${branchState.ahead} commits to ${branchState.remoteBranch}...`));
     
     try {
@@ -294,6 +1077,7 @@ class SyncCommand {
       }
       
       console.log(chalk.green('✓ Successfully pushed changes'));
+      await this.pushToMirrors(branchState, { force: Boolean(options.force || options.forceWithLease) });
     } catch (error) {
       if (error.message.includes('rejected') && error.message.includes('non-fast-forward')) {
         console.log(chalk.red('❌ Push rejected - remote has new commits'));
@@ -306,17 +1090,25 @@ class SyncCommand {
 
   async handleBehind(branchState, options) {
     const strategy = await this.getSyncStrategy(options);
+
+    // Only a branch with its own commits gets a merge commit; otherwise merge fast-forwards
+    if (strategy === 'merge' && branchState.ahead > 0) {
+      await this.enforceLinearHistory(branchState);
+    }
     
     console.log(chalk.blue(`⬇️  ${strategy === 'rebase' ? 'Rebasing' : 'Merging'} ${branchState.behind} commits from ${branchState.remoteBranch}...`));
     
     try {
+      const signing = await this.getSigningConfig();
+      const beforeSha = await this.gitRepo.resolveCommit('HEAD');
       if (strategy === 'rebase') {
-        await this.gitRepo.git.rebase([branchState.remoteBranch]);
+        await this.gitRepo.rebase([branchState.remoteBranch], signing);
       } else {
-        await this.gitRepo.git.merge([branchState.remoteBranch]);
+        await this.gitRepo.merge([branchState.remoteBranch], signing);
       }
       
       console.log(chalk.green(`✓ Successfully ${strategy === 'rebase' ? 'rebased' : 'merged'} remote changes`));
+      await this.afterIntegration(branchState, strategy, beforeSha);
     } catch (error) {
       if (error.message.includes('CONFLICT')) {
         console.log(chalk.yellow('⚠️  Merge conflicts detected'));
@@ -331,6 +1123,8 @@ class SyncCommand {
     console.log(chalk.yellow('⚠️  Branch has diverged from remote'));
     console.log(chalk.gray(`   Local: ${branchState.ahead} commits ahead`));
     console.log(chalk.gray(`   Remote: ${branchState.behind} commits behind`));
+
+    const policy = await this.getPushPolicy(branchState.currentBranch);
     
     const choices = [
       {
@@ -341,12 +1135,14 @@ class SyncCommand {
       {
         name: 'Merge remote changes into local branch',
         value: 'merge',
-        short: 'Merge'
+        short: 'Merge',
+        disabled: policy.enforceLinearHistory ? 'linear history is enforced' : false
       },
       {
         name: 'Force push local changes (dangerous)',
         value: 'force',
-        short: 'Force push'
+        short: 'Force push',
+        disabled: policy.isProtected ? 'protected branch' : false
       },
       {
         name: 'Cancel and resolve manually',
@@ -355,13 +1151,16 @@ class SyncCommand {
       }
     ];
 
-    const { strategy } = await inquirer.prompt([{
-      type: 'list',
-      name: 'strategy',
-      message: 'How would you like to resolve the diverged history?',
-      choices,
-      default: 'rebase'
-    }]);
+    // --rebase / --merge answer the question up front
+    const { strategy } = options.rebase || options.merge
+      ? { strategy: options.rebase ? 'rebase' : 'merge' }
+      : await this.prompts.prompt('sync.diverged', [{
+        type: 'list',
+        name: 'strategy',
+        message: 'How would you like to resolve the diverged history?',
+        choices,
+        default: 'rebase'
+      }]);
 
     switch (strategy) {
       case 'rebase':
@@ -381,12 +1180,16 @@ class SyncCommand {
   async handleRebaseDiverged(branchState) {
     try {
       console.log(chalk.blue('🔄 Rebasing local commits on top of remote...'));
-      await this.gitRepo.git.rebase([branchState.remoteBranch]);
+      const beforeSha = await this.gitRepo.resolveCommit('HEAD');
+      await this.gitRepo.rebase([branchState.remoteBranch], await this.getSigningConfig());
+      await this.afterIntegration(branchState, 'rebase', beforeSha);
       
+      await this.runPrePushChecks(branchState);
       console.log(chalk.blue('⬆️  Pushing rebased commits...'));
       await this.gitRepo.push(branchState.remote, branchState.currentBranch);
       
       console.log(chalk.green('✓ Successfully rebased and pushed'));
+      await this.pushToMirrors(branchState);
     } catch (error) {
       if (error.message.includes('CONFLICT')) {
         console.log(chalk.yellow('⚠️  Rebase conflicts detected'));
@@ -399,14 +1202,20 @@ class SyncCommand {
   }
 
   async handleMergeDiverged(branchState) {
+    await this.enforceLinearHistory(branchState);
+
     try {
       console.log(chalk.blue('🔀 Merging remote changes...'));
-      await this.gitRepo.git.merge([branchState.remoteBranch]);
+      const beforeSha = await this.gitRepo.resolveCommit('HEAD');
+      await this.gitRepo.merge([branchState.remoteBranch], await this.getSigningConfig());
+      await this.afterIntegration(branchState, 'merge', beforeSha);
       
+      await this.runPrePushChecks(branchState);
       console.log(chalk.blue('⬆️  Pushing merge commit...'));
       await this.gitRepo.push(branchState.remote, branchState.currentBranch);
       
       console.log(chalk.green('✓ Successfully merged and pushed'));
+      await this.pushToMirrors(branchState);
     } catch (error) {
       if (error.message.includes('CONFLICT')) {
         console.log(chalk.yellow('⚠️  Merge conflicts detected'));
@@ -418,26 +1227,31 @@ class SyncCommand {
   }
 
   async handleForcePushDiverged(branchState) {
+    await this.enforcePushPolicy(branchState, { force: true });
+
     console.log(chalk.red('⚠️  WARNING: Force push will overwrite remote history!'));
     console.log(chalk.red('   This may cause data loss for other team members.'));
     
-    const { confirmed } = await inquirer.prompt([{
+    const { confirmed } = await this.prompts.prompt('sync.forcePush', [{
       type: 'confirm',
       name: 'confirmed',
       message: 'Are you absolutely sure you want to force push?',
       default: false
-    }]);
+    }], { destructive: true });
 
     if (!confirmed) {
       throw new Error('Force push cancelled by user');
     }
 
+    await this.runPrePushChecks(branchState, { force: true });
+
     try {
       console.log(chalk.yellow('💥 Force pushing with lease...'));
       await this.gitRepo.git.push([branchState.remote, branchState.currentBranch, '--force-with-lease']);
       
       console.log(chalk.green('✓ Force push completed'));
       console.log(chalk.yellow('⚠️  Notify your team about the history rewrite'));
+      await this.pushToMirrors(branchState, { force: true });
     } catch (error) {
       if (error.message.includes('stale info')) {
         throw new Error('Force push rejected - remote has newer commits. Someone else pushed while you were working.');
@@ -447,17 +1261,323 @@ class SyncCommand {
   }
 
   async handleNewBranch(branchState, options) {
+    await this.runPrePushChecks(branchState);
+
     console.log(chalk.blue(`🌟 Creating new remote branch ${branchState.remoteBranch}...`));
     
     try {
       await this.gitRepo.git.push([branchState.remote, branchState.currentBranch, '-u']);
       console.log(chalk.green('✓ Successfully created remote branch and pushed commits'));
       console.log(chalk.gray(`   Upstream tracking set to ${branchState.remoteBranch}`));
+      await this.pushToMirrors(branchState);
     } catch (error) {
       throw new Error(`Failed to create remote branch: ${error.message}`);
     }
   }
 
+  // Mirrors listed in sync.pushRemotes get the branch after the primary push succeeded.
+  // They are pushed in parallel and a failing mirror never undoes the primary push.
+  async pushToMirrors(branchState, { force = false, primaryStatus = 'pushed' } = {}) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const pushRemotes = await config.get('sync.pushRemotes', []);
+    const mirrors = [...new Set(pushRemotes)].filter(remote => remote !== branchState.remote);
+
+    if (mirrors.length === 0) {
+      return [];
+    }
+
+    const pushTags = await config.get('sync.mirrorTags', false);
+    const knownRemotes = (await this.gitRepo.getRemotes()).map(remote => remote.name);
+    const branch = branchState.currentBranch;
+
+    console.log(chalk.blue(`🪞 Pushing ${branch} to ${mirrors.length} mirror(s)...`));
+
+    const results = await Promise.all(mirrors.map(async (remote) => {
+      if (!knownRemotes.includes(remote)) {
+        return { remote, success: false, error: 'remote is not configured in this repository' };
+      }
+
+      // A mirror follows the primary, so a rewritten primary is force pushed to it as well
+      const args = [remote, `refs/heads/${branch}:refs/heads/${branch}`];
+      if (force) args.push('--force');
+      if (pushTags) args.push('--follow-tags');
+
+      try {
+        await this.gitRepo.git.push(args);
+        return { remote, success: true };
+      } catch (error) {
+        return { remote, success: false, error: this.summarizeGitError(error) };
+      }
+    }));
+
+    const width = Math.max(branchState.remote.length, ...mirrors.map(remote => remote.length));
+    console.log(`   ${branchState.remote.padEnd(width)}  ${chalk.green(`✓ ${primaryStatus}`)} ${chalk.gray('(primary)')}`);
+    results.forEach(result => {
+      console.log(`   ${result.remote.padEnd(width)}  ${result.success ? chalk.green('✓ pushed') : chalk.red(`✗ ${result.error}`)}`);
+    });
+
+    if (results.some(result => !result.success)) {
+      console.log(chalk.yellow(`⚠️  Some mirrors were not updated; ${branchState.remote} already has your commits`));
+      console.log(chalk.cyan('💡 Run "easygit sync" again once the mirrors are reachable'));
+    }
+    return results;
+  }
+
+  // The line of git's output that says what went wrong
+  summarizeGitError(error) {
+    const lines = error.message.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.find(line => /^(fatal|error|remote: error|! \[)/.test(line)) || lines[0] || 'push failed';
+  }
+
+  // Checks that run before anything is pushed to the remote
+  async runPrePushChecks(branchState, { force = false } = {}) {
+    await this.enforcePushPolicy(branchState, { force });
+    await this.checkUnsignedCommits(branchState);
+    await this.checkLargeFilesInHistory(branchState);
+    await this.runPrePushHooks(branchState);
+  }
+
+  async getPushPolicy(branch) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+
+    return {
+      isProtected: await config.isProtectedBranch(branch),
+      requirePullRequests: await config.get('team.requirePullRequests', false),
+      enforceLinearHistory: await config.get('team.enforceLinearHistory', false)
+    };
+  }
+
+  // Protected branches never take force pushes, and with team.requirePullRequests
+  // they only change through pull requests
+  async enforcePushPolicy(branchState, { force = false } = {}) {
+    const branch = branchState.currentBranch;
+    const policy = await this.getPushPolicy(branch);
+
+    if (!policy.isProtected) {
+      return;
+    }
+
+    if (policy.requirePullRequests) {
+      throw new Error(`Refused by team policy: "${branch}" is protected and only changes through pull requests. ` +
+        `Move your commits to a feature branch ("easygit switch -c <name>"), push it with "easygit sync" and open a pull request.`);
+    }
+
+    if (force) {
+      throw new Error(`Refused by team policy: force pushing to protected branch "${branch}" would rewrite history others have pulled. ` +
+        `Run "easygit sync --rebase" to put your commits on top of ${branchState.remoteBranch} and push normally, or revert commits instead of removing them.`);
+    }
+  }
+
+  async enforceLinearHistory(branchState) {
+    const policy = await this.getPushPolicy(branchState.currentBranch);
+
+    if (policy.enforceLinearHistory) {
+      throw new Error(`Refused by team policy: team.enforceLinearHistory is set, so sync will not create a merge commit on "${branchState.currentBranch}". ` +
+        `Run "easygit sync --rebase" (or choose rebase) to replay your commits on top of ${branchState.remoteBranch} instead.`);
+    }
+  }
+
+  // Only the commits the remote does not have yet
+  getOutgoingRange(branchState) {
+    return branchState.hasRemoteBranch
+      ? [`${branchState.remoteBranch}..${branchState.currentBranch}`]
+      : [branchState.currentBranch, '--not', `--remotes=${branchState.remote}`];
+  }
+
+  // prePush hooks see the range being pushed; any failure aborts the push
+  async runPrePushHooks(branchState) {
+    const localSha = await this.gitRepo.resolveCommit(branchState.currentBranch);
+    const remoteSha = branchState.hasRemoteBranch ? await this.gitRepo.resolveCommit(branchState.remoteBranch) : null;
+
+    await this.runSyncHooks('prePush', {
+      EASYGIT_REMOTE: branchState.remote,
+      EASYGIT_BRANCH: branchState.currentBranch,
+      EASYGIT_REMOTE_REF: `refs/heads/${branchState.currentBranch}`,
+      EASYGIT_LOCAL_SHA: localSha,
+      EASYGIT_REMOTE_SHA: remoteSha || '0'.repeat(40),
+      EASYGIT_PUSH_RANGE: this.getOutgoingRange(branchState).join(' ')
+    });
+  }
+
+  async afterIntegration(branchState, strategy, beforeSha) {
+    await this.updateSubmodules(beforeSha);
+    await this.runPostMergeHooks(branchState, strategy, beforeSha);
+  }
+
+  // Moves submodule checkouts along when the integrated commits changed their pointers
+  async updateSubmodules(beforeSha) {
+    try {
+      const before = await this.submodules.getRecordedShas(beforeSha);
+      const changed = await this.submodules.updateIfChanged(before);
+      if (changed.length > 0) {
+        console.log(chalk.green(`✓ Updated submodules: ${changed.join(', ')}`));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not update submodules: ${error.message.split('\n')[0]}`));
+      console.log(chalk.cyan('💡 Run "git submodule update --init --recursive" manually'));
+    }
+  }
+
+  // postMerge hooks run once remote commits are in; a failure is reported but not undone
+  async runPostMergeHooks(branchState, strategy, beforeSha) {
+    const afterSha = await this.gitRepo.resolveCommit('HEAD');
+
+    try {
+      await this.runSyncHooks('postMerge', {
+        EASYGIT_REMOTE: branchState.remote,
+        EASYGIT_BRANCH: branchState.currentBranch,
+        EASYGIT_STRATEGY: strategy,
+        EASYGIT_MERGE_FROM: beforeSha,
+        EASYGIT_MERGE_TO: afterSha,
+        EASYGIT_MERGE_RANGE: `${beforeSha}..${afterSha}`
+      });
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: ${error.message}`));
+    }
+  }
+
+  async runSyncHooks(hookType, env) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const hooks = await config.getHooks(hookType);
+
+    if (hooks.length === 0) {
+      return;
+    }
+
+    console.log(chalk.blue(`🪝 Running ${hookType} hooks...`));
+
+    const { spawn } = require('child_process');
+    for (const hook of hooks) {
+      console.log(chalk.gray(`   Running: ${hook}`));
+
+      const code = await new Promise((resolve, reject) => {
+        const hookProcess = spawn('sh', ['-c', hook], {
+          cwd: this.gitRepo.workingDir,
+          env: { ...process.env, ...env },
+          stdio: 'inherit'
+        });
+
+        hookProcess.on('close', resolve);
+        hookProcess.on('error', reject);
+      });
+
+      if (code !== 0) {
+        console.log(chalk.red(`   ❌ Hook failed: ${hook}`));
+        throw new Error(`${hookType} hook failed: ${hook} (exit code ${code})`);
+      }
+      console.log(chalk.green(`   ✓ ${hook}`));
+    }
+  }
+
+  // Warns about unsigned commits bound for a protected branch; only teams that
+  // sign every commit (core.signCommits) have the push blocked
+  async checkUnsignedCommits(branchState) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+
+    if (!await config.isProtectedBranch(branchState.currentBranch)) {
+      return;
+    }
+
+    const unsigned = await this.gitRepo.getUnsignedCommits(this.getOutgoingRange(branchState));
+    if (unsigned.length === 0) {
+      return;
+    }
+
+    console.log(chalk.yellow(`\n⚠️  ${unsigned.length} unsigned commit(s) about to be pushed to protected branch "${branchState.currentBranch}":`));
+    unsigned.slice(0, 10).forEach(commit => {
+      console.log(chalk.yellow(`   • ${commit.hash.substring(0, 8)} ${commit.subject}`));
+    });
+    if (unsigned.length > 10) {
+      console.log(chalk.gray(`   ... and ${unsigned.length - 10} more`));
+    }
+
+    if (!(await config.getSigningConfig()).enabled) {
+      console.log(chalk.cyan('💡 Enable core.signCommits to sign new commits'));
+      return;
+    }
+
+    console.log(chalk.cyan('💡 Re-sign them with "easygit rebase" before pushing'));
+    throw new Error('Push cancelled: core.signCommits requires signed commits on protected branches');
+  }
+
+  async checkLargeFilesInHistory(branchState) {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    const threshold = await config.getLargeFileThreshold();
+
+    const lfs = new LfsManager(this.gitRepo);
+    const lfsInstalled = await lfs.isInstalled();
+
+    let largeFiles = await this.gitRepo.findLargeFilesInRange(this.getOutgoingRange(branchState), threshold);
+    if (lfsInstalled && largeFiles.length > 0) {
+      // Blobs already converted to pointers are tiny, but the path may be tracked since
+      const tracked = await lfs.getLfsTrackedFiles([...new Set(largeFiles.map(file => file.path))]);
+      largeFiles = largeFiles.filter(file => !tracked.includes(file.path));
+    }
+
+    if (largeFiles.length === 0) {
+      return;
+    }
+
+    console.log(chalk.yellow(`\n⚠️  Unpushed commits contain files over ${(threshold / (1024 * 1024)).toFixed(0)} MB:`));
+    largeFiles.slice(0, 10).forEach(({ commit, path, size }) => {
+      const sizeMB = (size / (1024 * 1024)).toFixed(2);
+      console.log(chalk.yellow(`   • ${commit.substring(0, 8)} ${path} (${sizeMB} MB)`));
+    });
+    if (largeFiles.length > 10) {
+      console.log(chalk.gray(`   ... and ${largeFiles.length - 10} more`));
+    }
+
+    if (!lfsInstalled) {
+      console.log(chalk.cyan('💡 Install Git LFS (https://git-lfs.com) to move them out of the history before pushing'));
+    } else {
+      const patterns = [...new Set(largeFiles.map(file => lfs.suggestPattern(file.path)))];
+      const { migrate } = await this.prompts.prompt('sync.lfsMigrate', [{
+        type: 'confirm',
+        name: 'migrate',
+        message: `Rewrite the unpushed commits to store ${patterns.join(', ')} in Git LFS?`,
+        default: true
+      }]);
+
+      if (migrate) {
+        const status = await this.gitRepo.getStatus();
+        if (!status.isClean()) {
+          throw new Error('Working directory has uncommitted changes. Save or stash them before migrating to LFS.');
+        }
+
+        console.log(chalk.blue('📦 Migrating unpushed commits to Git LFS...'));
+        await lfs.migrateUnpushed(
+          patterns,
+          branchState.currentBranch,
+          branchState.hasRemoteBranch ? branchState.remoteBranch : null
+        );
+        console.log(chalk.green('✓ Large files moved to Git LFS'));
+        return;
+      }
+    }
+
+    const { proceed } = await this.prompts.prompt('sync.largeFiles', [{
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Push the large files anyway?',
+      default: false
+    }]);
+
+    if (!proceed) {
+      throw new Error('Push cancelled: large files in unpushed commits');
+    }
+  }
+
+  async getSigningConfig() {
+    const configManager = require('../core/config-manager');
+    const config = new configManager();
+    return await config.getSigningConfig();
+  }
+
   async getSyncStrategy(options) {
     if (options.rebase) return 'rebase';
     if (options.merge) return 'merge';
@@ -1,10 +1,11 @@
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const PromptService = require('../core/prompt-service');
 
 class UndoCommand {
   constructor(program, gitRepoGetter, errorHandler) {
     this.gitRepoGetter = gitRepoGetter;
     this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
     this.setupCommand(program);
   }
 
@@ -25,7 +26,7 @@ class UndoCommand {
           await this.execute(options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -56,12 +57,12 @@ class UndoCommand {
       console.log(`   ${i + 1}. ${commit.hash.substring(0, 8)} ${commit.message}`);
     });
 
-    const { confirmed } = await inquirer.prompt([{
+    const { confirmed } = await this.prompts.prompt('undo.commits', [{
       type: 'confirm',
       name: 'confirmed',
       message: `Confirm undo ${count} commit(s)?`,
       default: false
-    }]);
+    }], { destructive: true });
 
     if (!confirmed) {
       console.log(chalk.yellow('Undo cancelled'));
@@ -81,12 +82,12 @@ class UndoCommand {
 
     console.log(chalk.yellow(`⚠️  About to undo merge commit: ${lastCommit.hash.substring(0, 8)} ${lastCommit.message}`));
 
-    const { confirmed } = await inquirer.prompt([{
+    const { confirmed } = await this.prompts.prompt('undo.merge', [{
       type: 'confirm',
       name: 'confirmed',
       message: 'Confirm undo merge?',
       default: false
-    }]);
+    }], { destructive: true });
 
     if (!confirmed) {
       console.log(chalk.yellow('Undo cancelled'));
@@ -23,7 +23,7 @@ class UpdateCommand {
           await this.execute(options);
         } catch (error) {
           await this.errorHandler.handleError(error, this.gitRepo);
-          process.exit(1);
+          process.exit(error.exitCode || 1);
         }
       });
   }
@@ -33,6 +33,8 @@ class UpdateCommand {
       throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
     }
 
+    const tagsBefore = await this.getTagNames();
+
     console.log(chalk.blue('📡 Fetching remote updates...'));
 
     if (options.all) {
@@ -49,6 +51,32 @@ class UpdateCommand {
     } else {
       console.log(chalk.green('✓ Up to date with remote'));
     }
+
+    await this.reportNewTags(tagsBefore);
+  }
+
+  async getTagNames() {
+    const info = this.gitRepo.repositoryInfo;
+    if (info && info.tags) {
+      return new Set(info.tags.all);
+    }
+    return new Set(Object.keys(await this.gitRepo.getLocalTags()));
+  }
+
+  // Fetch follows tags that point into the fetched history, so anything new
+  // in the local tag list arrived with this fetch
+  async reportNewTags(tagsBefore) {
+    const tags = await this.gitRepo.getLocalTags();
+    const newTags = Object.keys(tags).filter(name => !tagsBefore.has(name));
+    if (newTags.length === 0) {
+      return;
+    }
+
+    console.log(chalk.blue(`🏷️  ${newTags.length} new tag(s) from the remote:`));
+    for (const name of newTags) {
+      const [commit] = await this.gitRepo.getCommitsInRange(['-1', tags[name].commit]);
+      console.log(chalk.gray(`   ${name} → ${tags[name].commit.substring(0, 8)}${commit ? ` ${commit.subject}` : ''}`));
+    }
   }
 }
 
@@ -0,0 +1,153 @@
+const chalk = require('chalk');
+const path = require('path');
+const PromptService = require('../core/prompt-service');
+const WorktreeManager = require('../core/worktree-manager');
+
+class WorktreeCommand {
+  constructor(program, gitRepoGetter, errorHandler) {
+    this.gitRepoGetter = gitRepoGetter;
+    this.errorHandler = errorHandler;
+    this.prompts = new PromptService();
+    this.setupCommand(program);
+  }
+
+  get gitRepo() {
+    return this.gitRepoGetter();
+  }
+
+  setupCommand(program) {
+    const worktree = program
+      .command('worktree')
+      .description('Manage the worktrees branches are checked out in (see "easygit switch --worktree")');
+
+    worktree
+      .command('list')
+      .description('Show each worktree with its branch, uncommitted changes and stale entries')
+      .action(async () => this.run(() => this.list()));
+
+    worktree
+      .command('prune')
+      .description('Forget worktrees whose directory no longer exists')
+      .option('--dry-run', 'Only show what would be pruned')
+      .action(async (options) => this.run(() => this.prune(options)));
+
+    worktree
+      .command('remove')
+      .description('Delete a worktree, given its path or the branch it holds')
+      .argument('<worktree>', 'Worktree path or branch name')
+      .option('-f, --force', 'Remove even with uncommitted changes')
+      .action(async (target, options) => this.run(() => this.remove(target, options)));
+  }
+
+  async run(action) {
+    try {
+      if (!this.gitRepo || !this.gitRepo.isRepository()) {
+        throw new Error('Not in a Git repository. Use "git init" to create a new repository.');
+      }
+      await action();
+    } catch (error) {
+      await this.errorHandler.handleError(error, this.gitRepo);
+      process.exit(error.exitCode || 1);
+    }
+  }
+
+  async list() {
+    const manager = new WorktreeManager(this.gitRepo);
+    const worktrees = await manager.listWithState();
+    const currentPath = await manager.canonicalPath(await manager.getCurrentPath());
+
+    console.log(chalk.blue(`🌳 Worktrees (${worktrees.length})`));
+    let stale = 0;
+
+    for (const worktree of worktrees) {
+      const isCurrent = await manager.canonicalPath(worktree.path) === currentPath;
+      const holds = worktree.bare ? 'bare'
+        : worktree.branch ? worktree.branch
+          : `detached at ${(worktree.head || '').substring(0, 8)}`;
+
+      const state = [];
+      if (worktree.missing || worktree.prunable) {
+        state.push(chalk.red('stale'));
+        stale++;
+      } else if (worktree.dirty) {
+        state.push(chalk.yellow('uncommitted changes'));
+      } else if (!worktree.bare) {
+        state.push(chalk.green('clean'));
+      }
+      if (worktree.locked) state.push(chalk.gray('locked'));
+      if (worktree.main) state.push(chalk.gray('main'));
+
+      const marker = isCurrent ? chalk.green('* ') : '  ';
+      console.log(`${marker}${chalk.cyan(holds.padEnd(24))} ${worktree.path} ${chalk.gray('·')} ${state.join(', ')}`);
+    }
+
+    if (stale > 0) {
+      console.log(chalk.cyan(`\n💡 ${stale} worktree(s) no longer exist on disk. Run "easygit worktree prune" to forget them`));
+    }
+  }
+
+  async prune(options = {}) {
+    const manager = new WorktreeManager(this.gitRepo);
+    const pruned = await manager.prune({ dryRun: options.dryRun });
+
+    if (pruned.length === 0) {
+      console.log(chalk.green('✓ No stale worktrees'));
+      return;
+    }
+
+    console.log(chalk.blue(options.dryRun ? 'Would prune:' : 'Pruned:'));
+    pruned.forEach(worktree => console.log(chalk.gray(`   ${worktree.path}${worktree.branch ? ` (${worktree.branch})` : ''}`)));
+  }
+
+  async remove(target, options = {}) {
+    const manager = new WorktreeManager(this.gitRepo);
+    const worktrees = await manager.listWithState();
+    const targetPath = await manager.canonicalPath(path.resolve(target));
+
+    let worktree = worktrees.find(candidate => candidate.branch === target);
+    if (!worktree) {
+      for (const candidate of worktrees) {
+        if (await manager.canonicalPath(candidate.path) === targetPath) {
+          worktree = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!worktree) {
+      throw new Error(`No worktree found for "${target}". Run "easygit worktree list" to see them`);
+    }
+    if (worktree.main) {
+      throw new Error('The main worktree cannot be removed');
+    }
+    if (await manager.canonicalPath(worktree.path) === await manager.canonicalPath(await manager.getCurrentPath())) {
+      throw new Error('Cannot remove the worktree you are in. Run this from another worktree');
+    }
+
+    if (worktree.dirty) {
+      if (!options.force) {
+        throw new Error(`Worktree ${worktree.path} has uncommitted changes. Commit them or use --force to discard them`);
+      }
+
+      const { confirmed } = await this.prompts.prompt('worktree.removeDirty', [{
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Discard the uncommitted changes in ${worktree.path}?`,
+        default: false
+      }], { destructive: true });
+
+      if (!confirmed) {
+        console.log(chalk.yellow('Worktree kept'));
+        return;
+      }
+    }
+
+    await manager.remove(worktree.path, { force: options.force || worktree.missing });
+    console.log(chalk.green(`✓ Removed worktree ${worktree.path}`));
+    if (worktree.branch) {
+      console.log(chalk.gray(`   Branch '${worktree.branch}' is kept; delete it with "git branch -d ${worktree.branch}"`));
+    }
+  }
+}
+
+module.exports = WorktreeCommand;
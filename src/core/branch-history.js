@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const VISITS_KEPT = 10;
+
+// Recent visits per branch, for ranking the branch finder by frecency.
+// ~/.easygit/recent-branches.json holds one entry per repository, keyed by the
+// repository's git directory so that clones never share history and worktrees do.
+class BranchHistory {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+    this.historyFile = path.join(os.homedir(), '.easygit', 'recent-branches.json');
+  }
+
+  async getRepositoryKey() {
+    const gitDir = (await this.gitRepo.git.raw(['rev-parse', '--path-format=absolute', '--git-common-dir'])).trim();
+    try {
+      return await fs.realpath(gitDir);
+    } catch (error) {
+      return gitDir;
+    }
+  }
+
+  async load() {
+    try {
+      const history = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+      // Older versions kept a flat list of switches across all repositories,
+      // which cannot be split by repository and is started over
+      if (!Array.isArray(history) && history.repositories) {
+        return history;
+      }
+    } catch (error) {
+      // File doesn't exist or is invalid, start fresh
+    }
+    return { repositories: {} };
+  }
+
+  async save(history) {
+    await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+    await fs.writeFile(this.historyFile, JSON.stringify(history, null, 2));
+  }
+
+  // Branch -> [ISO timestamps], most recent first
+  async getVisits() {
+    const history = await this.load();
+    return history.repositories[await this.getRepositoryKey()] || {};
+  }
+
+  async recordVisit(branch, now = new Date()) {
+    const history = await this.load();
+    const key = await this.getRepositoryKey();
+    const visits = history.repositories[key] || {};
+
+    visits[branch] = [now.toISOString(), ...(visits[branch] || [])].slice(0, VISITS_KEPT);
+    history.repositories[key] = visits;
+    await this.save(history);
+  }
+
+  // Each remembered visit counts for less the older it is, so a branch visited
+  // often last week can still rank below one visited once an hour ago
+  static score(timestamps, now = Date.now()) {
+    return timestamps.reduce((total, timestamp) => {
+      const age = now - new Date(timestamp).getTime();
+      if (age < 4 * HOUR) return total + 100;
+      if (age < DAY) return total + 70;
+      if (age < 7 * DAY) return total + 40;
+      if (age < 30 * DAY) return total + 20;
+      return total + 5;
+    }, 0);
+  }
+
+  // [{ branch, score, visits, lastVisited }] sorted by score, best first
+  async getRanking(now = Date.now()) {
+    const visits = await this.getVisits();
+    return Object.entries(visits)
+      .map(([branch, timestamps]) => ({
+        branch,
+        score: BranchHistory.score(timestamps, now),
+        visits: timestamps.length,
+        lastVisited: timestamps[0]
+      }))
+      .sort((a, b) => b.score - a.score || b.lastVisited.localeCompare(a.lastVisited));
+  }
+
+  static formatAge(timestamp, now = Date.now()) {
+    const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute(s) ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} hour(s) ago`;
+    return `${Math.floor(minutes / (24 * 60))} day(s) ago`;
+  }
+}
+
+module.exports = BranchHistory;
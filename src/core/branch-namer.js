@@ -0,0 +1,175 @@
+const chalk = require('chalk');
+
+const DEFAULT_BRANCH_TYPES = ['feature', 'fix', 'chore', 'docs', 'refactor', 'test'];
+
+const SLUG_PATTERN = '[a-z0-9]+(?:-[a-z0-9]+)*';
+const SLUG_MAX_LENGTH = 50;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds and checks branch names against team.branchNameFormat, a template such
+// as "{type}/{issue}-{slug}". {type} is one of team.branchTypes, {issue} matches
+// team.issueKeyPattern, {slug} is a slugified description and any other
+// placeholder is free text without slashes. Without a format only git's own
+// ref name rules apply.
+class BranchNamer {
+  constructor(options = {}) {
+    this.format = options.format || null;
+    this.types = options.types && options.types.length > 0 ? options.types : DEFAULT_BRANCH_TYPES;
+    this.issueKeyPattern = options.issueKeyPattern || '[A-Z][A-Z0-9]+-\\d+';
+
+    // Compile once so configuration mistakes surface immediately
+    if (this.format) {
+      try {
+        this.issuePattern = new RegExp(`^(?:${this.issueKeyPattern})$`);
+        this.pattern = new RegExp(`^${this.toPattern(this.format)}$`);
+      } catch (error) {
+        throw new Error(`Invalid team.branchNameFormat "${this.format}": ${error.message}`);
+      }
+    }
+  }
+
+  static slugify(text) {
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, SLUG_MAX_LENGTH)
+      .replace(/-+$/, '');
+  }
+
+  getPlaceholders() {
+    return this.format ? [...this.format.matchAll(/\{(\w+)\}/g)].map(match => match[1]) : [];
+  }
+
+  toPattern(format) {
+    return format.split(/(\{\w+\})/).map(part => {
+      const placeholder = part.match(/^\{(\w+)\}$/);
+      if (!placeholder) {
+        return escapeRegExp(part);
+      }
+
+      switch (placeholder[1]) {
+        case 'type':
+          return `(?:${this.types.map(escapeRegExp).join('|')})`;
+        case 'issue':
+          return `(?:${this.issueKeyPattern})`;
+        case 'slug':
+          return SLUG_PATTERN;
+        default:
+          return '[^/]+';
+      }
+    }).join('');
+  }
+
+  build(parts) {
+    return this.format.replace(/\{(\w+)\}/g, (match, name) => parts[name] || '');
+  }
+
+  getExample() {
+    return this.build({ type: this.types[0], issue: 'PROJ-123', slug: 'short-description' });
+  }
+
+  // True, or a message saying what is wrong (usable as an inquirer validate function)
+  validate(name) {
+    if (!name || !name.trim()) return 'Branch name cannot be empty';
+    if (/\s/.test(name)) return 'Branch name cannot contain spaces';
+    if (name.startsWith('-')) return 'Branch name cannot start with "-"';
+    if (name.includes('..')) return 'Branch name cannot contain ".."';
+    if (/[~^:?*[\\\x00-\x1f\x7f]/.test(name) || name.includes('@{')) {
+      return 'Branch name contains invalid characters';
+    }
+    if (name.endsWith('/') || name.endsWith('.') || name.endsWith('.lock') || name.includes('//') || /(^|\/)\./.test(name)) {
+      return 'Branch name has an invalid "/" or "." placement';
+    }
+
+    if (this.pattern && !this.pattern.test(name)) {
+      return `Branch name must follow the team format ${this.format} (for example ${this.getExample()})`;
+    }
+    return true;
+  }
+
+  // Throws unless the name passes validate() and "git check-ref-format", which has the final word
+  async assertValid(git, name) {
+    const validation = this.validate(name);
+    if (validation !== true) {
+      throw new Error(`Invalid branch name "${name}": ${validation}`);
+    }
+
+    try {
+      await git.raw(['check-ref-format', '--branch', name]);
+    } catch (error) {
+      throw new Error(`Invalid branch name "${name}": rejected by git check-ref-format`);
+    }
+  }
+
+  // Asks for a new branch name: the whole name when there is no team format,
+  // otherwise each part of it. promptId is used for the whole-name question.
+  async ask(prompts, promptId, git) {
+    let name;
+
+    if (!this.format) {
+      const { branchName } = await prompts.prompt(promptId, [{
+        type: 'input',
+        name: 'branchName',
+        message: 'Enter new branch name:',
+        validate: (input) => this.validate(input.trim())
+      }]);
+      name = branchName.trim();
+    } else {
+      const parts = {};
+      for (const placeholder of this.getPlaceholders()) {
+        parts[placeholder] = await this.askPart(prompts, placeholder);
+      }
+      name = this.build(parts);
+      console.log(chalk.gray(`Branch name: ${name}`));
+    }
+
+    await this.assertValid(git, name);
+    return name;
+  }
+
+  async askPart(prompts, placeholder) {
+    if (placeholder === 'type') {
+      const { type } = await prompts.prompt('branchName.type', [{
+        type: 'list',
+        name: 'type',
+        message: 'Type of change:',
+        choices: this.types
+      }]);
+      return type;
+    }
+
+    if (placeholder === 'issue') {
+      const { issue } = await prompts.prompt('branchName.issue', [{
+        type: 'input',
+        name: 'issue',
+        message: 'Issue key:',
+        validate: (input) => this.issuePattern.test(input.trim()) || `Issue key must match ${this.issueKeyPattern}`
+      }]);
+      return issue.trim();
+    }
+
+    if (placeholder === 'slug') {
+      const { description } = await prompts.prompt('branchName.description', [{
+        type: 'input',
+        name: 'description',
+        message: 'Short description:',
+        validate: (input) => BranchNamer.slugify(input) !== '' || 'Description needs at least one letter or digit'
+      }]);
+      return BranchNamer.slugify(description);
+    }
+
+    const { value } = await prompts.prompt(`branchName.${placeholder}`, [{
+      type: 'input',
+      name: 'value',
+      message: `${placeholder}:`,
+      validate: (input) => (input.trim() !== '' && !input.includes('/')) || `${placeholder} cannot be empty or contain "/"`
+    }]);
+    return value.trim();
+  }
+}
+
+module.exports = BranchNamer;
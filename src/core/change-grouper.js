@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const PACKAGE_MANIFESTS = ['package.json', 'go.mod', 'Cargo.toml', 'pyproject.toml', 'setup.py', 'pom.xml', 'build.gradle'];
+
+const FILE_CATEGORIES = [
+  { name: 'tests', pattern: /(^|\/)(test|tests|__tests__|spec|specs)\/|\.(test|spec)\.[a-z]+$|_test\.(go|py)$/i },
+  { name: 'docs', pattern: /\.(md|mdx|rst|adoc|txt)$|(^|\/)docs?\//i },
+  { name: 'ci', pattern: /^\.(github|gitlab|circleci)\/|(^|\/)(Jenkinsfile|\.travis\.yml|\.gitlab-ci\.yml)$/ },
+  { name: 'build', pattern: /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|Makefile|go\.(mod|sum)|Cargo\.(toml|lock))$/ },
+  { name: 'config', pattern: /(^|\/)\.[^/]+rc(\.[a-z]+)?$|\.(ya?ml|toml|ini|json)$/i }
+];
+
+class ChangeGrouper {
+  constructor(workingDir) {
+    this.workingDir = workingDir;
+    this.packageRootCache = new Map();
+  }
+
+  async group(files, strategy) {
+    switch (strategy) {
+      case 'directory':
+        return await this.groupByDirectory(files);
+      case 'type':
+        return this.groupByFileType(files);
+      case 'directory+type':
+        return await this.groupByDirectoryAndType(files);
+      default:
+        throw new Error(`Unknown split strategy: ${strategy}. Use 'directory', 'type', 'directory+type' or 'ai'.`);
+    }
+  }
+
+  async groupByDirectory(files) {
+    const groups = new Map();
+
+    for (const file of files) {
+      const key = await this.getPackageOrDirectory(file.path);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(file);
+    }
+
+    return this.toGroupList(groups);
+  }
+
+  groupByFileType(files) {
+    const groups = new Map();
+
+    for (const file of files) {
+      const key = this.categorize(file.path);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(file);
+    }
+
+    return this.toGroupList(groups);
+  }
+
+  async groupByDirectoryAndType(files) {
+    const groups = new Map();
+
+    for (const file of files) {
+      const directory = await this.getPackageOrDirectory(file.path);
+      const category = this.categorize(file.path);
+      const singular = (name) => name.replace(/s$/, '');
+      const sameName = singular(directory.split('/').pop()) === singular(category);
+      const key = category === 'source' || sameName ? directory : `${directory} (${category})`;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(file);
+    }
+
+    return this.toGroupList(groups);
+  }
+
+  // Accepts groups proposed by an AI backend, keeping only known files and
+  // collecting anything the proposal left out into a final group
+  normalizeGroups(proposedGroups, files) {
+    const byPath = new Map(files.map(file => [file.path, file]));
+    const assigned = new Set();
+    const groups = [];
+
+    for (const proposed of proposedGroups) {
+      const groupFiles = (proposed.files || [])
+        .filter(filePath => byPath.has(filePath) && !assigned.has(filePath))
+        .map(filePath => {
+          assigned.add(filePath);
+          return byPath.get(filePath);
+        });
+
+      if (groupFiles.length > 0) {
+        groups.push({ name: proposed.name || `Group ${groups.length + 1}`, files: groupFiles });
+      }
+    }
+
+    const leftover = files.filter(file => !assigned.has(file.path));
+    if (leftover.length > 0) {
+      groups.push({ name: 'other changes', files: leftover });
+    }
+
+    return groups;
+  }
+
+  categorize(filePath) {
+    const category = FILE_CATEGORIES.find(({ pattern }) => pattern.test(filePath));
+    return category ? category.name : 'source';
+  }
+
+  async getPackageOrDirectory(filePath) {
+    const packageRoot = await this.findPackageRoot(path.dirname(filePath));
+    if (packageRoot) {
+      return packageRoot;
+    }
+
+    const segments = filePath.split('/');
+    if (segments.length === 1) {
+      return '(root)';
+    }
+
+    // "src/auth/login.js" groups under "src/auth" rather than the whole of "src"
+    if (['src', 'lib', 'app', 'packages'].includes(segments[0]) && segments.length > 2) {
+      return segments.slice(0, 2).join('/');
+    }
+
+    return segments[0];
+  }
+
+  // Nearest ancestor directory (below the repository root) holding a package manifest
+  async findPackageRoot(directory) {
+    if (directory === '.' || directory === '') {
+      return null;
+    }
+
+    if (this.packageRootCache.has(directory)) {
+      return this.packageRootCache.get(directory);
+    }
+
+    let result = null;
+    for (const manifest of PACKAGE_MANIFESTS) {
+      try {
+        await fs.access(path.join(this.workingDir, directory, manifest));
+        result = directory;
+        break;
+      } catch (error) {
+        // Manifest not present in this directory
+      }
+    }
+
+    if (!result) {
+      result = await this.findPackageRoot(path.dirname(directory));
+    }
+
+    this.packageRootCache.set(directory, result);
+    return result;
+  }
+
+  toGroupList(groups) {
+    return Array.from(groups.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, files]) => ({ name, files }));
+  }
+}
+
+module.exports = ChangeGrouper;
@@ -0,0 +1,229 @@
+const chalk = require('chalk');
+
+const CONVENTIONAL_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'test', 'chore', 'perf', 'ci', 'build', 'revert'];
+
+// Base verbs used to recognise non-imperative subjects such as "Added" or "Fixes"
+const COMMON_VERBS = [
+  'add', 'allow', 'avoid', 'bump', 'change', 'clean', 'convert', 'correct', 'create', 'delete',
+  'disable', 'document', 'drop', 'enable', 'ensure', 'extract', 'fix', 'handle', 'implement',
+  'improve', 'introduce', 'make', 'merge', 'move', 'optimize', 'prevent', 'refactor', 'remove',
+  'rename', 'replace', 'revert', 'set', 'simplify', 'support', 'test', 'update', 'upgrade', 'use'
+];
+
+const DEFAULT_RULE_OPTIONS = {
+  'type-enum': { types: CONVENTIONAL_TYPES },
+  'scope-enum': { scopes: [], required: false },
+  'subject-max-length': { max: 72 },
+  'subject-imperative': {},
+  'body-max-line-length': { max: 72 },
+  'trailers-required': { trailers: [] },
+  'issue-key': { pattern: '#\\d+|[A-Z]+-\\d+' },
+  'forbidden-words': { words: [] }
+};
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Rules that can be checked on the header alone, before a body or trailers exist
+const HEADER_RULES = ['type-enum', 'scope-enum', 'subject-max-length', 'subject-imperative', 'forbidden-words'];
+
+class CommitLinter {
+  constructor(rules = {}) {
+    this.rules = {};
+
+    for (const [name, ruleConfig] of Object.entries(rules)) {
+      if (!DEFAULT_RULE_OPTIONS[name]) {
+        throw new Error(`Unknown commit lint rule: ${name}`);
+      }
+
+      const severity = ruleConfig.severity || 'error';
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity "${severity}" for rule ${name}. Must be 'error', 'warning' or 'off'.`);
+      }
+
+      if (severity !== 'off') {
+        this.rules[name] = { ...DEFAULT_RULE_OPTIONS[name], ...ruleConfig, severity };
+      }
+    }
+
+    // Compile regular expressions once so configuration mistakes surface immediately
+    if (this.rules['issue-key']) {
+      try {
+        this.issuePattern = new RegExp(this.rules['issue-key'].pattern);
+      } catch (error) {
+        throw new Error(`Invalid issue-key pattern: ${error.message}`);
+      }
+    }
+  }
+
+  parse(message, options = {}) {
+    let lines = message.split('\n');
+
+    // Message files from an editor carry comments and possibly the "git commit -v" scissors line
+    if (options.stripComments) {
+      const scissors = lines.findIndex(line => /^# -+ >8 -+$/.test(line));
+      if (scissors >= 0) {
+        lines = lines.slice(0, scissors);
+      }
+      lines = lines.filter(line => !line.startsWith('#'));
+    }
+    const content = lines.join('\n').trim();
+
+    const paragraphs = content.split(/\n\s*\n/);
+    const header = (paragraphs.shift() || '').split('\n')[0];
+
+    // Trailers are the final paragraph when every line looks like "Key: value"
+    let trailers = [];
+    const lastParagraph = paragraphs[paragraphs.length - 1];
+    if (lastParagraph && lastParagraph.split('\n').every(line => /^[A-Za-z][\w-]*: .+$/.test(line))) {
+      trailers = paragraphs.pop().split('\n').map(line => {
+        const separator = line.indexOf(': ');
+        return { key: line.substring(0, separator), value: line.substring(separator + 2) };
+      });
+    }
+
+    const conventional = header.match(/^(\w+)(?:\(([^)]+)\))?(!)?: (.+)$/);
+
+    return {
+      raw: content,
+      header,
+      type: conventional ? conventional[1] : null,
+      scope: conventional ? conventional[2] || null : null,
+      breaking: conventional ? Boolean(conventional[3]) : false,
+      subject: conventional ? conventional[4] : header,
+      body: paragraphs.join('\n\n'),
+      trailers
+    };
+  }
+
+  lint(message, options = {}) {
+    const parsed = this.parse(message, options);
+    const results = [];
+
+    for (const [name, options] of Object.entries(this.rules)) {
+      const problem = this.checkRule(name, options, parsed);
+      results.push({
+        rule: name,
+        severity: options.severity,
+        passed: !problem,
+        message: problem || null
+      });
+    }
+
+    const errors = results.filter(result => !result.passed && result.severity === 'error');
+    const warnings = results.filter(result => !result.passed && result.severity === 'warning');
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      results,
+      parsed
+    };
+  }
+
+  // The first error among the header rules, or true (usable as an inquirer validate function)
+  validateHeader(header) {
+    const error = this.lint(header).errors.find(result => HEADER_RULES.includes(result.rule));
+    return error ? error.message : true;
+  }
+
+  checkRule(name, options, parsed) {
+    switch (name) {
+      case 'type-enum':
+        if (!parsed.type) {
+          return 'Header must follow "type(scope): description"';
+        }
+        if (!options.types.includes(parsed.type)) {
+          return `Type "${parsed.type}" is not allowed. Use one of: ${options.types.join(', ')}`;
+        }
+        return null;
+
+      case 'scope-enum':
+        if (!parsed.scope) {
+          return options.required ? 'A scope is required, e.g. "feat(auth): ..."' : null;
+        }
+        if (options.scopes.length > 0 && !options.scopes.includes(parsed.scope)) {
+          return `Scope "${parsed.scope}" is not allowed. Use one of: ${options.scopes.join(', ')}`;
+        }
+        return null;
+
+      case 'subject-max-length':
+        if (parsed.header.length > options.max) {
+          return `Subject line is ${parsed.header.length} characters (max ${options.max})`;
+        }
+        return null;
+
+      case 'subject-imperative': {
+        const firstWord = (parsed.subject.split(/\s+/)[0] || '').toLowerCase();
+        const imperative = this.findImperativeForm(firstWord);
+        if (imperative) {
+          return `Subject should use the imperative mood ("${imperative}" instead of "${firstWord}")`;
+        }
+        return null;
+      }
+
+      case 'body-max-line-length': {
+        const longLines = parsed.body
+          .split('\n')
+          .filter(line => line.length > options.max && !/^\S*:\/\/\S+$/.test(line.trim()));
+        if (longLines.length > 0) {
+          return `${longLines.length} body line(s) longer than ${options.max} characters`;
+        }
+        return null;
+      }
+
+      case 'trailers-required': {
+        const present = parsed.trailers.map(trailer => trailer.key.toLowerCase());
+        const missing = options.trailers.filter(trailer => !present.includes(trailer.toLowerCase()));
+        if (missing.length > 0) {
+          return `Missing required trailer(s): ${missing.join(', ')}`;
+        }
+        return null;
+      }
+
+      case 'issue-key':
+        if (!this.issuePattern.test(parsed.raw)) {
+          return `Message must reference an issue matching /${options.pattern}/`;
+        }
+        return null;
+
+      case 'forbidden-words': {
+        const found = options.words.filter(word =>
+          new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(parsed.raw)
+        );
+        if (found.length > 0) {
+          return `Message contains forbidden word(s): ${found.join(', ')}`;
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  formatReport(report) {
+    const icons = { error: chalk.red('❌'), warning: chalk.yellow('⚠️ ') };
+
+    return report.results.map(result => {
+      if (result.passed) {
+        return `   ${chalk.green('✓')} ${chalk.gray(result.rule)}`;
+      }
+      const color = result.severity === 'error' ? chalk.red : chalk.yellow;
+      return `   ${icons[result.severity]} ${color(result.rule)}: ${result.message}`;
+    });
+  }
+
+  // Returns the base verb when the word is an inflected form of it ("fixed" -> "fix")
+  findImperativeForm(word) {
+    return COMMON_VERBS.find(verb => {
+      const stem = verb.replace(/e$/, '');
+      const forms = [`${verb}s`, `${verb}es`, `${verb}d`, `${verb}ed`, `${verb}ing`, `${stem}ing`, `${verb}${verb.slice(-1)}ed`];
+      return word !== verb && forms.includes(word);
+    }) || null;
+  }
+}
+
+CommitLinter.CONVENTIONAL_TYPES = CONVENTIONAL_TYPES;
+
+module.exports = CommitLinter;
@@ -0,0 +1,49 @@
+const DEFAULT_ISSUE_KEY_PATTERN = '[A-Z][A-Z0-9]+-\\d+';
+
+class CommitTrailers {
+  constructor(options = {}) {
+    this.issueKeyPattern = new RegExp(options.issueKeyPattern || DEFAULT_ISSUE_KEY_PATTERN);
+  }
+
+  // "feature/PROJ-123-login-form" -> "PROJ-123"
+  extractIssueKey(branchName) {
+    if (!branchName) {
+      return null;
+    }
+    const match = branchName.match(this.issueKeyPattern);
+    return match ? match[0] : null;
+  }
+
+  mentionsIssue(message, issueKey) {
+    return new RegExp(`\\b${issueKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(message);
+  }
+
+  // Appends trailers to the message's trailer block, skipping exact duplicates
+  addTrailers(message, trailers) {
+    const lines = message.replace(/\s+$/, '').split('\n');
+
+    // The last paragraph is a trailer block when every line is "Key: value"
+    let blockStart = lines.length;
+    while (blockStart > 1 && /^[A-Za-z][\w-]*: .+$/.test(lines[blockStart - 1])) {
+      blockStart--;
+    }
+    const hasTrailerBlock = blockStart < lines.length && blockStart > 1 && lines[blockStart - 1] === '';
+    const existing = hasTrailerBlock ? lines.slice(blockStart) : [];
+
+    const additions = trailers
+      .map(({ key, value }) => `${key}: ${value}`)
+      .filter((line, index, all) => all.indexOf(line) === index)
+      .filter(line => !existing.some(current => current.toLowerCase() === line.toLowerCase()));
+
+    if (additions.length === 0) {
+      return message;
+    }
+
+    const separator = hasTrailerBlock ? [] : [''];
+    return [...lines, ...separator, ...additions].join('\n');
+  }
+}
+
+CommitTrailers.DEFAULT_ISSUE_KEY_PATTERN = DEFAULT_ISSUE_KEY_PATTERN;
+
+module.exports = CommitTrailers;
@@ -8,6 +8,7 @@ class ConfigManager {
     this.globalConfigPath = path.join(os.homedir(), '.easygit', 'config.json');
     this.localConfigPath = path.join(process.cwd(), '.easygit', 'config.json');
     this.hooksConfigPath = path.join(process.cwd(), '.easygit', 'hooks.json');
+    this.secretsConfigPath = path.join(process.cwd(), '.easygit', 'secrets.json');
     
     this.defaultConfig = {
       core: {
@@ -15,14 +16,20 @@ class ConfigManager {
         defaultBranch: 'main',
         syncStrategy: 'rebase', // or 'merge'
         autoStash: true,
-        confirmDestructive: true
+        confirmDestructive: true,
+        signCommits: false,
+        signingFormat: 'gpg', // 'gpg', 'ssh', 'x509'
+        signingKey: null // null uses git's user.signingkey
       },
       ui: {
         theme: 'auto', // 'light', 'dark', 'auto'
         progressBars: true,
         fuzzyFinder: true,
+        branchPreview: true, // full-screen branch finder with a commit preview in a terminal
         colorOutput: true,
-        compactStatus: false
+        compactStatus: false,
+        assumeYes: false, // answer confirmations with "yes" (--yes)
+        nonInteractive: false // never prompt; use defaults or fail (--non-interactive)
       },
       ai: {
         enabled: true,
@@ -41,8 +48,33 @@ class ConfigManager {
       team: {
         protectedBranches: ['main', 'master', 'develop'],
         requireIssueId: false,
+        requireSignoff: false, // adds Signed-off-by to every commit (DCO)
+        issueKeyPattern: '[A-Z][A-Z0-9]+-\\d+', // issue keys recognised in branch names
+        issueTrailer: 'Refs', // trailer used for the branch's issue key, null to disable
         commitMessageFormat: 'free', // 'conventional', 'free', 'custom'
-        enforceLinearHistory: false
+        commitLint: {
+          rules: {} // rule name -> { severity: 'error' | 'warning' | 'off', ...options }
+        },
+        enforceLinearHistory: false, // sync refuses to create merge commits
+        requirePullRequests: false, // sync refuses direct pushes to protected branches
+        branchNameFormat: null, // e.g. '{type}/{issue}-{slug}'; null only applies git's rules
+        branchTypes: ['feature', 'fix', 'chore', 'docs', 'refactor', 'test'], // choices for {type}
+        largeFileThresholdMB: 50
+      },
+      security: {
+        scanSecrets: true,
+        entropyThreshold: 3.5 // bits per character for keyword-adjacent values
+      },
+      sync: {
+        upstreamRemote: null, // remote to integrate from in fork workflows; null uses a remote named "upstream" if present
+        pushRemotes: [], // mirrors that also receive every pushed branch
+        mirrorTags: false // push annotated tags reachable from the branch to mirrors too
+      },
+      switch: {
+        uncommittedChanges: 'carry' // 'carry' brings them along, 'park' keeps them with the branch they were made on
+      },
+      worktree: {
+        directory: '../{repo}.worktrees/{branch}' // where "switch --worktree" puts new worktrees, relative to the main one
       },
       hooks: {
         preCommit: [],
@@ -50,6 +82,7 @@ class ConfigManager {
         prePush: [],
         postMerge: []
       },
+      prompts: {}, // prompt id -> fixed answer, e.g. { "sync.diverged": "rebase" }
       aliases: {},
       experimental: {
         betaFeatures: false,
@@ -133,11 +166,14 @@ class ConfigManager {
       'EASYGIT_EDITOR': 'core.editor',
       'EASYGIT_DEFAULT_BRANCH': 'core.defaultBranch',
       'EASYGIT_SYNC_STRATEGY': 'core.syncStrategy',
+      'EASYGIT_UPSTREAM_REMOTE': 'sync.upstreamRemote',
       'EASYGIT_AI_ENABLED': 'ai.enabled',
       'EASYGIT_AI_PROVIDER': 'ai.provider',
       'EASYGIT_THEME': 'ui.theme',
       'EASYGIT_NO_COLOR': 'ui.colorOutput',
-      'EASYGIT_MONOREPO_MODE': 'performance.monorepoMode'
+      'EASYGIT_MONOREPO_MODE': 'performance.monorepoMode',
+      'EASYGIT_YES': 'ui.assumeYes',
+      'EASYGIT_NON_INTERACTIVE': 'ui.nonInteractive'
     };
 
     for (const [envVar, configPath] of Object.entries(envMappings)) {
@@ -269,6 +305,19 @@ class ConfigManager {
     return await this.get('core.syncStrategy', 'rebase');
   }
 
+  async getLargeFileThreshold() {
+    const thresholdMB = await this.get('team.largeFileThresholdMB', 50);
+    return thresholdMB * 1024 * 1024;
+  }
+
+  async getSigningConfig() {
+    return {
+      enabled: await this.get('core.signCommits', false),
+      format: await this.get('core.signingFormat', 'gpg'),
+      key: await this.get('core.signingKey', null)
+    };
+  }
+
   async shouldConfirmDestructive() {
     return await this.get('core.confirmDestructive', true);
   }
@@ -291,6 +340,62 @@ class ConfigManager {
     return mode === 'auto';
   }
 
+  async getBranchNamingOptions() {
+    return {
+      format: await this.get('team.branchNameFormat', null),
+      types: await this.get('team.branchTypes', []),
+      issueKeyPattern: await this.get('team.issueKeyPattern')
+    };
+  }
+
+  async getCommitLintRules() {
+    const format = await this.get('team.commitMessageFormat', 'free');
+    const requireIssueId = await this.get('team.requireIssueId', false);
+    const configuredRules = await this.get('team.commitLint.rules', {});
+
+    // The commit message format and issue ID settings imply rules the team can override
+    const rules = {};
+    if (format === 'conventional') {
+      rules['type-enum'] = { severity: 'error' };
+    }
+    if (requireIssueId) {
+      rules['issue-key'] = { severity: 'error' };
+    }
+    if (await this.get('team.requireSignoff', false)) {
+      rules['trailers-required'] = { severity: 'error', trailers: ['Signed-off-by'] };
+    }
+
+    for (const [name, ruleConfig] of Object.entries(configuredRules)) {
+      rules[name] = { ...rules[name], ...ruleConfig };
+    }
+
+    // A configured trailer list extends the mandatory sign-off instead of replacing it
+    if (rules['trailers-required'] && await this.get('team.requireSignoff', false)) {
+      const trailers = rules['trailers-required'].trailers || [];
+      if (!trailers.includes('Signed-off-by')) {
+        rules['trailers-required'].trailers = [...trailers, 'Signed-off-by'];
+      }
+    }
+
+    return rules;
+  }
+
+  async getSecretScanConfig() {
+    const secretsConfig = await this.loadConfigFile(this.secretsConfigPath) || {};
+    const allowlist = secretsConfig.allowlist || {};
+
+    return {
+      enabled: await this.get('security.scanSecrets', true),
+      entropyThreshold: await this.get('security.entropyThreshold', 3.5),
+      rules: secretsConfig.rules || [],
+      allowlist: {
+        paths: allowlist.paths || [],
+        patterns: allowlist.patterns || [],
+        fingerprints: allowlist.fingerprints || []
+      }
+    };
+  }
+
   async getHooks(hookType) {
     return await this.get(`hooks.${hookType}`, []);
   }
@@ -335,6 +440,18 @@ class ConfigManager {
       issues.push(`Invalid sync strategy: ${syncStrategy}. Must be 'rebase' or 'merge'.`);
     }
     
+    // Validate commit message format
+    const commitMessageFormat = await this.get('team.commitMessageFormat');
+    if (!['free', 'conventional', 'custom'].includes(commitMessageFormat)) {
+      issues.push(`Invalid commit message format: ${commitMessageFormat}. Must be 'free', 'conventional', or 'custom'.`);
+    }
+    
+    // Validate signing format
+    const signingFormat = await this.get('core.signingFormat');
+    if (!['gpg', 'ssh', 'x509'].includes(signingFormat)) {
+      issues.push(`Invalid signing format: ${signingFormat}. Must be 'gpg', 'ssh', or 'x509'.`);
+    }
+    
     // Validate AI provider
     const aiProvider = await this.getAIProvider();
     if (!['gemini', 'openai', 'local'].includes(aiProvider)) {
@@ -365,6 +482,7 @@ class ConfigManager {
       global: await this.loadConfigFile(this.globalConfigPath),
       local: await this.loadConfigFile(this.localConfigPath),
       hooks: await this.loadConfigFile(this.hooksConfigPath),
+      secrets: await this.loadConfigFile(this.secretsConfigPath),
       effective: this.config
     };
   }
@@ -0,0 +1,131 @@
+const MARKERS = {
+  ours: /^<{7}(?: (.*))?$/,
+  base: /^\|{7}(?: (.*))?$/,
+  separator: /^={7}$/,
+  theirs: /^>{7}(?: (.*))?$/
+};
+
+const LINE_BREAK = /\r?\n/;
+
+class ConflictParser {
+  // Splits file content into plain text and conflict segments. Conflict segments
+  // carry ours/theirs lines and the base lines when the file uses diff3 markers.
+  parse(content) {
+    const lines = content.split(LINE_BREAK);
+    const segments = [];
+    let text = [];
+    let conflict = null;
+    let conflictLines = [];
+    let section = null;
+
+    for (const line of lines) {
+      if (!conflict) {
+        const start = line.match(MARKERS.ours);
+        if (start) {
+          if (text.length > 0) {
+            segments.push({ type: 'text', lines: text });
+            text = [];
+          }
+          conflict = { type: 'conflict', ours: [], base: null, theirs: [], oursLabel: start[1] || 'ours', baseLabel: null, theirsLabel: null, resolution: null };
+          section = 'ours';
+          conflictLines = [line];
+        } else {
+          text.push(line);
+        }
+        continue;
+      }
+
+      conflictLines.push(line);
+      const baseStart = section === 'ours' && line.match(MARKERS.base);
+      if (baseStart) {
+        conflict.base = [];
+        conflict.baseLabel = baseStart[1] || 'base';
+        section = 'base';
+      } else if (section !== 'theirs' && MARKERS.separator.test(line)) {
+        section = 'theirs';
+      } else if (section === 'theirs' && MARKERS.theirs.test(line)) {
+        conflict.theirsLabel = line.match(MARKERS.theirs)[1] || 'theirs';
+        segments.push(conflict);
+        conflict = null;
+        section = null;
+      } else {
+        conflict[section].push(line);
+      }
+    }
+
+    // An unterminated conflict is kept as plain text, exactly as written
+    if (conflict) {
+      text.push(...conflictLines);
+    }
+    if (text.length > 0) {
+      segments.push({ type: 'text', lines: text });
+    }
+
+    return segments;
+  }
+
+  getConflicts(segments) {
+    return segments.filter(segment => segment.type === 'conflict');
+  }
+
+  hasMarkers(content) {
+    return content.split(LINE_BREAK).some(line => MARKERS.ours.test(line) || MARKERS.theirs.test(line));
+  }
+
+  // "\r\n" when the content uses Windows line endings, so render() can write it back as it was
+  getLineEnding(content) {
+    return content.includes('\r\n') ? '\r\n' : '\n';
+  }
+
+  // Resolved conflicts are replaced by their resolution; unresolved ones keep their markers
+  render(segments, lineEnding = '\n') {
+    return segments
+      .flatMap(segment => {
+        if (segment.type === 'text') {
+          return segment.lines;
+        }
+        return segment.resolution || this.renderConflict(segment);
+      })
+      .join(lineEnding);
+  }
+
+  renderConflict(conflict) {
+    const lines = [`<<<<<<< ${conflict.oursLabel}`, ...conflict.ours];
+    if (conflict.base && !conflict.attachedBase) {
+      lines.push(`||||||| ${conflict.baseLabel}`, ...conflict.base);
+    }
+    lines.push('=======', ...conflict.theirs, `>>>>>>> ${conflict.theirsLabel || 'theirs'}`);
+    return lines;
+  }
+
+  // Copies base sections from a diff3 rendering of the same conflicts, provided the
+  // working file still matches it side for side (i.e. it has not been edited)
+  attachBase(segments, diff3Segments) {
+    const conflicts = this.getConflicts(segments);
+    const diff3Conflicts = this.getConflicts(diff3Segments);
+    const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+    if (conflicts.length !== diff3Conflicts.length) {
+      return false;
+    }
+
+    const matches = conflicts.every((conflict, index) =>
+      sameLines(conflict.ours, diff3Conflicts[index].ours) &&
+      sameLines(conflict.theirs, diff3Conflicts[index].theirs)
+    );
+    if (!matches) {
+      return false;
+    }
+
+    conflicts.forEach((conflict, index) => {
+      if (!conflict.base) {
+        conflict.base = diff3Conflicts[index].base;
+        conflict.baseLabel = diff3Conflicts[index].baseLabel;
+        conflict.attachedBase = true;
+      }
+    });
+    return true;
+  }
+}
+
+module.exports = ConflictParser;
@@ -0,0 +1,295 @@
+class DiffParser {
+  parse(rawDiff) {
+    const files = [];
+    let currentFile = null;
+    let currentHunk = null;
+
+    const lines = rawDiff.split('\n');
+    // A trailing newline produces an empty last element that is not part of any hunk
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    for (const line of lines) {
+      if (line.startsWith('diff --git ')) {
+        currentFile = this.createFileEntry(line);
+        currentHunk = null;
+        files.push(currentFile);
+        continue;
+      }
+
+      if (!currentFile) {
+        continue;
+      }
+
+      if (line.startsWith('@@')) {
+        currentHunk = this.parseHunkHeader(line);
+        currentFile.hunks.push(currentHunk);
+        continue;
+      }
+
+      if (currentHunk) {
+        currentHunk.lines.push(line);
+        continue;
+      }
+
+      // Everything between "diff --git" and the first hunk is file header
+      currentFile.header.push(line);
+      this.applyHeaderLine(currentFile, line);
+    }
+
+    return files;
+  }
+
+  createFileEntry(line) {
+    const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    const oldPath = match ? match[1] : null;
+    const newPath = match ? match[2] : null;
+
+    return {
+      oldPath,
+      newPath,
+      path: newPath || oldPath,
+      type: 'modified',
+      binary: false,
+      header: [line],
+      hunks: []
+    };
+  }
+
+  applyHeaderLine(file, line) {
+    if (line.startsWith('new file mode')) {
+      file.type = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.type = 'deleted';
+      file.path = file.oldPath;
+    } else if (line.startsWith('rename from ')) {
+      file.type = 'renamed';
+      file.oldPath = line.substring('rename from '.length);
+    } else if (line.startsWith('rename to ')) {
+      file.type = 'renamed';
+      file.newPath = line.substring('rename to '.length);
+      file.path = file.newPath;
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+
+  parseHunkHeader(line) {
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+    if (!match) {
+      throw new Error(`Malformed hunk header: ${line}`);
+    }
+
+    return {
+      oldStart: parseInt(match[1], 10),
+      oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+      newStart: parseInt(match[3], 10),
+      newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+      context: match[5] || '',
+      lines: []
+    };
+  }
+
+  formatHunkHeader(hunk) {
+    return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.context}`;
+  }
+
+  // Recalculate line counts from the hunk body (needed after manual edits)
+  recount(hunk) {
+    let oldLines = 0;
+    let newLines = 0;
+
+    for (const line of hunk.lines) {
+      if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+      if (line.startsWith('-')) {
+        oldLines++;
+      } else if (line.startsWith('+')) {
+        newLines++;
+      } else {
+        oldLines++;
+        newLines++;
+      }
+    }
+
+    return { ...hunk, oldLines, newLines };
+  }
+
+  hasChanges(hunk) {
+    return hunk.lines.some(line => line.startsWith('+') || line.startsWith('-'));
+  }
+
+  // Split a hunk into smaller hunks at runs of unchanged context lines,
+  // the same way "git add -p" does. Returns the original hunk when it cannot be split.
+  splitHunk(hunk) {
+    const groups = [];
+    let current = null;
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    let leadingContext = [];
+
+    for (const line of hunk.lines) {
+      const isContext = line.startsWith(' ') || line === '';
+      const isMarker = line.startsWith('\\');
+
+      if (isMarker) {
+        (current ? current.lines : leadingContext).push(line);
+        continue;
+      }
+
+      if (isContext) {
+        if (current) {
+          current.trailing = true;
+          current.lines.push(line);
+        } else {
+          leadingContext.push(line);
+        }
+        oldLine++;
+        newLine++;
+        continue;
+      }
+
+      // A change line after trailing context starts a new group
+      if (current && current.trailing) {
+        const trailingStart = this.trailingContextStart(current.lines);
+        const sharedContext = current.lines.slice(trailingStart);
+        groups.push(current);
+
+        current = {
+          oldStart: oldLine - this.countContext(sharedContext),
+          newStart: newLine - this.countContext(sharedContext),
+          lines: [...sharedContext],
+          trailing: false
+        };
+      }
+
+      if (!current) {
+        current = {
+          oldStart: oldLine - this.countContext(leadingContext),
+          newStart: newLine - this.countContext(leadingContext),
+          lines: [...leadingContext],
+          trailing: false
+        };
+      }
+
+      current.lines.push(line);
+
+      if (line.startsWith('-')) {
+        oldLine++;
+      } else {
+        newLine++;
+      }
+    }
+
+    if (current) {
+      groups.push(current);
+    }
+
+    if (groups.length <= 1) {
+      return [hunk];
+    }
+
+    return groups.map(group => this.recount({
+      oldStart: group.oldStart,
+      newStart: group.newStart,
+      context: hunk.context,
+      lines: group.lines
+    }));
+  }
+
+  trailingContextStart(lines) {
+    let index = lines.length;
+    while (index > 0 && (lines[index - 1].startsWith(' ') || lines[index - 1] === '')) {
+      index--;
+    }
+    return index;
+  }
+
+  countContext(lines) {
+    return lines.filter(line => !line.startsWith('\\')).length;
+  }
+
+  // Build a patch for one file containing only the selected hunks. New-side
+  // start lines are recomputed so hunks skipped earlier do not shift later ones.
+  buildPatch(file, selectedHunks) {
+    const output = [...file.header];
+    let offset = 0;
+
+    for (const hunk of this.mergeOverlapping(selectedHunks)) {
+      const adjusted = this.recount(hunk);
+
+      // Empty ranges are anchored at the line before the change, as git prints them
+      if (adjusted.oldLines === 0) {
+        adjusted.newStart = adjusted.oldStart + offset + 1;
+      } else if (adjusted.newLines === 0) {
+        adjusted.newStart = adjusted.oldStart + offset - 1;
+      } else {
+        adjusted.newStart = adjusted.oldStart + offset;
+      }
+
+      output.push(this.formatHunkHeader(adjusted));
+      output.push(...adjusted.lines);
+      offset += adjusted.newLines - adjusted.oldLines;
+    }
+
+    return output.join('\n') + '\n';
+  }
+
+  // Hunks from splitHunk() share context lines, as in "git add -p". git apply
+  // rejects overlapping hunks, so neighbours selected together are joined again.
+  mergeOverlapping(hunks) {
+    const merged = [];
+
+    for (const hunk of [...hunks].sort((a, b) => a.oldStart - b.oldStart)) {
+      const previous = merged[merged.length - 1];
+      const previousEnd = previous ? previous.oldStart + this.recount(previous).oldLines : 0;
+
+      if (!previous || hunk.oldStart >= previousEnd) {
+        merged.push({ ...hunk, lines: [...hunk.lines] });
+        continue;
+      }
+
+      // Skip the old-side lines the previous hunk already covers
+      let overlap = previousEnd - hunk.oldStart;
+      let index = 0;
+      while (overlap > 0 && index < hunk.lines.length) {
+        if (!hunk.lines[index].startsWith('+') && !hunk.lines[index].startsWith('\\')) {
+          overlap--;
+        }
+        index++;
+      }
+      previous.lines.push(...hunk.lines.slice(index));
+    }
+
+    return merged;
+  }
+
+  parseEditedHunk(text) {
+    const lines = text.split('\n').filter(line => !line.startsWith('#'));
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const header = this.parseHunkHeader(lines[0]);
+    header.lines = lines.slice(1);
+
+    const invalidLine = header.lines.find(line =>
+      line !== '' && ![' ', '+', '-', '\\'].includes(line[0])
+    );
+    if (invalidLine) {
+      throw new Error(`Invalid line in edited hunk: ${invalidLine}`);
+    }
+
+    return this.recount(header);
+  }
+
+  formatHunk(hunk) {
+    return [this.formatHunkHeader(hunk), ...hunk.lines].join('\n');
+  }
+}
+
+module.exports = DiffParser;
@@ -0,0 +1,35 @@
+const { spawn } = require('child_process');
+const ConfigManager = require('./config-manager');
+
+// Opens files in the user's editor (core.editor, then $EDITOR, then vim) on the terminal
+class EditorLauncher {
+  constructor(workingDir = process.cwd()) {
+    this.workingDir = workingDir;
+    this.configManager = new ConfigManager();
+  }
+
+  async getEditor() {
+    return await this.configManager.get('core.editor', process.env.EDITOR || 'vim');
+  }
+
+  async open(filePath) {
+    const editor = await this.getEditor();
+
+    const code = await new Promise((resolve, reject) => {
+      // Run through the shell so editors configured with arguments ("code --wait") work
+      const editorProcess = spawn('sh', ['-c', `${editor} "$1"`, 'sh', filePath], {
+        cwd: this.workingDir,
+        stdio: 'inherit'
+      });
+
+      editorProcess.on('close', resolve);
+      editorProcess.on('error', reject);
+    });
+
+    if (code !== 0) {
+      throw new Error(`Editor exited with code ${code}`);
+    }
+  }
+}
+
+module.exports = EditorLauncher;
@@ -174,6 +174,55 @@ class ErrorHandler {
         severity: 'medium'
       },
 
+      'failed to sign the data': {
+        explanation: 'Git could not sign the commit with the configured signing key.',
+        causes: [
+          'No signing key configured (user.signingkey or core.signingKey)',
+          'GPG agent is not running or the key passphrase was not entered',
+          'core.signingFormat does not match the type of key',
+          'ssh-keygen or gpg is not installed'
+        ],
+        solutions: [
+          'Check your key with: git config user.signingkey',
+          'Set the key easygit should use in core.signingKey',
+          'For SSH keys set core.signingFormat to "ssh"',
+          'Test signing with: git commit --allow-empty -S -m test'
+        ],
+        severity: 'high'
+      },
+
+      'without a terminal': {
+        explanation: 'easygit needed an answer to a prompt, but it is running without a terminal (or with --non-interactive) and the prompt has no answer it can pick safely.',
+        showDetails: true, // the message names the prompt id to configure
+        causes: [
+          'Running in CI, a script or a git hook without a TTY',
+          'The prompt has no default answer, or it confirms a destructive action',
+          '--yes does not confirm destructive actions while core.confirmDestructive is true'
+        ],
+        solutions: [
+          'Pass --yes to accept the usual confirmations',
+          'Answer the prompt ahead of time in .easygit/config.json: "prompts": { "<prompt id>": <answer> }',
+          'Set core.confirmDestructive to false to allow destructive actions without confirmation',
+          'Run the command in an interactive terminal'
+        ],
+        severity: 'medium'
+      },
+
+      'Refused by team policy': {
+        explanation: 'This push or merge would break a rule your team set in the easygit configuration, so nothing was pushed.',
+        showDetails: true, // the message says which rule applies and what to do instead
+        causes: [
+          'Force pushing to a branch listed in team.protectedBranches',
+          'Pushing directly to a protected branch while team.requirePullRequests is true',
+          'Creating a merge commit while team.enforceLinearHistory is true'
+        ],
+        solutions: [
+          'Follow the alternative shown above',
+          'Ask your team before changing team.protectedBranches, team.requirePullRequests or team.enforceLinearHistory'
+        ],
+        severity: 'medium'
+      },
+
       'error: Your local changes to the following files would be overwritten': {
         explanation: 'Git cannot complete the operation because it would overwrite uncommitted local changes.',
         causes: [
@@ -237,6 +286,10 @@ class ErrorHandler {
     console.log(chalk.yellow('What happened:'));
     console.log('  ' + errorInfo.explanation + '\n');
 
+    if (errorInfo.showDetails) {
+      console.log(chalk.gray('  ' + errorInfo.originalMessage + '\n'));
+    }
+
     if (errorInfo.causes && errorInfo.causes.length > 0) {
       console.log(chalk.yellow('Common causes:'));
       errorInfo.causes.forEach(cause => {
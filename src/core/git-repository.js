@@ -1,6 +1,8 @@
 const simpleGit = require('simple-git');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const os = require('os');
 const chalk = require('chalk');
 
 class GitRepository {
@@ -103,11 +105,391 @@ class GitRepository {
     return await this.git.add(files);
   }
 
-  async commit(message, options = {}) {
+  async getWorkingTreeDiff(files = []) {
     if (!this.isInitialized) {
       throw new Error('Repository not initialized');
     }
-    return await this.git.commit(message, options);
+
+    const args = ['diff', '--no-color', '--no-ext-diff', '-M'];
+    if (files.length > 0) {
+      args.push('--', ...files);
+    }
+    return await this.git.raw(args);
+  }
+
+  async getStagedDiff(contextLines = 3) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return await this.git.raw(['diff', '--cached', '--no-color', '--no-ext-diff', '-M', `-U${contextLines}`]);
+  }
+
+  async getStagedFileStats() {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const [numstat, nameStatus] = await Promise.all([
+      this.git.raw(['diff', '--cached', '--numstat', '-M']),
+      this.git.raw(['diff', '--cached', '--name-status', '-M'])
+    ]);
+
+    const counts = numstat.split('\n').filter(Boolean);
+    return nameStatus.split('\n').filter(Boolean).map((line, index) => {
+      const [status, ...paths] = line.split('\t');
+      const [added, deleted] = (counts[index] || '').split('\t');
+
+      return {
+        status: status.charAt(0),
+        path: paths[paths.length - 1],
+        previousPath: paths.length > 1 ? paths[0] : null,
+        // Binary files report "-" for both counts
+        added: parseInt(added, 10) || 0,
+        deleted: parseInt(deleted, 10) || 0
+      };
+    });
+  }
+
+  async markIntentToAdd(files) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return await this.git.raw(['add', '--intent-to-add', '--', ...files]);
+  }
+
+  async unstageFiles(files) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return await this.git.raw(['reset', '-q', '--', ...files]);
+  }
+
+  async stageAll(files) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    // -A stages modifications, deletions and new files alike
+    return await this.git.raw(['add', '-A', '--', ...files]);
+  }
+
+  async applyPatchToIndex(patch) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    // git apply reads patches from files, so write the patch to a temporary location
+    const patchFile = path.join(os.tmpdir(), `easygit-patch-${process.pid}-${Date.now()}.diff`);
+    await fs.writeFile(patchFile, patch);
+
+    try {
+      return await this.git.raw(['apply', '--cached', '--whitespace=nowarn', patchFile]);
+    } finally {
+      await fs.unlink(patchFile).catch(() => {});
+    }
+  }
+
+  // Index stages of a conflicted path: 1 = base, 2 = ours, 3 = theirs
+  async getConflictStages(filePath) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['ls-files', '-u', '-z', '--', filePath]);
+    const stages = {};
+    output.split('\0').filter(Boolean).forEach(entry => {
+      const [info, entryPath] = entry.split('\t');
+      const [mode, hash, stage] = info.split(' ');
+      stages[stage] = { mode, hash, path: entryPath };
+    });
+    return stages;
+  }
+
+  // Three-way merge of the index stages with diff3 markers, without touching the working tree
+  async mergeStagesWithBase(filePath, labels) {
+    const stages = await this.getConflictStages(filePath);
+    if (!stages['1'] || !stages['2'] || !stages['3']) {
+      return null;
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'easygit-merge-'));
+    try {
+      const files = [];
+      for (const stage of ['2', '1', '3']) {
+        const stageFile = path.join(tempDir, stage);
+        await fs.writeFile(stageFile, await this.git.raw(['cat-file', 'blob', stages[stage].hash]));
+        files.push(stageFile);
+      }
+
+      // merge-file exits with the number of conflicts, so read its output even on "failure"
+      return await new Promise((resolve, reject) => {
+        const { execFile } = require('child_process');
+        execFile('git', [
+          'merge-file', '-p', '--diff3',
+          '-L', labels.ours, '-L', labels.base, '-L', labels.theirs,
+          ...files
+        ], { cwd: this.workingDir, maxBuffer: 64 * 1024 * 1024 }, (error, stdout) => {
+          if (error && typeof error.code !== 'number') {
+            reject(error);
+          } else {
+            resolve(stdout);
+          }
+        });
+      });
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async checkoutConflictSide(side, files) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return await this.git.raw(['checkout', `--${side}`, '--', ...files]);
+  }
+
+  async removeFiles(files) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return await this.git.raw(['rm', '-q', '--', ...files]);
+  }
+
+  // The merge, rebase, cherry-pick or revert that is waiting for conflicts to be resolved
+  async getOperationInProgress() {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const exists = async (gitPath) => {
+      const resolved = (await this.git.raw(['rev-parse', '--git-path', gitPath])).trim();
+      try {
+        await fs.access(path.resolve(this.workingDir, resolved));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    if (await exists('rebase-merge') || await exists('rebase-apply')) return 'rebase';
+    if (await exists('MERGE_HEAD')) return 'merge';
+    if (await exists('CHERRY_PICK_HEAD')) return 'cherry-pick';
+    if (await exists('REVERT_HEAD')) return 'revert';
+    return null;
+  }
+
+  // Files renamed between two commits, as { from: to }
+  async getRenames(fromRef, toRef) {
+    try {
+      const output = await this.git.raw(['diff', '--name-status', '-M', '--diff-filter=R', '-z', fromRef, toRef]);
+      const fields = output.split('\0').filter(Boolean);
+      const renames = {};
+      for (let i = 0; i + 2 < fields.length; i += 3) {
+        renames[fields[i + 1]] = fields[i + 2];
+      }
+      return renames;
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async commit(message, options = {}, signing = null) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const { git, args } = this.withSigning(signing);
+    const commitOptions = { ...options };
+    args.forEach(arg => {
+      commitOptions[arg] = null;
+    });
+
+    return await git.commit(message, commitOptions);
+  }
+
+  // options.sequenceEditor / options.editor replace the editors git would open
+  // for the todo list and for commit messages during an interactive rebase
+  async rebase(args, signing = null, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    let { git, args: signingArgs } = this.withSigning(signing);
+
+    if (options.sequenceEditor || options.editor) {
+      const env = { ...process.env };
+      if (options.sequenceEditor) env.GIT_SEQUENCE_EDITOR = options.sequenceEditor;
+      if (options.editor) env.GIT_EDITOR = options.editor;
+
+      // Use a separate instance so the environment does not leak into later commands
+      if (git === this.git) {
+        git = simpleGit({ baseDir: this.workingDir });
+      }
+      git.env(env);
+    }
+
+    // --continue and --skip reuse the signing option recorded when the rebase started
+    const isControlAction = args.some(arg => ['--continue', '--skip', '--abort'].includes(arg));
+    return await git.rebase(isControlAction ? args : [...signingArgs, ...args]);
+  }
+
+  // Runs "git rebase -i" with a prepared todo list instead of opening an editor
+  // for it. Git runs on the terminal so that reword and squash steps can still
+  // open the commit message editor.
+  async rebaseWithTodo(args, todoLines, signing = null) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const todoFile = path.join(os.tmpdir(), `easygit-rebase-todo-${process.pid}-${Date.now()}`);
+    await fs.writeFile(todoFile, todoLines.join('\n') + '\n');
+
+    try {
+      const { config, args: signingArgs } = this.getSigningOptions(signing);
+      const gitArgs = [...config.flatMap(entry => ['-c', entry]), 'rebase', '-i', ...signingArgs, ...args];
+
+      const code = await new Promise((resolve, reject) => {
+        const rebaseProcess = spawn('git', gitArgs, {
+          cwd: this.workingDir,
+          env: { ...process.env, GIT_SEQUENCE_EDITOR: `cp "${todoFile}"` },
+          stdio: 'inherit'
+        });
+
+        rebaseProcess.on('close', resolve);
+        rebaseProcess.on('error', reject);
+      });
+
+      if (code !== 0) {
+        // Git has already explained why on the terminal
+        const status = await this.getStatus();
+        throw new Error(status.conflicted.length > 0
+          ? 'Rebase stopped on a conflict'
+          : `git rebase exited with code ${code}`);
+      }
+    } finally {
+      await fs.unlink(todoFile).catch(() => {});
+    }
+  }
+
+  async merge(args, signing = null) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const { git, args: signingArgs } = this.withSigning(signing);
+    return await git.merge([...signingArgs, ...args]);
+  }
+
+  // Returns a git instance and extra arguments that sign new commits with the
+  // configured format, without changing the repository's own git config
+  withSigning(signing) {
+    const { config, args } = this.getSigningOptions(signing);
+    if (config.length === 0) {
+      return { git: this.git, args };
+    }
+
+    return {
+      git: simpleGit({ baseDir: this.workingDir, config }),
+      args
+    };
+  }
+
+  // The "-c" config entries and arguments git needs to sign new commits
+  getSigningOptions(signing) {
+    if (!signing || !signing.enabled) {
+      return { config: [], args: [] };
+    }
+
+    const formats = { gpg: 'openpgp', ssh: 'ssh', x509: 'x509' };
+    return {
+      config: [`gpg.format=${formats[signing.format] || 'openpgp'}`],
+      args: [signing.key ? `--gpg-sign=${signing.key}` : '--gpg-sign']
+    };
+  }
+
+  async getCommitSignature(ref = 'HEAD') {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['log', '-1', '--format=%G?%x00%GS%x00%GK', ref]);
+    let [code, signer, key] = output.trim().split('\0');
+
+    // git reports SSH signatures it cannot verify (no allowed signers file) as unsigned
+    if (code === 'N' && await this.hasSignatureHeader(ref)) {
+      code = 'E';
+    }
+
+    return {
+      code,
+      signed: code !== 'N',
+      verified: code === 'G',
+      signer: signer || null,
+      key: key || null
+    };
+  }
+
+  async getUnsignedCommits(rangeArgs) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['log', '--format=%H%x00%G?%x00%s', ...rangeArgs]);
+    const commits = output
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [hash, code, subject] = line.split('\0');
+        return { hash, code, subject };
+      })
+      .filter(commit => commit.code === 'N');
+
+    const unsigned = [];
+    for (const commit of commits) {
+      if (!await this.hasSignatureHeader(commit.hash)) {
+        unsigned.push(commit);
+      }
+    }
+    return unsigned;
+  }
+
+  // Files added or modified by commits in the range whose blob exceeds the size limit
+  async findLargeFilesInRange(rangeArgs, thresholdBytes) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const commits = (await this.git.raw(['rev-list', ...rangeArgs])).split('\n').filter(Boolean);
+    const largeFiles = [];
+
+    for (const commit of commits) {
+      const changed = (await this.git.raw([
+        'diff-tree', '-r', '--root', '--no-commit-id', '--name-only', '--diff-filter=AM', '-z', commit
+      ])).split('\0').filter(Boolean);
+
+      if (changed.length === 0) {
+        continue;
+      }
+
+      const entries = (await this.git.raw(['ls-tree', '-r', '-l', '-z', commit, '--', ...changed]))
+        .split('\0')
+        .filter(Boolean);
+
+      for (const entry of entries) {
+        const [info, filePath] = entry.split('\t');
+        const size = parseInt(info.split(/\s+/)[3], 10);
+        if (size > thresholdBytes) {
+          largeFiles.push({ commit, path: filePath, size });
+        }
+      }
+    }
+
+    return largeFiles;
+  }
+
+  async hasSignatureHeader(ref) {
+    const commitObject = await this.git.raw(['cat-file', 'commit', ref]);
+    const headers = commitObject.split('\n\n')[0];
+    return /^gpgsig(-sha256)? /m.test(headers);
   }
 
   async push(remote = 'origin', branch = null) {
@@ -132,7 +514,161 @@ class GitRepository {
     if (!this.isInitialized) {
       throw new Error('Repository not initialized');
     }
-    return await this.git.fetch(remote);
+    // simple-git ignores a lone remote argument, so pass it as a raw option
+    return await this.git.fetch([remote]);
+  }
+
+  // Tag name -> { object, commit }; annotated tags are peeled to the commit they mark
+  async getLocalTags() {
+    const output = await this.git.raw(['for-each-ref', '--format=%(refname:short)%00%(objectname)%00%(*objectname)', 'refs/tags']);
+    const tags = {};
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [name, object, peeled] = line.split('\0');
+      tags[name] = { object, commit: peeled || object };
+    });
+    return tags;
+  }
+
+  // Same shape as getLocalTags, read from the remote without fetching anything
+  async getRemoteTags(remote) {
+    const output = await this.git.raw(['ls-remote', '--tags', remote]);
+    const tags = {};
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [hash, ref] = line.split('\t');
+      const name = ref.replace(/^refs\/tags\//, '');
+      if (name.endsWith('^{}')) {
+        const tagName = name.slice(0, -3);
+        tags[tagName] = { object: hash, ...tags[tagName], commit: hash };
+      } else {
+        tags[name] = { commit: hash, ...tags[name], object: hash };
+      }
+    });
+    return tags;
+  }
+
+  // Local branches with an upstream; `gone` is set when the upstream was deleted on the remote
+  async getTrackingBranches() {
+    const output = await this.git.raw([
+      'for-each-ref',
+      '--format=%(refname:short)%00%(objectname)%00%(upstream)%00%(upstream:short)%00%(upstream:remotename)%00%(upstream:track)',
+      'refs/heads'
+    ]);
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [name, hash, upstreamRef, upstream, remote, track] = line.split('\0');
+      return { name, hash, upstreamRef, upstream, remote, gone: track === '[gone]' };
+    }).filter(branch => branch.upstreamRef);
+  }
+
+  // Branch -> last commit, upstream and base-branch ahead/behind, merged state and
+  // description, for local branches and remote-tracking branches ("origin/x")
+  async getBranchDetails(baseRef = null) {
+    const output = await this.git.raw([
+      'for-each-ref',
+      '--format=%(refname)%00%(refname:short)%00%(committerdate:relative)%00%(authorname)%00%(subject)%00%(upstream:short)%00%(upstream:track,nobracket)',
+      'refs/heads', 'refs/remotes'
+    ]);
+
+    const merged = new Set();
+    if (baseRef) {
+      const mergedOutput = await this.git.raw(['for-each-ref', `--merged=${baseRef}`, '--format=%(refname)', 'refs/heads', 'refs/remotes']);
+      mergedOutput.split('\n').filter(Boolean).forEach(ref => merged.add(ref));
+    }
+
+    const descriptions = {};
+    try {
+      const descriptionOutput = await this.git.raw(['config', '--get-regexp', '^branch\\..*\\.description$']);
+      descriptionOutput.split('\n').filter(Boolean).forEach(line => {
+        const [key, ...value] = line.split(' ');
+        descriptions[key.slice('branch.'.length, -'.description'.length)] = value.join(' ');
+      });
+    } catch (error) {
+      // No branch has a description
+    }
+
+    const lines = output.split('\n').filter(Boolean).map(line => line.split('\0'))
+      .filter(([ref]) => !ref.endsWith('/HEAD'));
+    const baseCounts = baseRef
+      ? await this.getAheadBehindMany(lines.map(([ref]) => ref), baseRef)
+      : {};
+
+    const details = {};
+    for (const [ref, name, date, author, subject, upstream, track] of lines) {
+      const isLocal = ref.startsWith('refs/heads/');
+      const ahead = track.match(/ahead (\d+)/);
+      const behind = track.match(/behind (\d+)/);
+      details[name] = {
+        date,
+        author,
+        subject,
+        upstream: upstream || null,
+        upstreamGone: track === 'gone',
+        upstreamAhead: ahead ? parseInt(ahead[1], 10) : 0,
+        upstreamBehind: behind ? parseInt(behind[1], 10) : 0,
+        base: null,
+        merged: baseRef ? merged.has(ref) : null,
+        description: isLocal ? descriptions[name] || null : null
+      };
+
+      if (baseRef && name !== baseRef && baseCounts[ref]) {
+        details[name].base = { ref: baseRef, ...baseCounts[ref] };
+      }
+    }
+    return details;
+  }
+
+  // Maps each branch checked out in a worktree to that worktree's path
+  async getWorktreeBranches() {
+    const output = await this.git.raw(['worktree', 'list', '--porcelain']);
+    const branches = {};
+    let worktreePath = null;
+
+    for (const line of output.split('\n')) {
+      if (line.startsWith('worktree ')) {
+        worktreePath = line.slice('worktree '.length);
+      } else if (line.startsWith('branch refs/heads/')) {
+        branches[line.slice('branch refs/heads/'.length)] = worktreePath;
+      }
+    }
+    return branches;
+  }
+
+  // Full ref name -> { ahead, behind } against baseRef. git 2.41+ counts them all in
+  // one for-each-ref; older versions run rev-list for a few refs at a time.
+  async getAheadBehindMany(refs, baseRef, concurrency = 8) {
+    const counts = {};
+    try {
+      const output = await this.git.raw(['for-each-ref', `--format=%(refname)%00%(ahead-behind:${baseRef})`, 'refs/heads', 'refs/remotes']);
+      output.split('\n').filter(Boolean).forEach(line => {
+        const [ref, aheadBehind] = line.split('\0');
+        const [ahead, behind] = aheadBehind.split(' ').map(Number);
+        counts[ref] = { ahead, behind };
+      });
+      return counts;
+    } catch (error) {
+      // "unknown field name: ahead-behind"
+    }
+
+    let next = 0;
+    const worker = async () => {
+      while (next < refs.length) {
+        const ref = refs[next++];
+        counts[ref] = await this.getAheadBehind(ref, baseRef).catch(() => null);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, refs.length) }, worker));
+    return counts;
+  }
+
+  async getAheadBehind(localRef, upstreamRef) {
+    const output = await this.git.raw(['rev-list', '--left-right', '--count', `${localRef}...${upstreamRef}`]);
+    const [ahead, behind] = output.trim().split(/\s+/).map(Number);
+    return { ahead, behind };
+  }
+
+  // Moves a branch that is not checked out; the old value guards against concurrent updates
+  async fastForwardBranch(branch, newHash, oldHash, reason = 'easygit sync: fast-forward') {
+    await this.git.raw(['update-ref', '-m', reason, `refs/heads/${branch}`, newHash, oldHash]);
   }
 
   async checkout(branchName) {
@@ -161,6 +697,131 @@ class GitRepository {
     return await this.git.log({ maxCount: count });
   }
 
+  // Where the current branch left the default branch, preferring the local copy
+  async getForkPoint(defaultBranch, remote = 'origin') {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    for (const candidate of [defaultBranch, `${remote}/${defaultBranch}`]) {
+      try {
+        return (await this.git.raw(['merge-base', 'HEAD', candidate])).trim();
+      } catch (error) {
+        // Candidate does not exist in this repository
+      }
+    }
+    return null;
+  }
+
+  async getCommitsInRange(rangeArgs) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['log', '--format=%H%x00%s%x00%an%x00%ar', ...rangeArgs]);
+    return output
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [hash, subject, author, date] = line.split('\0');
+        return { hash, subject, author, date };
+      });
+  }
+
+  // Same as getCommitsInRange, plus the files each commit touches
+  async getCommitsWithFiles(rangeArgs) {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['log', '--format=%x1e%H%x00%s%x00%an%x00%ae%x00%aI', '--name-only', ...rangeArgs]);
+    return output
+      .split('\x1e')
+      .filter(entry => entry.trim())
+      .map(entry => {
+        const [header, ...files] = entry.split('\n');
+        const [hash, subject, author, email, date] = header.split('\0');
+        return { hash, subject, author, email, date, files: files.filter(Boolean) };
+      });
+  }
+
+  // Fetches a remote branch into a private ref, leaving remote-tracking branches untouched.
+  // Returns false when the branch does not exist on the remote.
+  async fetchToRef(remote, branch, ref) {
+    try {
+      // An empty --refmap stops git from also updating refs/remotes/<remote>/<branch>
+      await this.git.raw(['fetch', '--no-tags', '--quiet', '--refmap=', remote, `+refs/heads/${branch}:${ref}`]);
+      return true;
+    } catch (error) {
+      if (/couldn't find remote ref/i.test(error.message)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async deleteRef(ref) {
+    await this.git.raw(['update-ref', '-d', ref]);
+  }
+
+  // Merges two commits in memory (git merge-tree) and returns the paths that would conflict
+  async predictMergeConflicts(ours, theirs) {
+    return await new Promise((resolve, reject) => {
+      const { execFile } = require('child_process');
+      execFile('git', ['merge-tree', '--write-tree', '--name-only', '--no-messages', ours, theirs], {
+        cwd: this.workingDir,
+        maxBuffer: 64 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        // Exit code 1 means the merge has conflicts; anything else is a real failure
+        if (error && error.code !== 1) {
+          reject(new Error(`git merge-tree failed: ${(stderr || error.message).trim()}`));
+          return;
+        }
+        const [, ...paths] = stdout.split('\n').filter(Boolean);
+        resolve([...new Set(paths)]);
+      });
+    });
+  }
+
+  async resolveCommit(ref) {
+    try {
+      return (await this.git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Subject, body and trailers exactly as stored in the commit
+  async getFullCommitMessage(ref = 'HEAD') {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+    return (await this.git.raw(['log', '-1', '--format=%B', ref])).trim();
+  }
+
+  async getIdentity() {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const read = async (key) => (await this.git.raw(['config', '--get', key]).catch(() => '')).trim();
+    return { name: await read('user.name'), email: await read('user.email') };
+  }
+
+  // Everyone who authored commits reachable from HEAD, most active first
+  async getAuthors() {
+    if (!this.isInitialized) {
+      throw new Error('Repository not initialized');
+    }
+
+    const output = await this.git.raw(['shortlog', '-sne', 'HEAD']).catch(() => '');
+    return output
+      .split('\n')
+      .map(line => line.match(/^\s*(\d+)\t(.+) <(.*)>$/))
+      .filter(Boolean)
+      .map(([, count, name, email]) => ({ name, email, commits: parseInt(count, 10) }));
+  }
+
   async getLastCommit() {
     const log = await this.getCommitHistory(1);
     return log.latest;
@@ -0,0 +1,68 @@
+const path = require('path');
+
+class LfsManager {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+    this.installed = null;
+  }
+
+  get git() {
+    return this.gitRepo.git;
+  }
+
+  async isInstalled() {
+    if (this.installed === null) {
+      try {
+        await this.git.raw(['lfs', 'version']);
+        this.installed = true;
+      } catch (error) {
+        this.installed = false;
+      }
+    }
+    return this.installed;
+  }
+
+  // Files whose "filter" attribute already routes them through LFS
+  async getLfsTrackedFiles(files) {
+    if (files.length === 0) {
+      return [];
+    }
+
+    const output = await this.git.raw(['check-attr', 'filter', '--', ...files]);
+    return output
+      .split('\n')
+      .filter(line => line.endsWith(': filter: lfs'))
+      .map(line => line.substring(0, line.length - ': filter: lfs'.length));
+  }
+
+  suggestPattern(file, byExtension = true) {
+    const extension = path.extname(file);
+    return byExtension && extension ? `*${extension}` : file;
+  }
+
+  async track(patterns) {
+    for (const pattern of patterns) {
+      await this.git.raw(['lfs', 'track', pattern]);
+    }
+  }
+
+  // Re-add files after tracking so the LFS clean filter turns them into pointers
+  async restage(files) {
+    await this.gitRepo.unstageFiles(files).catch(() => {
+      // Files that were never staged have nothing to unstage
+    });
+    await this.gitRepo.addFiles(['.gitattributes', ...files]);
+  }
+
+  // Rewrite only the commits that have not been pushed yet. Without explicit refs,
+  // "git lfs migrate" takes the current branch and excludes everything on the remotes.
+  async migrateUnpushed(patterns, branch, remoteRef) {
+    const args = ['lfs', 'migrate', 'import', `--include=${patterns.join(',')}`];
+    if (remoteRef) {
+      args.push(`--include-ref=refs/heads/${branch}`, `--exclude-ref=refs/remotes/${remoteRef}`);
+    }
+    return await this.git.raw(args);
+  }
+}
+
+module.exports = LfsManager;
@@ -0,0 +1,115 @@
+const PARKED_NAMESPACE = 'refs/easygit/parked/';
+
+// Uncommitted work left behind on a branch by "easygit switch". Each entry is a
+// stash commit kept under refs/easygit/parked/<branch> rather than on the stash
+// list, so it is only restored when that branch is checked out again.
+class ParkedChanges {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+  }
+
+  get git() {
+    return this.gitRepo.git;
+  }
+
+  refFor(branch) {
+    return `${PARKED_NAMESPACE}${branch}`;
+  }
+
+  async get(branch) {
+    try {
+      return (await this.git.raw(['rev-parse', '--verify', '--quiet', this.refFor(branch)])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Stashes tracked and untracked changes, then moves the stash commit from
+  // the stash list to the branch's parked ref. Returns null when git found
+  // nothing to stash (e.g. only submodules are dirty).
+  async park(branch) {
+    if (await this.get(branch)) {
+      throw new Error(`Branch '${branch}' already has parked changes. Restore them or run "easygit switch --discard-parked ${branch}" first`);
+    }
+
+    // "stash push" succeeds without a new entry when there is nothing to stash,
+    // so only a changed stash tip is ours to move
+    const previousTip = await this.getStashTip();
+    await this.git.raw(['stash', 'push', '--include-untracked', '-m', `easygit: parked on ${branch}`]);
+    const stashCommit = await this.getStashTip();
+    if (!stashCommit || stashCommit === previousTip) {
+      return null;
+    }
+
+    await this.git.raw(['update-ref', '--create-reflog', '-m', 'easygit switch: park', this.refFor(branch), stashCommit]);
+    await this.git.raw(['stash', 'drop', '--quiet', 'stash@{0}']);
+    return stashCommit;
+  }
+
+  async getStashTip() {
+    try {
+      return (await this.git.raw(['rev-parse', '--verify', '--quiet', 'refs/stash'])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Applies the branch's parked changes to the working tree. The entry is only
+  // dropped when they apply cleanly; on conflicts it stays for a retry.
+  async restore(branch) {
+    const stashCommit = await this.get(branch);
+    if (!stashCommit) {
+      return false;
+    }
+
+    try {
+      await this.git.raw(['stash', 'apply', '--index', stashCommit]);
+    } catch (error) {
+      // Staged changes that no longer fit the index are restored unstaged instead
+      if (!/Conflicts in index/.test(error.message)) {
+        throw error;
+      }
+      await this.git.raw(['stash', 'apply', stashCommit]);
+    }
+    await this.drop(branch);
+    return true;
+  }
+
+  async drop(branch) {
+    await this.git.raw(['update-ref', '-d', this.refFor(branch)]);
+  }
+
+  // [{ branch, hash, parkedAt, files }] for every branch with parked work
+  async list() {
+    const output = await this.git.raw(['for-each-ref', '--format=%(refname)%00%(objectname)%00%(creatordate:relative)', PARKED_NAMESPACE]);
+    const entries = [];
+
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [ref, hash, parkedAt] = line.split('\0');
+      entries.push({
+        branch: ref.slice(PARKED_NAMESPACE.length),
+        hash,
+        parkedAt,
+        files: await this.countFiles(hash)
+      });
+    }
+    return entries;
+  }
+
+  // Tracked changes live in the stash commit itself, untracked files in its third parent
+  async countFiles(stashCommit) {
+    const files = new Set();
+    const tracked = await this.git.raw(['diff', '--name-only', `${stashCommit}^1`, stashCommit]);
+    tracked.split('\n').filter(Boolean).forEach(file => files.add(file));
+
+    try {
+      const untracked = await this.git.raw(['ls-tree', '-r', '--name-only', `${stashCommit}^3`]);
+      untracked.split('\n').filter(Boolean).forEach(file => files.add(file));
+    } catch (error) {
+      // No untracked files were parked
+    }
+    return files.size;
+  }
+}
+
+module.exports = ParkedChanges;
@@ -0,0 +1,154 @@
+const inquirer = require('inquirer');
+const ConfigManager = require('./config-manager');
+
+// Exit code for prompts that need an answer nobody can give (no TTY, --non-interactive)
+const INTERACTION_REQUIRED_EXIT_CODE = 3;
+
+class InteractionRequiredError extends Error {
+  constructor(promptId, message) {
+    super(`Cannot answer prompt "${promptId}" without a terminal: ${message}`);
+    this.name = 'InteractionRequiredError';
+    this.promptId = promptId;
+    this.exitCode = INTERACTION_REQUIRED_EXIT_CODE;
+  }
+}
+
+// Every confirmation and question goes through here so scripts and CI get the
+// same decisions a person would make: per-prompt overrides from config first,
+// then --yes, then the terminal, then the prompt's default answer.
+class PromptService {
+  constructor() {
+    this.configManager = new ConfigManager();
+  }
+
+  async getPolicy() {
+    return {
+      // --yes and --non-interactive arrive as EASYGIT_YES / EASYGIT_NON_INTERACTIVE overrides
+      assumeYes: await this.configManager.get('ui.assumeYes', false),
+      nonInteractive: await this.configManager.get('ui.nonInteractive', false),
+      confirmDestructive: await this.configManager.get('core.confirmDestructive', true),
+      overrides: await this.configManager.get('prompts', {})
+    };
+  }
+
+  isTTY() {
+    return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+  }
+
+  async isInteractive() {
+    const policy = await this.getPolicy();
+    return !policy.nonInteractive && this.isTTY();
+  }
+
+  // Drop-in for inquirer.prompt. `id` names the prompt for config overrides
+  // ("prompts": { "sync.diverged": "rebase" }); options.destructive marks
+  // confirmations governed by core.confirmDestructive, and options.yes is the
+  // answer --yes gives when it should not simply be "yes" or the default.
+  async prompt(id, questions, options = {}) {
+    const policy = await this.getPolicy();
+    const interactive = !policy.nonInteractive && this.isTTY();
+    const answers = {};
+    const unanswered = [];
+
+    for (const question of questions) {
+      if (typeof question.when === 'function' && !question.when(answers)) {
+        continue;
+      }
+
+      const decision = this.decide(id, question, questions.length, policy, options, interactive);
+      if (decision.decided) {
+        answers[question.name] = decision.value;
+      } else {
+        unanswered.push(question);
+      }
+    }
+
+    if (unanswered.length === 0) {
+      return answers;
+    }
+
+    if (!interactive) {
+      const question = unanswered[0];
+      const reason = options.destructive && policy.confirmDestructive
+        ? 'destructive actions need confirmation (set core.confirmDestructive to false or answer it in config)'
+        : 'no default answer';
+      throw new InteractionRequiredError(id, `"${question.message}" has ${reason}. ` +
+        `Add "prompts": { "${id}": <answer> } to .easygit/config.json to decide it ahead of time.`);
+    }
+
+    return { ...answers, ...await inquirer.prompt(unanswered, answers) };
+  }
+
+  decide(id, question, questionCount, policy, options, interactive) {
+    const override = policy.overrides[id];
+    if (override !== undefined) {
+      const value = questionCount === 1 ? override : override[question.name];
+      if (value !== undefined) {
+        return { decided: true, value };
+      }
+    }
+
+    if (question.type === 'confirm' && options.destructive) {
+      // Teams that turn confirmations off get the action without a question;
+      // otherwise destructive steps are always confirmed and --yes is not enough
+      return policy.confirmDestructive ? { decided: false } : { decided: true, value: true };
+    }
+
+    if (interactive && !policy.assumeYes) {
+      return { decided: false };
+    }
+
+    if (policy.assumeYes) {
+      // options.yes can pin a safer answer, e.g. --yes must not wave secrets through
+      if (['confirm', 'list'].includes(question.type) && options.yes !== undefined) {
+        return { decided: true, value: options.yes };
+      }
+      if (question.type === 'confirm') {
+        return { decided: true, value: true };
+      }
+    }
+
+    const defaultAnswer = this.getDefaultAnswer(question);
+    if (defaultAnswer !== undefined) {
+      return { decided: true, value: defaultAnswer };
+    }
+
+    return { decided: false };
+  }
+
+  getDefaultAnswer(question) {
+    const choices = (question.choices || []).filter(choice => choice.type !== 'separator');
+    const choiceValue = (choice) => (typeof choice === 'object' && choice !== null && 'value' in choice ? choice.value : choice);
+
+    switch (question.type) {
+      case 'confirm':
+        return question.default === undefined ? true : Boolean(question.default);
+
+      case 'list':
+      case 'expand':
+        if (typeof question.default === 'number') {
+          const choice = choices[question.default];
+          return choice === undefined ? undefined : choiceValue(choice);
+        }
+        return question.default;
+
+      case 'checkbox':
+        return choices.filter(choice => choice.checked).map(choiceValue);
+
+      default:
+        return question.default === undefined || question.default === '' ? undefined : question.default;
+    }
+  }
+
+  // For full-screen interfaces that cannot fall back to a default answer
+  async requireInteraction(id, description) {
+    if (!await this.isInteractive()) {
+      throw new InteractionRequiredError(id, `${description} needs a terminal`);
+    }
+  }
+}
+
+PromptService.InteractionRequiredError = InteractionRequiredError;
+PromptService.INTERACTION_REQUIRED_EXIT_CODE = INTERACTION_REQUIRED_EXIT_CODE;
+
+module.exports = PromptService;
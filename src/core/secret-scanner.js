@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const DiffParser = require('./diff-parser');
+
+const BUILTIN_RULES = [
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern: /aws_?secret_?access_?key\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})\b/i
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}\b/
+  },
+  {
+    id: 'github-fine-grained-token',
+    description: 'GitHub fine-grained personal access token',
+    pattern: /\bgithub_pat_[A-Za-z0-9_]{82}\b/
+  },
+  {
+    id: 'gitlab-token',
+    description: 'GitLab personal access token',
+    pattern: /\bglpat-[A-Za-z0-9_-]{20}\b/
+  },
+  {
+    id: 'private-key',
+    description: 'Private key block',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/
+  }
+];
+
+// Assignments such as `DB_PASSWORD=...` or `"apiSecret": "..."`; the value is checked for entropy
+const KEYWORD_ASSIGNMENT = /([\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|credential)[\w.-]*)['"]?\s*[:=]\s*['"]?([^\s'"`,;]{8,})/i;
+
+class SecretScanner {
+  constructor(options = {}) {
+    this.diffParser = new DiffParser();
+    this.entropyThreshold = options.entropyThreshold || 3.5;
+    this.rules = [...BUILTIN_RULES, ...this.compileRules(options.rules || [])];
+
+    const allowlist = options.allowlist || {};
+    this.allowedPaths = (allowlist.paths || []).map(pattern => new RegExp(pattern));
+    this.allowedPatterns = (allowlist.patterns || []).map(pattern => new RegExp(pattern));
+    this.allowedFingerprints = new Set(allowlist.fingerprints || []);
+  }
+
+  compileRules(customRules) {
+    return customRules.map(rule => {
+      if (!rule.id || !rule.pattern) {
+        throw new Error('Custom secret rules need an "id" and a "pattern"');
+      }
+
+      try {
+        return {
+          id: rule.id,
+          description: rule.description || rule.id,
+          pattern: new RegExp(rule.pattern, rule.flags || '')
+        };
+      } catch (error) {
+        throw new Error(`Invalid pattern for secret rule "${rule.id}": ${error.message}`);
+      }
+    });
+  }
+
+  scanDiff(rawDiff) {
+    const findings = [];
+
+    for (const file of this.diffParser.parse(rawDiff)) {
+      if (file.type === 'deleted' || file.binary) {
+        continue;
+      }
+
+      if (this.allowedPaths.some(pattern => pattern.test(file.path))) {
+        continue;
+      }
+
+      for (const hunk of file.hunks) {
+        let lineNumber = hunk.newStart;
+
+        for (const line of hunk.lines) {
+          if (line.startsWith('+')) {
+            findings.push(...this.scanLine(file.path, lineNumber, line.substring(1)));
+            lineNumber++;
+          } else if (!line.startsWith('-') && !line.startsWith('\\')) {
+            lineNumber++;
+          }
+        }
+      }
+    }
+
+    return findings.filter(finding => !this.isAllowed(finding));
+  }
+
+  scanLine(file, line, text) {
+    const findings = [];
+
+    for (const rule of this.rules) {
+      const match = text.match(rule.pattern);
+      if (match) {
+        findings.push(this.createFinding(rule, file, line, match[1] || match[0]));
+      }
+    }
+
+    // Only fall back to the entropy check when no specific rule matched the line
+    if (findings.length === 0) {
+      const assignment = text.match(KEYWORD_ASSIGNMENT);
+      if (assignment && this.calculateEntropy(assignment[2]) >= this.entropyThreshold) {
+        findings.push(this.createFinding({
+          id: 'high-entropy-secret',
+          description: `High-entropy value assigned to "${assignment[1]}"`
+        }, file, line, assignment[2]));
+      }
+    }
+
+    return findings;
+  }
+
+  createFinding(rule, file, line, secret) {
+    return {
+      ruleId: rule.id,
+      description: rule.description,
+      file,
+      line,
+      secret,
+      preview: this.redact(secret),
+      fingerprint: this.fingerprint(rule.id, file, secret)
+    };
+  }
+
+  isAllowed(finding) {
+    if (this.allowedFingerprints.has(finding.fingerprint)) {
+      return true;
+    }
+    return this.allowedPatterns.some(pattern => pattern.test(finding.secret));
+  }
+
+  // Fingerprints ignore line numbers so an allowlisted finding stays suppressed when code moves
+  fingerprint(ruleId, file, secret) {
+    return crypto.createHash('sha256')
+      .update(`${ruleId}:${file}:${secret}`)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  redact(secret) {
+    if (secret.length <= 8) {
+      return '*'.repeat(secret.length);
+    }
+    return `${secret.substring(0, 4)}${'*'.repeat(Math.min(secret.length - 4, 12))}`;
+  }
+
+  calculateEntropy(value) {
+    const frequencies = {};
+    for (const char of value) {
+      frequencies[char] = (frequencies[char] || 0) + 1;
+    }
+
+    return Object.values(frequencies).reduce((entropy, count) => {
+      const probability = count / value.length;
+      return entropy - probability * Math.log2(probability);
+    }, 0);
+  }
+}
+
+module.exports = SecretScanner;
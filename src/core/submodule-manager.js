@@ -0,0 +1,117 @@
+const path = require('path');
+const fs = require('fs').promises;
+const simpleGit = require('simple-git');
+
+class SubmoduleManager {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+  }
+
+  get git() {
+    return this.gitRepo.git;
+  }
+
+  // A git instance running inside the submodule's checkout
+  submoduleGit(submodulePath) {
+    return simpleGit(path.join(this.gitRepo.workingDir, submodulePath));
+  }
+
+  // Submodule paths as declared in .gitmodules at the given commit
+  async getPaths(ref = 'HEAD') {
+    try {
+      const output = await this.git.raw(['config', '--blob', `${ref}:.gitmodules`, '--get-regexp', '^submodule\\..*\\.path$']);
+      return output.split('\n').filter(Boolean).map(line => line.substring(line.indexOf(' ') + 1));
+    } catch (error) {
+      // No .gitmodules at that commit
+      return [];
+    }
+  }
+
+  // Path -> commit recorded for each submodule in the given commit's tree
+  async getRecordedShas(ref = 'HEAD') {
+    const paths = await this.getPaths(ref);
+    if (paths.length === 0) {
+      return {};
+    }
+
+    const output = await this.git.raw(['ls-tree', '-z', ref, '--', ...paths]);
+    const shas = {};
+    output.split('\0').filter(Boolean).forEach(entry => {
+      const [info, entryPath] = entry.split('\t');
+      const [mode, type, hash] = info.split(' ');
+      if (mode === '160000' && type === 'commit') {
+        shas[entryPath] = hash;
+      }
+    });
+    return shas;
+  }
+
+  async isInitialized(submodulePath) {
+    try {
+      await fs.access(path.join(this.gitRepo.workingDir, submodulePath, '.git'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Runs "submodule update" when a pull or checkout changed the recorded commits.
+  // Returns the paths whose pointers changed.
+  async updateIfChanged(before) {
+    const after = await this.getRecordedShas('HEAD');
+    const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(submodulePath => after[submodulePath] && before[submodulePath] !== after[submodulePath]);
+
+    if (changed.length > 0) {
+      await this.git.raw(['submodule', 'update', '--init', '--recursive']);
+    }
+    return changed;
+  }
+
+  // Checked-out versus recorded commit, local changes and unpushed commits per submodule
+  async getStatus() {
+    const recorded = await this.getRecordedShas('HEAD');
+    const submodules = [];
+
+    for (const [submodulePath, recordedSha] of Object.entries(recorded)) {
+      const entry = { path: submodulePath, recorded: recordedSha, initialized: await this.isInitialized(submodulePath) };
+
+      if (entry.initialized) {
+        const git = this.submoduleGit(submodulePath);
+        entry.checkedOut = (await git.raw(['rev-parse', 'HEAD'])).trim();
+        entry.dirty = (await git.raw(['status', '--porcelain'])).trim() !== '';
+        // Commits on the submodule's HEAD that none of its remotes have
+        entry.ahead = parseInt((await git.raw(['rev-list', '--count', 'HEAD', '--not', '--remotes'])).trim(), 10) || 0;
+      }
+
+      submodules.push(entry);
+    }
+    return submodules;
+  }
+
+  // Staged submodule pointers whose new commit is not on any remote branch of the submodule
+  async findUnpushedPointers() {
+    const output = await this.git.raw(['diff', '--cached', '--raw', '--no-abbrev']);
+    const unpushed = [];
+
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [info, submodulePath] = line.split('\t');
+      const [, newMode, , newSha] = info.split(' ');
+      if (newMode !== '160000' || !await this.isInitialized(submodulePath)) {
+        continue;
+      }
+
+      try {
+        const branches = await this.submoduleGit(submodulePath).raw(['branch', '-r', '--contains', newSha]);
+        if (!branches.trim()) {
+          unpushed.push({ path: submodulePath, sha: newSha });
+        }
+      } catch (error) {
+        // The commit is not in the submodule's object store, so there is nothing to check
+      }
+    }
+    return unpushed;
+  }
+}
+
+module.exports = SubmoduleManager;
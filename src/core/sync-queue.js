@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Sync options worth replaying; everything else commander adds is dropped
+const REPLAYABLE_OPTIONS = ['remote', 'branch', 'rebase', 'merge', 'force', 'forceWithLease', 'allowUnrelated', 'allBranches', 'tags'];
+
+class SyncQueue {
+  constructor(queueFile = path.join(os.homedir(), '.easygit', 'sync-queue.json')) {
+    this.queueFile = queueFile;
+  }
+
+  async load() {
+    try {
+      const entries = JSON.parse(await fs.readFile(this.queueFile, 'utf8'));
+      if (!Array.isArray(entries)) {
+        return [];
+      }
+      // Entries written before statuses existed are still pending
+      return entries.map(entry => ({ status: 'pending', attempts: 0, lastError: null, ...entry }));
+    } catch (error) {
+      // File doesn't exist or is invalid, start with empty queue
+      return [];
+    }
+  }
+
+  async save(entries) {
+    await fs.mkdir(path.dirname(this.queueFile), { recursive: true });
+    await fs.writeFile(this.queueFile, JSON.stringify(entries, null, 2));
+  }
+
+  // Queues a sync, replacing any earlier entry for the same repository and branch
+  // (an --all-branches sync is a target of its own)
+  async add({ workingDir, branch, options }) {
+    const entries = await this.load();
+    const replayable = this.pickReplayableOptions(options);
+    const replaced = entries.find(entry => this.isSameTarget(entry, { workingDir, branch, options: replayable }));
+
+    const operation = {
+      id: Date.now().toString(36),
+      timestamp: new Date().toISOString(),
+      workingDir,
+      branch,
+      options: replayable,
+      status: 'pending',
+      attempts: 0,
+      lastError: null
+    };
+
+    const remaining = entries.filter(entry => entry !== replaced);
+    await this.save([...remaining, operation]);
+
+    return { operation, replaced: replaced || null };
+  }
+
+  async list() {
+    return await this.load();
+  }
+
+  // Keeps only the newest entry per repository, branch and scope; returns how many were dropped
+  async dedupe() {
+    const entries = await this.load();
+    const newest = new Map();
+
+    for (const entry of entries) {
+      const key = this.targetKey(entry);
+      const current = newest.get(key);
+      if (!current || entry.timestamp >= current.timestamp) {
+        newest.set(key, entry);
+      }
+    }
+
+    const kept = entries.filter(entry => newest.get(this.targetKey(entry)) === entry);
+    if (kept.length !== entries.length) {
+      await this.save(kept);
+    }
+    return entries.length - kept.length;
+  }
+
+  // Accepts a unique prefix of the id, the way git accepts short hashes
+  async find(idPrefix) {
+    const entries = await this.load();
+    const matches = entries.filter(entry => entry.id.startsWith(idPrefix));
+
+    if (matches.length === 0) {
+      throw new Error(`No queued sync with id "${idPrefix}". Run "easygit sync --queue" to list them.`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Queue id "${idPrefix}" is ambiguous (${matches.map(entry => entry.id).join(', ')})`);
+    }
+    return matches[0];
+  }
+
+  async remove(id) {
+    const entries = await this.load();
+    await this.save(entries.filter(entry => entry.id !== id));
+  }
+
+  async recordFailure(id, error) {
+    const entries = await this.load();
+    const entry = entries.find(candidate => candidate.id === id);
+    if (entry) {
+      entry.status = 'failed';
+      entry.attempts += 1;
+      entry.lastAttempt = new Date().toISOString();
+      entry.lastError = error.message;
+      await this.save(entries);
+    }
+  }
+
+  pickReplayableOptions(options = {}) {
+    const picked = {};
+    for (const key of REPLAYABLE_OPTIONS) {
+      if (options[key] !== undefined) {
+        picked[key] = options[key];
+      }
+    }
+    return picked;
+  }
+
+  targetKey(entry) {
+    const allBranches = Boolean(entry.options && entry.options.allBranches);
+    return `${path.resolve(entry.workingDir)}\0${entry.branch}\0${allBranches ? 'all-branches' : 'branch'}`;
+  }
+
+  isSameTarget(a, b) {
+    return this.targetKey(a) === this.targetKey(b);
+  }
+}
+
+module.exports = SyncQueue;
@@ -0,0 +1,72 @@
+const ConfigManager = require('./config-manager');
+
+// Fork workflows pull from one remote (upstream) and push to another (origin).
+// This works out which remote is the upstream and how a branch relates to both.
+class TriangularWorkflow {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+    this.configManager = new ConfigManager();
+  }
+
+  // sync.upstreamRemote wins; otherwise a remote literally named "upstream" is used
+  async getUpstreamRemote() {
+    const configured = await this.configManager.get('sync.upstreamRemote', null);
+    if (configured === false) {
+      return null;
+    }
+
+    const remotes = (await this.gitRepo.getRemotes()).map(remote => remote.name);
+    if (configured) {
+      if (!remotes.includes(configured)) {
+        throw new Error(`Upstream remote "${configured}" does not exist. Add it with "git remote add ${configured} <url>" or change sync.upstreamRemote`);
+      }
+      return configured;
+    }
+
+    return remotes.includes('upstream') ? 'upstream' : null;
+  }
+
+  async getDefaultBranch() {
+    return await this.configManager.get('core.defaultBranch', 'main');
+  }
+
+  // A branch that tracks the upstream remote integrates from there; everything
+  // else integrates from the upstream's default branch
+  async getIntegrationSource(branch, upstreamRemote) {
+    const tracking = (await this.gitRepo.getTrackingBranches()).find(candidate => candidate.name === branch);
+    if (tracking && tracking.remote === upstreamRemote && !tracking.gone) {
+      return { remote: upstreamRemote, branch: tracking.upstream.slice(upstreamRemote.length + 1) };
+    }
+
+    return { remote: upstreamRemote, branch: await this.getDefaultBranch() };
+  }
+
+  async getIntegrationBase(branch, upstreamRemote) {
+    const source = await this.getIntegrationSource(branch, upstreamRemote);
+    const base = `${source.remote}/${source.branch}`;
+    return await this.gitRepo.resolveCommit(base) ? base : null;
+  }
+
+  // Returns null when the repository is not set up as a fork
+  async describe(branch, pushRemote = 'origin') {
+    const upstreamRemote = await this.getUpstreamRemote();
+    if (!upstreamRemote || upstreamRemote === pushRemote || !branch) {
+      return null;
+    }
+
+    const baseRef = await this.getIntegrationBase(branch, upstreamRemote);
+    const forkRef = `${pushRemote}/${branch}`;
+    const forkExists = Boolean(await this.gitRepo.resolveCommit(forkRef));
+
+    return {
+      upstreamRemote,
+      pushRemote,
+      base: baseRef ? { ref: baseRef, ...await this.gitRepo.getAheadBehind(branch, baseRef) } : null,
+      fork: forkExists
+        ? { ref: forkRef, exists: true, ...await this.gitRepo.getAheadBehind(branch, forkRef) }
+        : { ref: forkRef, exists: false, ahead: 0, behind: 0 }
+    };
+  }
+}
+
+module.exports = TriangularWorkflow;
@@ -0,0 +1,144 @@
+const path = require('path');
+const fs = require('fs').promises;
+const simpleGit = require('simple-git');
+const ConfigManager = require('./config-manager');
+
+class WorktreeManager {
+  constructor(gitRepo) {
+    this.gitRepo = gitRepo;
+    this.configManager = new ConfigManager();
+  }
+
+  get git() {
+    return this.gitRepo.git;
+  }
+
+  // Every worktree of the repository, the main one first, as reported by
+  // "git worktree list --porcelain"
+  async list() {
+    const output = await this.git.raw(['worktree', 'list', '--porcelain']);
+    const worktrees = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      if (line.startsWith('worktree ')) {
+        current = { path: line.slice('worktree '.length), branch: null, head: null, detached: false, bare: false, locked: false, prunable: false };
+        current.main = worktrees.length === 0;
+        worktrees.push(current);
+      } else if (!current) {
+        continue;
+      } else if (line.startsWith('HEAD ')) {
+        current.head = line.slice('HEAD '.length);
+      } else if (line.startsWith('branch refs/heads/')) {
+        current.branch = line.slice('branch refs/heads/'.length);
+      } else if (line === 'detached') {
+        current.detached = true;
+      } else if (line === 'bare') {
+        current.bare = true;
+      } else if (line === 'locked' || line.startsWith('locked ')) {
+        current.locked = true;
+      } else if (line === 'prunable' || line.startsWith('prunable ')) {
+        current.prunable = true;
+      }
+    }
+    return worktrees;
+  }
+
+  // Adds whether each worktree still exists on disk and has uncommitted changes
+  async listWithState() {
+    const worktrees = await this.list();
+
+    for (const worktree of worktrees) {
+      worktree.missing = !await this.exists(worktree.path);
+      worktree.dirty = false;
+      if (!worktree.missing && !worktree.bare) {
+        try {
+          worktree.dirty = (await simpleGit(worktree.path).raw(['status', '--porcelain'])).trim() !== '';
+        } catch (error) {
+          // A worktree git cannot read is reported as stale by "worktree prune"
+        }
+      }
+    }
+    return worktrees;
+  }
+
+  async exists(worktreePath) {
+    try {
+      await fs.access(worktreePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The worktree this command runs in
+  async getCurrentPath() {
+    return (await this.git.revparse(['--show-toplevel'])).trim();
+  }
+
+  // Branch -> path for branches checked out in a worktree other than this one
+  async getBranchesElsewhere() {
+    const currentPath = await this.canonicalPath(await this.getCurrentPath());
+    const branches = {};
+
+    for (const worktree of await this.list()) {
+      if (worktree.branch && await this.canonicalPath(worktree.path) !== currentPath) {
+        branches[worktree.branch] = worktree.path;
+      }
+    }
+    return branches;
+  }
+
+  async canonicalPath(worktreePath) {
+    try {
+      return await fs.realpath(worktreePath);
+    } catch (error) {
+      return path.resolve(worktreePath);
+    }
+  }
+
+  // worktree.directory is a template relative to the main worktree; {repo} is the
+  // main worktree's directory name and {branch} the branch with "/" turned into "-"
+  async getPathFor(branch) {
+    const template = await this.configManager.get('worktree.directory', '../{repo}.worktrees/{branch}');
+    const [main] = await this.list();
+    const resolved = template
+      .replace(/\{repo\}/g, path.basename(main.path))
+      .replace(/\{branch\}/g, branch.replace(/\//g, '-'));
+    return path.resolve(main.path, resolved);
+  }
+
+  // Checks the branch out in a new worktree. startPoint creates the branch
+  // first; a remote-tracking startPoint also sets it as the upstream.
+  async add(branch, { startPoint = null, track = false } = {}) {
+    const worktreePath = await this.getPathFor(branch);
+    if (await this.exists(worktreePath)) {
+      throw new Error(`Cannot create worktree: ${worktreePath} already exists. Change worktree.directory or remove it first`);
+    }
+
+    const args = ['worktree', 'add'];
+    if (startPoint) {
+      args.push(...(track ? ['--track'] : []), '-b', branch, worktreePath, startPoint);
+    } else {
+      args.push(worktreePath, branch);
+    }
+    await this.git.raw(args);
+    return worktreePath;
+  }
+
+  async remove(worktreePath, { force = false } = {}) {
+    await this.git.raw(['worktree', 'remove', ...(force ? ['--force'] : []), worktreePath]);
+  }
+
+  // Drops administrative entries for worktrees whose directory is gone and
+  // returns those worktrees ("worktree prune --verbose" only reports on stderr)
+  async prune({ dryRun = false } = {}) {
+    const stale = (await this.listWithState()).filter(worktree => !worktree.main && !worktree.locked && (worktree.missing || worktree.prunable));
+    if (stale.length > 0 && !dryRun) {
+      await this.git.raw(['worktree', 'prune']);
+    }
+    return stale;
+  }
+}
+
+module.exports = WorktreeManager;
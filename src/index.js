@@ -14,6 +14,9 @@ const UndoCommand = require('./commands/undo');
 const AskCommand = require('./commands/ask');
 const DoctorCommand = require('./commands/doctor');
 const StatusCommand = require('./commands/status');
+const LintMessageCommand = require('./commands/lint-message');
+const ResolveCommand = require('./commands/resolve');
+const WorktreeCommand = require('./commands/worktree');
 
 // Import core modules
 const GitRepository = require('./core/git-repository');
@@ -38,7 +41,18 @@ class EasygitCLI {
       .version('1.0.0')
       .option('-v, --verbose', 'Enable verbose output')
       .option('--no-color', 'Disable colored output')
+      .option('-y, --yes', 'Answer confirmations with yes (destructive actions still follow core.confirmDestructive)')
+      .option('--non-interactive', 'Never prompt; use default answers or fail when a prompt cannot be decided')
       .hook('preAction', async (thisCommand) => {
+        // Prompt decisions are read from config, which picks these up as overrides
+        const globalOptions = this.program.opts();
+        if (globalOptions.yes) {
+          process.env.EASYGIT_YES = 'true';
+        }
+        if (globalOptions.nonInteractive) {
+          process.env.EASYGIT_NON_INTERACTIVE = 'true';
+        }
+
         // Initialize Git repository context
         try {
           this.gitRepo = new GitRepository(process.cwd());
@@ -63,6 +77,9 @@ class EasygitCLI {
     new UpdateCommand(this.program, () => this.gitRepo, this.errorHandler);
     new UndoCommand(this.program, () => this.gitRepo, this.errorHandler);
     new StatusCommand(this.program, () => this.gitRepo, this.errorHandler);
+    new LintMessageCommand(this.program, () => this.gitRepo, this.errorHandler);
+    new ResolveCommand(this.program, () => this.gitRepo, this.errorHandler);
+    new WorktreeCommand(this.program, () => this.gitRepo, this.errorHandler);
     
     // Advanced commands
     const RebaseCommand = require('./commands/rebase');
@@ -78,7 +95,7 @@ class EasygitCLI {
       await this.program.parseAsync(process.argv);
     } catch (error) {
       await this.errorHandler.handleError(error, this.gitRepo);
-      process.exit(1);
+      process.exit(error.exitCode || 1);
     }
   }
 }
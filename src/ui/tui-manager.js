@@ -179,7 +179,7 @@ class TUIManager {
         // Populate commits
         const actions = ['pick', 'reword', 'edit', 'squash', 'fixup', 'drop'];
         const commitData = commits.map(commit => ({
-          action: 'pick',
+          action: commit.action || 'pick',
           hash: commit.hash,
           message: commit.message
         }));
@@ -246,7 +246,11 @@ class TUIManager {
     });
   }
 
-  async showBranchSelector(branches, currentBranch) {
+  // branches are { name, current, label } objects; label is the row text and
+  // defaults to the name. options.getPreview(branch) resolves to the lines shown
+  // beside the list for the highlighted branch, and options.createLabel adds a
+  // last row that resolves to { create: true }.
+  async showBranchSelector(branches, options = {}) {
     return new Promise((resolve, reject) => {
       try {
         const screen = this.createScreen();
@@ -257,8 +261,8 @@ class TUIManager {
           parent: screen,
           top: 'center',
           left: 'center',
-          width: '80%',
-          height: '60%',
+          width: options.getPreview ? '95%' : '80%',
+          height: options.getPreview ? '90%' : '60%',
           border: {
             type: 'line'
           },
@@ -274,7 +278,7 @@ class TUIManager {
           parent: container,
           top: 1,
           left: 'center',
-          content: chalk.bold.cyan('Select Branch'),
+          content: chalk.bold.cyan(options.title || 'Select Branch'),
           style: {
             fg: 'cyan',
             bold: true
@@ -305,8 +309,8 @@ class TUIManager {
           parent: container,
           top: 7,
           left: 2,
-          width: '96%',
-          height: '70%',
+          width: options.getPreview ? '55%' : '96%',
+          height: '100%-9',
           border: {
             type: 'line'
           },
@@ -325,24 +329,79 @@ class TUIManager {
           scrollable: true
         });
 
+        // Preview of the highlighted branch
+        const preview = options.getPreview ? blessed.box({
+          parent: container,
+          top: 7,
+          left: '58%',
+          width: '40%',
+          height: '100%-9',
+          label: ' Preview ',
+          border: {
+            type: 'line'
+          },
+          style: {
+            border: {
+              fg: 'gray'
+            }
+          },
+          scrollable: true,
+          tags: false
+        }) : null;
+
+        const previews = new Map();
         let filteredBranches = branches;
 
+        const showPreview = (index) => {
+          const branch = filteredBranches[index];
+          if (!preview || !branch) {
+            return;
+          }
+
+          if (!previews.has(branch.name)) {
+            previews.set(branch.name, options.getPreview(branch).catch(error => [chalk.red(error.message)]));
+            preview.setContent(chalk.gray('Loading...'));
+            screen.render();
+          }
+
+          previews.get(branch.name).then(lines => {
+            // The highlight may have moved on while the preview was loading
+            if (filteredBranches[branchList.selected] === branch) {
+              preview.setContent(lines.join('\n'));
+              screen.render();
+            }
+          });
+        };
+
         const updateBranchList = (filter = '') => {
-          filteredBranches = branches.filter(branch => 
-            branch.toLowerCase().includes(filter.toLowerCase())
+          filteredBranches = branches.filter(branch =>
+            branch.name.toLowerCase().includes(filter.toLowerCase())
           );
+          if (options.createLabel) {
+            filteredBranches = [...filteredBranches, { name: options.createLabel, create: true }];
+          }
 
           const items = filteredBranches.map(branch => {
-            if (branch === currentBranch) {
-              return `${chalk.green('* ' + branch)} ${chalk.gray('(current)')}`;
+            if (branch.create) {
+              return chalk.cyan(branch.name);
             }
-            return `  ${branch}`;
+            if (branch.label) {
+              return branch.label;
+            }
+            if (branch.current) {
+              return `${chalk.green('* ' + branch.name)} ${chalk.gray('(current)')}`;
+            }
+            return `  ${branch.name}`;
           });
 
           branchList.setItems(items);
+          branchList.select(0);
+          showPreview(0);
           screen.render();
         };
 
+        branchList.on('select item', (item, index) => showPreview(index));
+
         updateBranchList();
 
         // Handle search input
@@ -360,10 +419,9 @@ class TUIManager {
 
         // Handle branch selection
         branchList.key('enter', () => {
-          const selected = branchList.selected;
-          const selectedBranch = filteredBranches[selected];
+          const selectedBranch = filteredBranches[branchList.selected];
           this.cleanup();
-          resolve(selectedBranch);
+          resolve(selectedBranch.create ? { create: true } : selectedBranch);
         });
 
         branchList.key('escape', () => {
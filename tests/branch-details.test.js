@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const GitRepository = require('../src/core/git-repository');
+const SwitchCommand = require('../src/commands/switch');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const stripColor = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('GitRepository branch details', () => {
+  let remote;
+  let repo;
+  let gitRepo;
+
+  beforeEach(async () => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('remote', 'add', 'origin', remote.dir);
+
+    repo.git('checkout', '-q', '-b', 'feature/login');
+    repo.commitFile('login.js', 'v1\n', 'Add login');
+    repo.git('push', '-q', '-u', 'origin', 'feature/login');
+    repo.commitFile('login.js', 'v2\n', 'Improve login');
+    repo.git('config', 'branch.feature/login.description', 'Login form for the new site');
+
+    repo.git('checkout', '-q', '-b', 'fix/typo', 'main');
+    repo.commitFile('README.md', 'fixed\n', 'Fix typo');
+    repo.git('checkout', '-q', 'main');
+    repo.git('merge', '-q', '--no-ff', '-m', 'Merge fix/typo', 'fix/typo');
+    repo.commitFile('main.txt', 'main\n', 'Main moves on');
+
+    gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    repo.remove();
+    remote.remove();
+  });
+
+  const expectedCounts = {
+    'refs/heads/feature/login': { ahead: 2, behind: 3 },
+    'refs/heads/fix/typo': { ahead: 0, behind: 2 },
+    'refs/remotes/origin/feature/login': { ahead: 1, behind: 3 }
+  };
+  const refs = Object.keys(expectedCounts);
+  const pick = (counts) => Object.fromEntries(refs.map(ref => [ref, counts[ref]]));
+
+  it('counts ahead/behind for many refs against a base', async () => {
+    assert.deepStrictEqual(pick(await gitRepo.getAheadBehindMany(refs, 'main')), expectedCounts);
+  });
+
+  it('falls back to one rev-list per ref when git lacks %(ahead-behind)', async () => {
+    const raw = gitRepo.git.raw.bind(gitRepo.git);
+    mock.method(gitRepo.git, 'raw', async (args) => {
+      if (args[0] === 'for-each-ref' && args[1].includes('ahead-behind')) {
+        throw new Error('fatal: unknown field name: ahead-behind:main');
+      }
+      return raw(args);
+    });
+
+    assert.deepStrictEqual(await gitRepo.getAheadBehindMany([...refs, 'refs/heads/missing'], 'main', 2), { ...expectedCounts, 'refs/heads/missing': null });
+  });
+
+  it('reads %(ahead-behind) output from newer git in one call', async () => {
+    mock.method(gitRepo.git, 'raw', async () => 'refs/heads/feature/login\u00002 3\nrefs/heads/fix/typo\u00000 2\n');
+
+    assert.deepStrictEqual(await gitRepo.getAheadBehindMany(['refs/heads/feature/login'], 'main'), {
+      'refs/heads/feature/login': { ahead: 2, behind: 3 },
+      'refs/heads/fix/typo': { ahead: 0, behind: 2 }
+    });
+  });
+
+  it('describes local and remote-tracking branches', async () => {
+    const details = await gitRepo.getBranchDetails('main');
+
+    assert.deepStrictEqual(Object.keys(details).sort(), ['feature/login', 'fix/typo', 'main', 'origin/feature/login']);
+
+    const login = details['feature/login'];
+    assert.strictEqual(login.subject, 'Improve login');
+    assert.strictEqual(login.author, 'Test');
+    assert.strictEqual(login.upstream, 'origin/feature/login');
+    assert.strictEqual(login.upstreamAhead, 1);
+    assert.strictEqual(login.upstreamBehind, 0);
+    assert.strictEqual(login.merged, false);
+    assert.strictEqual(login.description, 'Login form for the new site');
+    assert.deepStrictEqual(login.base, { ref: 'main', ahead: 2, behind: 3 });
+
+    assert.strictEqual(details['fix/typo'].merged, true);
+    assert.strictEqual(details['fix/typo'].upstream, null);
+    assert.strictEqual(details.main.base, null);
+    assert.strictEqual(details['origin/feature/login'].description, null);
+  });
+
+  it('reports upstreams that are gone and leaves out base counts without a base', async () => {
+    remote.git('branch', '-D', 'feature/login');
+    repo.git('fetch', '-q', '--prune', 'origin');
+
+    const details = await gitRepo.getBranchDetails();
+    assert.strictEqual(details['feature/login'].upstreamGone, true);
+    assert.strictEqual(details['feature/login'].merged, null);
+    assert.strictEqual(details['feature/login'].base, null);
+  });
+});
+
+describe('SwitchCommand.describeBranch', () => {
+  const switchCommand = Object.create(SwitchCommand.prototype);
+
+  it('summarises the last commit, upstream, base and description', () => {
+    assert.strictEqual(stripColor(switchCommand.describeBranch({
+      date: '3 days ago',
+      author: 'Dana',
+      upstream: 'origin/feature/login',
+      upstreamGone: false,
+      upstreamAhead: 1,
+      upstreamBehind: 0,
+      base: { ref: 'main', ahead: 4, behind: 2 },
+      merged: false,
+      description: 'Login form'
+    })), '3 days ago by Dana · ↑1 ↓0 origin/feature/login · ↑4 ↓2 main · unmerged · Login form');
+  });
+
+  it('marks upstreams that are gone', () => {
+    assert.strictEqual(stripColor(switchCommand.describeBranch({
+      date: '2 weeks ago',
+      author: 'Dana',
+      upstream: 'origin/fix/typo',
+      upstreamGone: true,
+      base: null,
+      description: null
+    })), '2 weeks ago by Dana · origin/fix/typo gone');
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GitRepository = require('../src/core/git-repository');
+const BranchHistory = require('../src/core/branch-history');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const NOW = Date.parse('2024-06-01T12:00:00.000Z');
+const hoursAgo = (hours) => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+describe('BranchHistory scoring', () => {
+  it('weighs recent visits more than old ones', () => {
+    assert.strictEqual(BranchHistory.score([hoursAgo(1)], NOW), 100);
+    assert.strictEqual(BranchHistory.score([hoursAgo(10)], NOW), 70);
+    assert.strictEqual(BranchHistory.score([hoursAgo(3 * 24)], NOW), 40);
+    assert.strictEqual(BranchHistory.score([hoursAgo(10 * 24)], NOW), 20);
+    assert.strictEqual(BranchHistory.score([hoursAgo(60 * 24), hoursAgo(90 * 24)], NOW), 10);
+  });
+
+  it('formats the age of the last visit', () => {
+    assert.strictEqual(BranchHistory.formatAge(new Date(NOW - 20000).toISOString(), NOW), 'just now');
+    assert.strictEqual(BranchHistory.formatAge(hoursAgo(0.5), NOW), '30 minute(s) ago');
+    assert.strictEqual(BranchHistory.formatAge(hoursAgo(5), NOW), '5 hour(s) ago');
+    assert.strictEqual(BranchHistory.formatAge(hoursAgo(50), NOW), '2 day(s) ago');
+  });
+});
+
+describe('BranchHistory', () => {
+  let repo;
+  let other;
+  let previousHome;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    other = createTempRepo();
+    repo.commit('Initial commit');
+    other.commit('Initial commit');
+    // The history file lives in the home directory
+    previousHome = process.env.HOME;
+    process.env.HOME = repo.home;
+  });
+
+  afterEach(() => {
+    process.env.HOME = previousHome;
+    repo.remove();
+    other.remove();
+  });
+
+  const historyFor = async (target) => {
+    const gitRepo = new GitRepository(target.dir);
+    await gitRepo.initialize();
+    return new BranchHistory(gitRepo);
+  };
+
+  it('ranks branches by frecency, keeping the newest visits', async () => {
+    const history = await historyFor(repo);
+    for (let day = 20; day >= 8; day--) {
+      await history.recordVisit('often-last-month', new Date(NOW - day * 24 * 60 * 60 * 1000));
+    }
+    await history.recordVisit('once-today', new Date(hoursAgo(1)));
+    await history.recordVisit('twice-this-week', new Date(hoursAgo(72)));
+    await history.recordVisit('twice-this-week', new Date(hoursAgo(48)));
+
+    const ranking = await history.getRanking(NOW);
+    assert.deepStrictEqual(ranking.map(entry => [entry.branch, entry.score, entry.visits]), [
+      ['often-last-month', 200, 10],
+      ['once-today', 100, 1],
+      ['twice-this-week', 80, 2]
+    ]);
+    assert.strictEqual(ranking[2].lastVisited, hoursAgo(48));
+  });
+
+  it('keeps a separate history per repository', async () => {
+    await (await historyFor(repo)).recordVisit('feature/here', new Date(NOW));
+
+    assert.deepStrictEqual(await (await historyFor(other)).getVisits(), {});
+    assert.deepStrictEqual(Object.keys(await (await historyFor(repo)).getVisits()), ['feature/here']);
+  });
+});
+
+describe('easygit switch history', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('branch', 'feature/a');
+    repo.git('branch', 'feature/b');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  const current = () => repo.git('branch', '--show-current').trim();
+
+  it('switches back with "-" and further back with @{-N}', () => {
+    assert.strictEqual(repo.run(['switch', 'feature/a']).code, 0);
+    assert.strictEqual(repo.run(['switch', 'feature/b']).code, 0);
+
+    assert.strictEqual(repo.run(['switch', '@{-2}']).code, 0);
+    assert.strictEqual(current(), 'main');
+
+    assert.strictEqual(repo.run(['switch', '-']).code, 0);
+    assert.strictEqual(current(), 'feature/b');
+  });
+
+  it('explains when there is no previous branch', () => {
+    const result = repo.run(['switch', '-']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout + result.stderr, /No previous branch for "-"/);
+  });
+
+  it('lists the branches visited with easygit switch --recent', () => {
+    repo.run(['switch', 'feature/a']);
+    repo.run(['switch', 'main']);
+    repo.run(['switch', 'feature/a']);
+
+    const result = repo.run(['switch', '--recent']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    const listed = result.stdout.split('\n').filter(line => /feature\/a|main/.test(line));
+    assert.match(listed[0], /feature\/a/);
+    assert.match(listed[1], /main/);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const BranchNamer = require('../src/core/branch-namer');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('BranchNamer', () => {
+  describe('slugify', () => {
+    it('lowercases, drops accents and joins words with dashes', () => {
+      assert.strictEqual(BranchNamer.slugify('  Fix Café login: "remember me"! '), 'fix-cafe-login-remember-me');
+    });
+
+    it('caps the length without leaving a trailing dash', () => {
+      const slug = BranchNamer.slugify(`${'a'.repeat(49)} more words`);
+      assert.strictEqual(slug, 'a'.repeat(49));
+    });
+  });
+
+  describe('validate', () => {
+    it('applies git ref name rules when there is no team format', () => {
+      const namer = new BranchNamer();
+
+      assert.strictEqual(namer.validate('feature/login'), true);
+      assert.strictEqual(namer.validate(''), 'Branch name cannot be empty');
+      assert.strictEqual(namer.validate('my branch'), 'Branch name cannot contain spaces');
+      assert.strictEqual(namer.validate('-x'), 'Branch name cannot start with "-"');
+      assert.strictEqual(namer.validate('a..b'), 'Branch name cannot contain ".."');
+      assert.strictEqual(namer.validate('a~1'), 'Branch name contains invalid characters');
+      assert.strictEqual(namer.validate('a@{b'), 'Branch name contains invalid characters');
+      assert.strictEqual(namer.validate('topic.lock'), 'Branch name has an invalid "/" or "." placement');
+      assert.strictEqual(namer.validate('feature/.hidden'), 'Branch name has an invalid "/" or "." placement');
+    });
+
+    it('enforces the team format with its types, issue keys and slugs', () => {
+      const namer = new BranchNamer({ format: '{type}/{issue}-{slug}', types: ['feature', 'fix'] });
+
+      assert.strictEqual(namer.validate('feature/PROJ-123-login-form'), true);
+      assert.match(namer.validate('chore/PROJ-123-login-form'), /must follow the team format \{type\}\/\{issue\}-\{slug\}/);
+      assert.match(namer.validate('fix/proj-123-login-form'), /must follow the team format/);
+      assert.match(namer.validate('fix/PROJ-123-Login_Form'), /for example feature\/PROJ-123-short-description/);
+    });
+
+    it('accepts free-text placeholders without slashes', () => {
+      const namer = new BranchNamer({ format: '{user}/{slug}' });
+
+      assert.strictEqual(namer.validate('alex/login-form'), true);
+      assert.notStrictEqual(namer.validate('alex/team/login-form'), true);
+    });
+  });
+
+  describe('format', () => {
+    it('builds names from parts and lists the placeholders', () => {
+      const namer = new BranchNamer({ format: '{type}/{issue}-{slug}', issueKeyPattern: '#\\d+' });
+
+      assert.deepStrictEqual(namer.getPlaceholders(), ['type', 'issue', 'slug']);
+      assert.strictEqual(namer.build({ type: 'fix', issue: '#42', slug: 'crash-on-start' }), 'fix/#42-crash-on-start');
+      assert.strictEqual(namer.validate('fix/#42-crash-on-start'), true);
+    });
+
+    it('reports configuration mistakes when constructed', () => {
+      assert.throws(() => new BranchNamer({ format: '{issue}-{slug}', issueKeyPattern: '[A-Z' }), /Invalid team.branchNameFormat "\{issue\}-\{slug\}"/);
+    });
+  });
+});
+
+describe('easygit switch with a team branch format', () => {
+  it('creates branches that follow the format and refuses others', () => {
+    const repo = createTempRepo();
+    try {
+      repo.commitFile('README.md', 'readme\n', 'Initial commit');
+      repo.configure({ team: { branchNameFormat: '{type}/{slug}' } });
+
+      const refused = repo.run(['switch', 'login-form']);
+      assert.notStrictEqual(refused.code, 0);
+      assert.match(refused.stdout + refused.stderr, /Invalid branch name "login-form": .*must follow the team format \{type\}\/\{slug\}/);
+      assert.strictEqual(repo.git('branch', '--list', 'login-form').trim(), '');
+
+      const created = repo.run(['switch', 'feature/login-form']);
+      assert.strictEqual(created.code, 0, created.stderr);
+      assert.strictEqual(repo.git('branch', '--show-current').trim(), 'feature/login-form');
+    } finally {
+      repo.remove();
+    }
+  });
+});
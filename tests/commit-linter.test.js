@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommitLinter = require('../src/core/commit-linter');
+const ConfigManager = require('../src/core/config-manager');
+
+const failedRules = (report) => report.errors.map(error => error.rule);
+
+describe('CommitLinter', () => {
+  describe('parse', () => {
+    it('splits a conventional message into header, body and trailers', () => {
+      const parsed = new CommitLinter().parse('feat(auth)!: add login form\n\nExplains why.\n\nRefs: PROJ-12\nSigned-off-by: A <a@example.com>\n');
+
+      assert.strictEqual(parsed.type, 'feat');
+      assert.strictEqual(parsed.scope, 'auth');
+      assert.strictEqual(parsed.breaking, true);
+      assert.strictEqual(parsed.subject, 'add login form');
+      assert.strictEqual(parsed.body, 'Explains why.');
+      assert.deepStrictEqual(parsed.trailers, [
+        { key: 'Refs', value: 'PROJ-12' },
+        { key: 'Signed-off-by', value: 'A <a@example.com>' }
+      ]);
+    });
+
+    it('strips comments and everything below the scissors line when asked', () => {
+      const message = 'fix: handle empty input\n# Please enter the commit message\n# ------------------------ >8 ------------------------\ndiff --git a/x b/x';
+      assert.strictEqual(new CommitLinter().parse(message, { stripComments: true }).raw, 'fix: handle empty input');
+    });
+  });
+
+  describe('lint', () => {
+    it('passes everything when no rules are configured', () => {
+      const report = new CommitLinter().lint('whatever you like');
+      assert.strictEqual(report.valid, true);
+      assert.deepStrictEqual(report.results, []);
+    });
+
+    it('reports each failing rule with its severity', () => {
+      const linter = new CommitLinter({
+        'type-enum': {},
+        'subject-max-length': { max: 20 },
+        'subject-imperative': { severity: 'warning' },
+        'issue-key': {}
+      });
+      const report = linter.lint('feat: added a rather long subject');
+
+      assert.strictEqual(report.valid, false);
+      assert.deepStrictEqual(failedRules(report), ['subject-max-length', 'issue-key']);
+      assert.deepStrictEqual(report.warnings.map(warning => warning.rule), ['subject-imperative']);
+      assert.match(report.warnings[0].message, /"add" instead of "added"/);
+    });
+
+    it('checks types, scopes and required trailers', () => {
+      const linter = new CommitLinter({
+        'type-enum': { types: ['feat', 'fix'] },
+        'scope-enum': { scopes: ['api'], required: true },
+        'trailers-required': { trailers: ['Signed-off-by'] }
+      });
+
+      assert.deepStrictEqual(failedRules(linter.lint('docs: update readme')), ['type-enum', 'scope-enum', 'trailers-required']);
+      assert.deepStrictEqual(failedRules(linter.lint('fix(ui): align button\n\nSigned-off-by: A <a@example.com>')), ['scope-enum']);
+      assert.strictEqual(linter.lint('fix(api): retry requests\n\nSigned-off-by: A <a@example.com>').valid, true);
+    });
+
+    it('ignores long URLs in the body and finds forbidden words', () => {
+      const linter = new CommitLinter({ 'body-max-line-length': { max: 20 }, 'forbidden-words': { words: ['WIP'] } });
+
+      assert.strictEqual(linter.lint(`Fix link\n\nhttps://example.com/${'a'.repeat(40)}`).valid, true);
+      assert.deepStrictEqual(failedRules(linter.lint('wip: Fix link')), ['forbidden-words']);
+    });
+
+    it('leaves rules that are turned off out of the report', () => {
+      const report = new CommitLinter({ 'type-enum': { severity: 'off' } }).lint('no type here');
+      assert.deepStrictEqual(report.results, []);
+    });
+  });
+
+  describe('validateHeader', () => {
+    it('returns the first header problem and ignores rules that need the full message', () => {
+      const linter = new CommitLinter({
+        'subject-max-length': { max: 30 },
+        'trailers-required': { trailers: ['Signed-off-by'] },
+        'issue-key': {}
+      });
+
+      assert.strictEqual(linter.validateHeader('fix: short subject'), true);
+      assert.strictEqual(linter.validateHeader('fix: a subject that goes on for too long'), 'Subject line is 40 characters (max 30)');
+    });
+  });
+
+  describe('configuration', () => {
+    it('rejects unknown rules, severities and issue patterns', () => {
+      assert.throws(() => new CommitLinter({ 'no-such-rule': {} }), /Unknown commit lint rule: no-such-rule/);
+      assert.throws(() => new CommitLinter({ 'type-enum': { severity: 'fatal' } }), /Invalid severity "fatal"/);
+      assert.throws(() => new CommitLinter({ 'issue-key': { pattern: '(' } }), /Invalid issue-key pattern/);
+    });
+  });
+
+  describe('rules from configuration', () => {
+    const rulesFor = async (config) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easygit-test-'));
+      const manager = new ConfigManager();
+      manager.globalConfigPath = path.join(dir, 'global.json');
+      manager.localConfigPath = path.join(dir, 'config.json');
+      fs.writeFileSync(manager.localConfigPath, JSON.stringify(config));
+
+      try {
+        return await manager.getCommitLintRules();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+
+    it('derives rules from the team settings', async () => {
+      const rules = await rulesFor({ team: { commitMessageFormat: 'conventional', requireIssueId: true, requireSignoff: true } });
+
+      assert.deepStrictEqual(rules, {
+        'type-enum': { severity: 'error' },
+        'issue-key': { severity: 'error' },
+        'trailers-required': { severity: 'error', trailers: ['Signed-off-by'] }
+      });
+    });
+
+    it('lets configured rules override them without dropping the sign-off', async () => {
+      const rules = await rulesFor({
+        team: {
+          commitMessageFormat: 'conventional',
+          requireSignoff: true,
+          commitLint: { rules: { 'type-enum': { severity: 'warning' }, 'trailers-required': { trailers: ['Reviewed-by'] } } }
+        }
+      });
+
+      assert.deepStrictEqual(rules['type-enum'], { severity: 'warning' });
+      assert.deepStrictEqual(rules['trailers-required'].trailers, ['Reviewed-by', 'Signed-off-by']);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CommitTrailers = require('../src/core/commit-trailers');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('CommitTrailers', () => {
+  const trailers = new CommitTrailers();
+
+  it('takes the issue key from the branch name', () => {
+    assert.strictEqual(trailers.extractIssueKey('feature/PROJ-123-login-form'), 'PROJ-123');
+    assert.strictEqual(trailers.extractIssueKey('feature/login-form'), null);
+    assert.strictEqual(trailers.extractIssueKey(null), null);
+    assert.strictEqual(new CommitTrailers({ issueKeyPattern: '#\\d+' }).extractIssueKey('fix/#42-crash'), '#42');
+  });
+
+  it('only counts whole mentions of the issue key', () => {
+    assert.strictEqual(trailers.mentionsIssue('Fix login (PROJ-12)', 'PROJ-12'), true);
+    assert.strictEqual(trailers.mentionsIssue('Fix login (PROJ-123)', 'PROJ-12'), false);
+  });
+
+  it('starts a trailer block after a blank line', () => {
+    assert.strictEqual(
+      trailers.addTrailers('Fix login\n\nExplain why.\n', [{ key: 'Refs', value: 'PROJ-12' }]),
+      'Fix login\n\nExplain why.\n\nRefs: PROJ-12'
+    );
+  });
+
+  it('extends an existing trailer block and skips duplicates', () => {
+    const message = 'Fix login\n\nSigned-off-by: A <a@example.com>';
+    assert.strictEqual(trailers.addTrailers(message, [
+      { key: 'Signed-off-by', value: 'A <a@example.com>' },
+      { key: 'Co-authored-by', value: 'B <b@example.com>' },
+      { key: 'Co-authored-by', value: 'B <b@example.com>' }
+    ]), 'Fix login\n\nSigned-off-by: A <a@example.com>\nCo-authored-by: B <b@example.com>');
+  });
+
+  it('does not mistake a "Key: value" subject for a trailer block', () => {
+    assert.strictEqual(trailers.addTrailers('docs: update readme', [{ key: 'Refs', value: 'PROJ-1' }]), 'docs: update readme\n\nRefs: PROJ-1');
+  });
+
+  it('leaves the message alone when there is nothing to add', () => {
+    assert.strictEqual(trailers.addTrailers('Fix login\n', []), 'Fix login\n');
+  });
+});
+
+describe('easygit save trailers', () => {
+  it('adds the branch issue key, co-authors and sign-off', () => {
+    const repo = createTempRepo();
+    try {
+      repo.commitFile('README.md', 'readme\n');
+      repo.git('-c', 'user.name=Sam Lee', '-c', 'user.email=sam@example.com', 'commit', '-q', '--allow-empty', '-m', 'Earlier work');
+      repo.git('checkout', '-q', '-b', 'feature/PROJ-7-login');
+      repo.write('README.md', 'changed\n');
+
+      const result = repo.run(['save', 'Update readme', '--all', '--signoff', '--co-author', 'sam']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(repo.git('log', '-1', '--format=%B').trim(), [
+        'Update readme',
+        '',
+        'Co-authored-by: Sam Lee <sam@example.com>',
+        'Signed-off-by: Test <test@example.com>',
+        'Refs: PROJ-7'
+      ].join('\n'));
+    } finally {
+      repo.remove();
+    }
+  });
+});
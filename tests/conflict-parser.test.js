@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ConflictParser = require('../src/core/conflict-parser');
+
+const CONFLICTED = [
+  'before',
+  '<<<<<<< HEAD',
+  'ours',
+  '=======',
+  'theirs',
+  '>>>>>>> feature',
+  'after',
+  ''
+].join('\n');
+
+const DIFF3 = [
+  'before',
+  '<<<<<<< ours',
+  'ours',
+  '||||||| base',
+  'original',
+  '=======',
+  'theirs',
+  '>>>>>>> theirs',
+  'after',
+  ''
+].join('\n');
+
+describe('ConflictParser', () => {
+  const parser = new ConflictParser();
+
+  describe('parse', () => {
+    it('separates plain text from conflicts and keeps the marker labels', () => {
+      const segments = parser.parse(CONFLICTED);
+
+      assert.deepStrictEqual(segments.map(segment => segment.type), ['text', 'conflict', 'text']);
+      const [conflict] = parser.getConflicts(segments);
+      assert.deepStrictEqual(conflict.ours, ['ours']);
+      assert.deepStrictEqual(conflict.theirs, ['theirs']);
+      assert.strictEqual(conflict.base, null);
+      assert.strictEqual(conflict.oursLabel, 'HEAD');
+      assert.strictEqual(conflict.theirsLabel, 'feature');
+    });
+
+    it('reads the base section of diff3 markers', () => {
+      const [conflict] = parser.getConflicts(parser.parse(DIFF3));
+      assert.deepStrictEqual(conflict.base, ['original']);
+      assert.strictEqual(conflict.baseLabel, 'base');
+    });
+
+    it('keeps an unterminated conflict as plain text', () => {
+      const content = 'a\n<<<<<<< HEAD\nours\n=======\ntheirs';
+      const segments = parser.parse(content);
+
+      assert.deepStrictEqual(parser.getConflicts(segments), []);
+      assert.strictEqual(parser.render(segments), content);
+    });
+  });
+
+  describe('render', () => {
+    it('writes unresolved conflicts back unchanged', () => {
+      assert.strictEqual(parser.render(parser.parse(CONFLICTED)), CONFLICTED);
+      assert.strictEqual(parser.render(parser.parse(DIFF3)), DIFF3);
+    });
+
+    it('replaces resolved conflicts with their resolution', () => {
+      const segments = parser.parse(CONFLICTED);
+      parser.getConflicts(segments)[0].resolution = ['ours', 'theirs'];
+
+      const rendered = parser.render(segments);
+      assert.strictEqual(rendered, 'before\nours\ntheirs\nafter\n');
+      assert.strictEqual(parser.hasMarkers(rendered), false);
+    });
+
+    it('keeps Windows line endings', () => {
+      const content = CONFLICTED.replace(/\n/g, '\r\n');
+      const segments = parser.parse(content);
+      const [conflict] = parser.getConflicts(segments);
+
+      assert.strictEqual(parser.hasMarkers(content), true);
+      assert.deepStrictEqual(conflict.ours, ['ours']);
+      assert.strictEqual(conflict.theirsLabel, 'feature');
+
+      conflict.resolution = ['theirs'];
+      const lineEnding = parser.getLineEnding(content);
+      assert.strictEqual(lineEnding, '\r\n');
+      assert.strictEqual(parser.render(segments, lineEnding), 'before\r\ntheirs\r\nafter\r\n');
+    });
+  });
+
+  describe('attachBase', () => {
+    it('copies base sections from a diff3 rendering of the same conflicts', () => {
+      const segments = parser.parse(CONFLICTED);
+
+      assert.strictEqual(parser.attachBase(segments, parser.parse(DIFF3)), true);
+      assert.deepStrictEqual(parser.getConflicts(segments)[0].base, ['original']);
+      // The base is only shown, never written into the file
+      assert.strictEqual(parser.render(segments), CONFLICTED);
+    });
+
+    it('leaves conflicts alone once the file was edited', () => {
+      const segments = parser.parse(CONFLICTED.replace('theirs\n>>>', 'edited\n>>>'));
+
+      assert.strictEqual(parser.attachBase(segments, parser.parse(DIFF3)), false);
+      assert.strictEqual(parser.getConflicts(segments)[0].base, null);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const DiffParser = require('../src/core/diff-parser');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const numbered = (count, changes = {}) =>
+  Array.from({ length: count }, (_, index) => changes[index + 1] || `line ${index + 1}`).join('\n') + '\n';
+
+describe('DiffParser', () => {
+  const parser = new DiffParser();
+  let repo;
+
+  before(() => {
+    repo = createTempRepo();
+  });
+
+  after(() => {
+    repo.remove();
+  });
+
+  describe('parse', () => {
+    it('reads files, hunk headers and hunk lines', () => {
+      const files = parser.parse([
+        'diff --git a/app.js b/app.js',
+        'index 1111111..2222222 100644',
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -1,3 +1,3 @@ function main() {',
+        ' one',
+        '-two',
+        '+TWO',
+        ' three',
+        ''
+      ].join('\n'));
+
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(files[0].path, 'app.js');
+      assert.strictEqual(files[0].type, 'modified');
+      assert.strictEqual(files[0].header.length, 4);
+      assert.deepStrictEqual(files[0].hunks[0], {
+        oldStart: 1,
+        oldLines: 3,
+        newStart: 1,
+        newLines: 3,
+        context: ' function main() {',
+        lines: [' one', '-two', '+TWO', ' three']
+      });
+    });
+
+    it('reads a rename without hunks', () => {
+      repo.write('before.txt', numbered(5));
+      repo.git('add', 'before.txt');
+      repo.commit('add before.txt');
+      repo.git('mv', 'before.txt', 'after.txt');
+
+      const [file] = parser.parse(repo.git('diff', '--cached', '-M'));
+      assert.strictEqual(file.type, 'renamed');
+      assert.strictEqual(file.oldPath, 'before.txt');
+      assert.strictEqual(file.newPath, 'after.txt');
+      assert.strictEqual(file.path, 'after.txt');
+      assert.deepStrictEqual(file.hunks, []);
+
+      repo.git('reset', '-q', '--hard');
+      assert.ok(repo.applies(parser.buildPatch(file, [])));
+    });
+
+    it('keeps the no-newline-at-end-of-file marker in the hunk', () => {
+      repo.write('eof.txt', 'first\nlast');
+      repo.git('add', 'eof.txt');
+      repo.commit('add eof.txt');
+      repo.write('eof.txt', 'first\nchanged');
+
+      const [file] = parser.parse(repo.git('diff'));
+      const [hunk] = file.hunks;
+      assert.deepStrictEqual(hunk.lines, [
+        ' first',
+        '-last',
+        '\\ No newline at end of file',
+        '+changed',
+        '\\ No newline at end of file'
+      ]);
+      assert.strictEqual(parser.recount(hunk).oldLines, 2);
+      assert.strictEqual(parser.recount(hunk).newLines, 2);
+      assert.ok(repo.applies(parser.buildPatch(file, file.hunks)));
+
+      repo.git('checkout', '--', 'eof.txt');
+    });
+  });
+
+  describe('splitHunk', () => {
+    it('splits at unchanged lines into hunks that each apply on their own', () => {
+      repo.write('split.txt', numbered(12));
+      repo.git('add', 'split.txt');
+      repo.commit('add split.txt');
+      repo.write('split.txt', numbered(12, { 2: 'changed 2', 8: 'changed 8' }));
+
+      const [file] = parser.parse(repo.git('diff'));
+      assert.strictEqual(file.hunks.length, 1);
+
+      const parts = parser.splitHunk(file.hunks[0]);
+      assert.strictEqual(parts.length, 2);
+      assert.deepStrictEqual(parts.map(part => [part.oldStart, part.oldLines]), [[1, 7], [3, 9]]);
+
+      assert.ok(repo.applies(parser.buildPatch(file, [parts[0]])));
+      assert.ok(repo.applies(parser.buildPatch(file, [parts[1]])));
+      assert.ok(repo.applies(parser.buildPatch(file, parts)));
+
+      repo.git('checkout', '--', 'split.txt');
+    });
+
+    it('keeps the next hunk applicable when an earlier one adds lines', () => {
+      repo.write('grow.txt', numbered(12));
+      repo.git('add', 'grow.txt');
+      repo.commit('add grow.txt');
+      repo.write('grow.txt', numbered(12, { 2: 'line 2\nextra a\nextra b', 9: 'changed 9' }));
+
+      const [file] = parser.parse(repo.git('diff'));
+      const parts = parser.splitHunk(file.hunks[0]);
+      assert.strictEqual(parts.length, 2);
+      assert.ok(repo.applies(parser.buildPatch(file, [parts[1]])));
+      assert.ok(repo.applies(parser.buildPatch(file, parts)));
+
+      // Staging every part stages exactly the working tree change
+      execFileSync('git', ['apply', '--cached', '-'], { cwd: repo.dir, input: parser.buildPatch(file, parts) });
+      assert.strictEqual(repo.git('diff', 'grow.txt'), '');
+
+      repo.git('reset', '-q', '--hard');
+    });
+
+    it('returns the hunk itself when there is nothing to split', () => {
+      const hunk = { oldStart: 1, oldLines: 2, newStart: 1, newLines: 2, context: '', lines: [' a', '-b', '+c'] };
+      assert.deepStrictEqual(parser.splitHunk(hunk), [hunk]);
+    });
+  });
+
+  describe('parseEditedHunk', () => {
+    it('recounts an edited hunk whose line counts changed', () => {
+      repo.write('edit.txt', numbered(5));
+      repo.git('add', 'edit.txt');
+      repo.commit('add edit.txt');
+      repo.write('edit.txt', numbered(5, { 3: 'changed 3' }));
+
+      const [file] = parser.parse(repo.git('diff'));
+      const edited = parser.parseEditedHunk([
+        '# Manual hunk edit mode',
+        '@@ -1,5 +1,5 @@',
+        ' line 1',
+        ' line 2',
+        '-line 3',
+        '+changed 3',
+        '+added while editing',
+        ' line 4',
+        ' line 5',
+        ''
+      ].join('\n'));
+
+      assert.strictEqual(edited.oldLines, 5);
+      assert.strictEqual(edited.newLines, 6);
+      assert.ok(repo.applies(parser.buildPatch(file, [edited])));
+
+      repo.git('checkout', '--', 'edit.txt');
+    });
+
+    it('returns null when everything was deleted', () => {
+      assert.strictEqual(parser.parseEditedHunk('# comment only\n\n'), null);
+    });
+
+    it('rejects lines that are not part of a hunk', () => {
+      assert.throws(() => parser.parseEditedHunk('@@ -1 +1 @@\n-a\n+b\nstray'), /Invalid line in edited hunk: stray/);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const GitRepository = require('../src/core/git-repository');
+const RebaseCommand = require('../src/commands/rebase');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const commit = (hash, message) => ({ hash, message });
+
+describe('RebaseCommand.arrangeAutosquash', () => {
+  const rebase = Object.create(RebaseCommand.prototype);
+  const plan = (commits) => rebase.arrangeAutosquash(commits).map(entry => `${entry.action} ${entry.hash}`);
+
+  it('moves fixup! and squash! commits right after their targets', () => {
+    assert.deepStrictEqual(plan([
+      commit('a1', 'Add login'),
+      commit('b2', 'Add logout'),
+      commit('c3', 'fixup! Add login'),
+      commit('d4', 'squash! Add logout'),
+      commit('e5', 'fixup! fixup! Add login')
+    ]), ['pick a1', 'fixup c3', 'fixup e5', 'pick b2', 'squash d4']);
+  });
+
+  it('matches targets by hash prefix and by subject prefix', () => {
+    assert.deepStrictEqual(plan([
+      commit('abc123', 'Add login form'),
+      commit('def456', 'Add logout'),
+      commit('f1', 'fixup! def4'),
+      commit('f2', 'fixup! Add login')
+    ]), ['pick abc123', 'fixup f2', 'pick def456', 'fixup f1']);
+  });
+
+  it('leaves fixups without a target on the branch where they are', () => {
+    assert.deepStrictEqual(plan([commit('a1', 'fixup! Something upstream'), commit('b2', 'Add login')]), ['pick a1', 'pick b2']);
+  });
+});
+
+describe('easygit save --fixup', () => {
+  let repo;
+  let target;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('checkout', '-q', '-b', 'feature/login');
+    target = repo.commitFile('login.js', 'login v1\n', 'Add login');
+    repo.commitFile('logout.js', 'logout\n', 'Add logout');
+    repo.configure({ hooks: { preCommit: ['echo ran >> .git/hook-log'] } });
+    repo.write('login.js', 'login v2\n');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('commits a fixup! for the chosen commit and runs the pre-commit hooks', () => {
+    const result = repo.run(['save', '--fixup', target.substring(0, 8)]);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'fixup! Add login');
+    assert.strictEqual(repo.read('.git/hook-log'), 'ran\n');
+  });
+
+  it('skips the pre-commit hooks with --no-hooks', () => {
+    const result = repo.run(['save', '--fixup', target, '--no-hooks']);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'fixup! Add login');
+    assert.strictEqual(repo.exists('.git/hook-log'), false);
+  });
+
+  it('squashes the fixup into its target with --autosquash', () => {
+    const result = repo.run(['save', '--fixup', 'login', '--autosquash']);
+
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(repo.git('log', '--format=%s').trim().split('\n'), ['Add logout', 'Add login', 'Initial commit']);
+    assert.strictEqual(repo.git('show', 'HEAD~1:login.js'), 'login v2\n');
+  });
+});
+
+describe('GitRepository.rebaseWithTodo', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('branch', 'base');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('runs the prepared plan and lets reword and squash steps use the editor', async () => {
+    const first = repo.commitFile('a.txt', 'a\n', 'Add a');
+    const second = repo.commitFile('b.txt', 'b\n', 'Add b');
+    const editor = path.join(repo.dir, '.git', 'fake-editor');
+    fs.writeFileSync(editor, '#!/bin/sh\necho "Add a and b" > "$1"\n', { mode: 0o755 });
+
+    const gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+
+    const previousEditor = process.env.GIT_EDITOR;
+    process.env.GIT_EDITOR = editor;
+    try {
+      await gitRepo.rebaseWithTodo(['base'], [`reword ${first} Add a`, `squash ${second} Add b`]);
+    } finally {
+      if (previousEditor === undefined) {
+        delete process.env.GIT_EDITOR;
+      } else {
+        process.env.GIT_EDITOR = previousEditor;
+      }
+    }
+
+    assert.deepStrictEqual(repo.git('log', '--format=%s').trim().split('\n'), ['Add a and b', 'Initial commit']);
+  });
+
+  it('reports a conflict when the plan stops on one', async () => {
+    const change = repo.commitFile('README.md', 'ours\n', 'Change readme');
+    repo.git('checkout', '-q', 'base');
+    repo.commitFile('README.md', 'theirs\n', 'Change readme differently');
+    repo.git('checkout', '-q', 'main');
+
+    const gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+
+    await assert.rejects(gitRepo.rebaseWithTodo(['base'], [`pick ${change} Change readme`]), /Rebase stopped on a conflict/);
+    repo.git('rebase', '--abort');
+  });
+});
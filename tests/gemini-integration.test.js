@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const GeminiIntegration = require('../src/ai/gemini-integration');
+
+const FILES = [
+  { status: 'M', path: 'src/auth/login.js', added: 10, deleted: 2 },
+  { status: 'M', path: 'src/auth/session.js', added: 3, deleted: 1 }
+];
+
+// Replies to "which gemini" and to the gemini prompt without running either
+const stubGemini = (reply) => {
+  mock.method(GeminiIntegration.prototype, 'executeCommand', async (command) => {
+    if (command.startsWith('which ')) {
+      return { code: 0, stdout: '/usr/bin/gemini', stderr: '' };
+    }
+    return reply;
+  });
+};
+
+describe('GeminiIntegration commit messages', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    stdout = [];
+    stderr = [];
+    mock.method(console, 'log', (...args) => stdout.push(args.join(' ')));
+    mock.method(console, 'warn', (...args) => stderr.push(args.join(' ')));
+    mock.method(console, 'error', (...args) => stderr.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses the message Gemini replies with, without code fences or quotes', async () => {
+    stubGemini({ code: 0, stdout: '```\n"feat(auth): add remember me"\n\nKeeps users signed in.\n```\n', stderr: '' });
+    const gemini = new GeminiIntegration();
+
+    const message = await gemini.generateCommitMessage({ diff: 'diff', files: FILES });
+    assert.deepStrictEqual(message, { subject: 'feat(auth): add remember me', body: 'Keeps users signed in.', source: 'gemini' });
+  });
+
+  it('falls back to a heuristic summary and warns on stderr only', async () => {
+    stubGemini({ code: 1, stdout: '', stderr: 'quota exceeded' });
+    const gemini = new GeminiIntegration();
+
+    const message = await gemini.generateCommitMessage({ diff: 'diff', files: FILES });
+    assert.strictEqual(message.source, 'heuristic');
+    assert.deepStrictEqual(stdout, []);
+    assert.ok(stderr.some(line => line.includes('Gemini could not generate a commit message')));
+  });
+
+  it('does not ask Gemini when AI is turned off', async () => {
+    stubGemini({ code: 0, stdout: 'feat: should not be used', stderr: '' });
+    const gemini = new GeminiIntegration();
+
+    const message = await gemini.generateCommitMessage({ diff: 'diff', files: FILES }, { useAI: false });
+    assert.strictEqual(message.source, 'heuristic');
+    assert.strictEqual(GeminiIntegration.prototype.executeCommand.mock.calls.length, 1);
+  });
+
+  it('truncates long diffs in the prompt and asks for conventional commits when configured', async () => {
+    stubGemini({ code: 1, stdout: '', stderr: '' });
+    const gemini = new GeminiIntegration();
+
+    const prompt = gemini.buildCommitMessagePrompt({ diff: 'x'.repeat(500), files: FILES }, { maxTokens: 50, format: 'conventional' });
+    assert.match(prompt, /MUST follow Conventional Commits/);
+    assert.match(prompt, /- M src\/auth\/login\.js \(\+10 -2\)/);
+    assert.match(prompt, /x{200}\n\.\.\. \(diff truncated\)/);
+    assert.doesNotMatch(prompt, /x{201}/);
+  });
+});
+
+describe('GeminiIntegration heuristic commit messages', () => {
+  const gemini = Object.create(GeminiIntegration.prototype);
+
+  it('names the shared directory as scope and lists the files in the body', () => {
+    const message = gemini.getFallbackCommitMessage({ files: FILES }, { format: 'conventional' });
+
+    assert.strictEqual(message.subject, 'chore(auth): update 2 files');
+    assert.match(message.body, /^- src\/auth\/login\.js \(\+10 -2\)$/m);
+    assert.match(message.body, /2 files changed, 13 insertions\(\+\), 3 deletions\(-\)/);
+  });
+
+  it('describes a single file by name without a body', () => {
+    const message = gemini.getFallbackCommitMessage({ files: [{ status: 'A', path: 'docs/usage.md', added: 5, deleted: 0 }] });
+    assert.deepStrictEqual(message, { subject: 'Add usage.md', body: '', source: 'heuristic' });
+  });
+
+  it('infers the conventional type from the paths', () => {
+    const type = (paths, status = 'M') => gemini.inferCommitType(paths.map(filePath => ({ path: filePath, status })));
+
+    assert.strictEqual(type(['tests/a.test.js', 'src/b.spec.ts']), 'test');
+    assert.strictEqual(type(['README.md', 'docs/setup.txt']), 'docs');
+    assert.strictEqual(type(['.github/workflows/ci.yml']), 'ci');
+    assert.strictEqual(type(['package.json', 'package-lock.json']), 'build');
+    assert.strictEqual(type(['src/new.js'], 'A'), 'feat');
+    assert.strictEqual(type(['src/old.js']), 'chore');
+  });
+});
@@ -0,0 +1,71 @@
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const INDEX = path.join(__dirname, '..', '..', 'src', 'index.js');
+
+// A throwaway repository with its own identity, removed again by remove()
+const createTempRepo = (options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easygit-test-'));
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'easygit-home-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+
+  git('init', '-q', ...(options.bare ? ['--bare'] : []), '--initial-branch=main');
+  if (!options.bare) {
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'commit.gpgsign', 'false');
+  }
+
+  const repo = {
+    dir,
+    home,
+    git,
+    file: (file) => path.join(dir, file),
+    write: (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    },
+    read: (file) => fs.readFileSync(path.join(dir, file), 'utf8'),
+    exists: (file) => fs.existsSync(path.join(dir, file)),
+    commit: (message) => git('commit', '-q', '--allow-empty', '-m', message),
+    // Writes, stages and commits one file
+    commitFile: (file, content, message = `update ${file}`) => {
+      repo.write(file, content);
+      git('add', file);
+      repo.commit(message);
+      return git('rev-parse', 'HEAD').trim();
+    },
+    applies: (patch) => {
+      try {
+        execFileSync('git', ['apply', '--check', '--cached', '-'], { cwd: dir, input: patch, stdio: ['pipe', 'ignore', 'pipe'] });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    // Writes .easygit/config.json, kept out of "git status" like a user's own would be
+    configure: (config) => {
+      repo.write('.easygit/config.json', JSON.stringify(config, null, 2));
+      fs.appendFileSync(path.join(dir, '.git', 'info', 'exclude'), '.easygit/\n');
+    },
+    // Runs the CLI in the repository without a terminal and with an empty home directory
+    run: (args, env = {}) => {
+      const result = spawnSync(process.execPath, [INDEX, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: { ...process.env, HOME: home, EASYGIT_NON_INTERACTIVE: 'true', FORCE_COLOR: '0', ...env }
+      });
+      return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+    },
+    remove: () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  };
+  return repo;
+};
+
+module.exports = { createTempRepo };
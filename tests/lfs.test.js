@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const simpleGit = require('simple-git');
+const LfsManager = require('../src/core/lfs-manager');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const hasGitLfs = (() => {
+  try {
+    execFileSync('git', ['lfs', 'version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+// Stands in for git-lfs: "track" writes the .gitattributes line the real one would
+const installFakeLfs = (dir) => {
+  const bin = path.join(dir, '.git', 'fake-bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'git-lfs'), [
+    '#!/bin/sh',
+    'case "$1" in',
+    '  version) echo "git-lfs/3.4.0 (fake)" ;;',
+    '  track) echo "$2 filter=lfs diff=lfs merge=lfs -text" >> .gitattributes ;;',
+    '  *) exit 1 ;;',
+    'esac',
+    ''
+  ].join('\n'), { mode: 0o755 });
+  return `${bin}${path.delimiter}${process.env.PATH}`;
+};
+
+describe('LfsManager', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('finds the files .gitattributes already routes through LFS', async () => {
+    repo.write('.gitattributes', '*.psd filter=lfs diff=lfs merge=lfs -text\n');
+    const lfs = new LfsManager({ git: simpleGit(repo.dir) });
+
+    assert.deepStrictEqual(await lfs.getLfsTrackedFiles(['art/cover.psd', 'notes.txt']), ['art/cover.psd']);
+    assert.deepStrictEqual(await lfs.getLfsTrackedFiles([]), []);
+  });
+
+  it('suggests an extension pattern, or the path for files without one', () => {
+    const lfs = new LfsManager({ git: null });
+
+    assert.strictEqual(lfs.suggestPattern('assets/video.mp4'), '*.mp4');
+    assert.strictEqual(lfs.suggestPattern('assets/video.mp4', false), 'assets/video.mp4');
+    assert.strictEqual(lfs.suggestPattern('bin/tool'), 'bin/tool');
+  });
+
+  it('limits migration to commits the remote does not have', async () => {
+    const calls = [];
+    const lfs = new LfsManager({ git: { raw: async (args) => calls.push(args) } });
+
+    await lfs.migrateUnpushed(['*.psd', '*.mp4'], 'feature/art', 'origin/feature/art');
+    await lfs.migrateUnpushed(['*.psd'], 'feature/art', null);
+
+    assert.deepStrictEqual(calls, [
+      ['lfs', 'migrate', 'import', '--include=*.psd,*.mp4', '--include-ref=refs/heads/feature/art', '--exclude-ref=refs/remotes/origin/feature/art'],
+      ['lfs', 'migrate', 'import', '--include=*.psd']
+    ]);
+  });
+});
+
+describe('easygit save with large files', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('model.bin', 'small\n');
+    repo.git('checkout', '-q', '-b', 'feature/model');
+    repo.write('model.bin', 'x'.repeat(4096));
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('tracks large files with LFS by extension when asked', () => {
+    repo.configure({ team: { largeFileThresholdMB: 0.001 }, prompts: { 'save.largeFilesAction': 'extension' } });
+
+    const result = repo.run(['save', 'Update model', '--all'], { PATH: installFakeLfs(repo.dir) });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Added \*\.bin to \.gitattributes/);
+    assert.deepStrictEqual(repo.git('show', '--name-only', '--format=', 'HEAD').trim().split('\n'), ['.gitattributes', 'model.bin']);
+  });
+
+  it('cancels the commit without LFS unless large files are confirmed', { skip: hasGitLfs }, () => {
+    repo.configure({ team: { largeFileThresholdMB: 0.001 } });
+
+    const result = repo.run(['save', 'Update model', '--all']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout, /Git LFS is not installed/);
+    assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'update model.bin');
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GitRepository = require('../src/core/git-repository');
+const ParkedChanges = require('../src/core/parked-changes');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('ParkedChanges', () => {
+  let repo;
+  let parked;
+
+  beforeEach(async () => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    const gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+    parked = new ParkedChanges(gitRepo);
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  const stashList = () => repo.git('stash', 'list', '--format=%gs').trim();
+  const stashUnrelated = () => {
+    repo.write('README.md', 'unrelated\n');
+    repo.git('stash', 'push', '-q', '-m', 'unrelated work');
+  };
+
+  it('moves tracked and untracked changes off the stash list and restores them', async () => {
+    stashUnrelated();
+    repo.write('README.md', 'changed\n');
+    repo.write('notes.txt', 'new\n');
+
+    const hash = await parked.park('main');
+    assert.strictEqual(repo.git('rev-parse', 'refs/easygit/parked/main').trim(), hash);
+    assert.strictEqual(repo.git('status', '--porcelain').trim(), '');
+    assert.strictEqual(stashList(), 'On main: unrelated work');
+    assert.deepStrictEqual((await parked.list()).map(entry => [entry.branch, entry.files]), [['main', 2]]);
+
+    assert.strictEqual(await parked.restore('main'), true);
+    assert.strictEqual(repo.read('README.md'), 'changed\n');
+    assert.strictEqual(repo.read('notes.txt'), 'new\n');
+    assert.strictEqual(await parked.get('main'), null);
+    assert.strictEqual(stashList(), 'On main: unrelated work');
+  });
+
+  it('parks nothing and leaves existing stashes alone when there is nothing to stash', async () => {
+    stashUnrelated();
+    const unrelated = repo.git('rev-parse', 'refs/stash').trim();
+
+    assert.strictEqual(await parked.park('main'), null);
+    assert.strictEqual(await parked.get('main'), null);
+    assert.strictEqual(repo.git('rev-parse', 'refs/stash').trim(), unrelated);
+    assert.strictEqual(stashList(), 'On main: unrelated work');
+  });
+
+  it('parks nothing without any stash at all', async () => {
+    assert.strictEqual(await parked.park('main'), null);
+    assert.deepStrictEqual(await parked.list(), []);
+  });
+
+  it('refuses to park twice on the same branch', async () => {
+    repo.write('README.md', 'changed\n');
+    await parked.park('main');
+    repo.write('README.md', 'changed again\n');
+
+    await assert.rejects(parked.park('main'), /Branch 'main' already has parked changes/);
+    assert.strictEqual(repo.read('README.md'), 'changed again\n');
+  });
+});
+
+describe('easygit switch --park', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('checkout', '-q', '-b', 'feature/parked');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('leaves the changes on their branch and brings them back there', () => {
+    repo.write('README.md', 'work in progress\n');
+
+    const away = repo.run(['switch', 'main', '--park']);
+    assert.strictEqual(away.code, 0, away.stderr);
+    assert.strictEqual(repo.read('README.md'), 'readme\n');
+
+    const list = repo.run(['switch', '--parked']);
+    assert.match(list.stdout, /feature\/parked 1 file\(s\)/);
+
+    const back = repo.run(['switch', 'feature/parked']);
+    assert.strictEqual(back.code, 0, back.stderr);
+    assert.strictEqual(repo.read('README.md'), 'work in progress\n');
+    assert.strictEqual(repo.git('for-each-ref', 'refs/easygit/parked').trim(), '');
+  });
+
+  it('switches without parking when only a submodule is dirty', () => {
+    const lib = createTempRepo();
+    try {
+      lib.commitFile('lib.js', 'v1\n', 'Lib v1');
+      repo.git('-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', lib.dir, 'lib');
+      repo.commit('Add lib');
+      repo.git('branch', 'feature/other');
+      repo.write('README.md', 'unrelated\n');
+      repo.git('stash', 'push', '-q', '-m', 'unrelated work');
+      const unrelated = repo.git('rev-parse', 'refs/stash').trim();
+      repo.write('lib/lib.js', 'dirty\n');
+
+      const result = repo.run(['switch', 'feature/other', '--park']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(repo.git('branch', '--show-current').trim(), 'feature/other');
+      assert.strictEqual(repo.git('for-each-ref', 'refs/easygit/parked').trim(), '');
+      assert.strictEqual(repo.git('rev-parse', 'refs/stash').trim(), unrelated);
+      assert.strictEqual(repo.git('stash', 'list').trim().split('\n').length, 1);
+      assert.strictEqual(repo.read('lib/lib.js'), 'dirty\n');
+    } finally {
+      lib.remove();
+    }
+  });
+});
+
+describe('easygit switch with uncommitted changes', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('checkout', '-q', '-b', 'feature/work');
+    repo.write('README.md', 'work in progress\n');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('carries them to the target branch by default', () => {
+    const result = repo.run(['switch', 'main']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.read('README.md'), 'work in progress\n');
+    assert.strictEqual(repo.git('for-each-ref', 'refs/easygit/parked').trim(), '');
+    assert.strictEqual(repo.git('stash', 'list').trim(), '');
+  });
+
+  it('parks them when switch.uncommittedChanges is "park"', () => {
+    repo.configure({ switch: { uncommittedChanges: 'park' } });
+
+    const result = repo.run(['switch', 'main']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.read('README.md'), 'readme\n');
+    assert.match(repo.git('for-each-ref', 'refs/easygit/parked'), /refs\/easygit\/parked\/feature\/work$/m);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const PromptService = require('../src/core/prompt-service');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const { InteractionRequiredError } = PromptService;
+
+const confirm = (name, defaultAnswer) => ({ type: 'confirm', name, message: `${name}?`, default: defaultAnswer });
+
+describe('PromptService', () => {
+  let prompts;
+  let policy;
+
+  beforeEach(() => {
+    prompts = new PromptService();
+    policy = { assumeYes: false, nonInteractive: true, confirmDestructive: true, overrides: {} };
+    mock.method(prompts, 'getPolicy', async () => policy);
+    mock.method(prompts, 'isTTY', () => false);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('answers from the prompt defaults without a terminal', async () => {
+    const answers = await prompts.prompt('test.defaults', [
+      confirm('proceed', false),
+      { type: 'list', name: 'action', message: 'Action?', choices: ['merge', 'rebase'], default: 1 },
+      { type: 'checkbox', name: 'files', message: 'Files?', choices: [{ name: 'a', value: 'a.js', checked: true }, { name: 'b', value: 'b.js' }] }
+    ]);
+
+    assert.deepStrictEqual(answers, { proceed: false, action: 'rebase', files: ['a.js'] });
+  });
+
+  it('prefers per-prompt overrides from config, by question name when there are several', async () => {
+    policy.overrides = { 'test.single': 'rebase', 'test.multi': { action: 'merge' } };
+
+    assert.deepStrictEqual(await prompts.prompt('test.single', [{ type: 'list', name: 'action', choices: ['merge', 'rebase'], default: 'merge' }]), { action: 'rebase' });
+    assert.deepStrictEqual(await prompts.prompt('test.multi', [
+      { type: 'list', name: 'action', choices: ['merge', 'rebase'], default: 'rebase' },
+      confirm('push', false)
+    ]), { action: 'merge', push: false });
+  });
+
+  it('skips questions whose when() says no', async () => {
+    const answers = await prompts.prompt('test.when', [
+      confirm('proceed', false),
+      { type: 'input', name: 'reason', message: 'Why?', when: (previous) => previous.proceed }
+    ]);
+
+    assert.deepStrictEqual(answers, { proceed: false });
+  });
+
+  it('confirms with --yes unless the prompt pins a safer answer', async () => {
+    policy.assumeYes = true;
+
+    assert.deepStrictEqual(await prompts.prompt('test.yes', [confirm('proceed', false)]), { proceed: true });
+    assert.deepStrictEqual(await prompts.prompt('test.pinned', [confirm('commitAnyway', false)], { yes: false }), { commitAnyway: false });
+  });
+
+  it('does not let --yes confirm destructive actions while core.confirmDestructive is on', async () => {
+    policy.assumeYes = true;
+
+    await assert.rejects(prompts.prompt('test.destructive', [confirm('confirmed', false)], { destructive: true }), (error) => {
+      assert.ok(error instanceof InteractionRequiredError);
+      assert.strictEqual(error.promptId, 'test.destructive');
+      assert.strictEqual(error.exitCode, 3);
+      assert.match(error.message, /core\.confirmDestructive/);
+      return true;
+    });
+  });
+
+  it('confirms destructive actions without asking once core.confirmDestructive is off', async () => {
+    policy.confirmDestructive = false;
+
+    assert.deepStrictEqual(await prompts.prompt('test.destructive', [confirm('confirmed', false)], { destructive: true }), { confirmed: true });
+  });
+
+  it('fails for questions without a default answer', async () => {
+    await assert.rejects(prompts.prompt('test.input', [{ type: 'input', name: 'message', message: 'Message?' }]), /"prompts": \{ "test\.input": <answer> \}/);
+  });
+
+  it('requires a terminal for full-screen interfaces', async () => {
+    await assert.rejects(prompts.requireInteraction('test.editor', 'The editor'), InteractionRequiredError);
+  });
+});
+
+describe('easygit --non-interactive and --yes', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'First');
+    repo.commitFile('README.md', 'changed\n', 'Second');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('exits with code 3 when a destructive confirmation cannot be answered', () => {
+    const result = repo.run(['--yes', 'undo']);
+
+    assert.strictEqual(result.code, 3);
+    assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'Second');
+  });
+
+  it('takes the answer from the prompts section of the config', () => {
+    repo.configure({ prompts: { 'undo.commits': true } });
+
+    const result = repo.run(['undo']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'First');
+  });
+});
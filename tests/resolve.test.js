@@ -0,0 +1,41 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit resolve', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('notes.txt', 'start\nshared\nend\n', 'Add notes');
+    repo.git('checkout', '-q', '-b', 'feature/notes');
+    repo.commitFile('notes.txt', 'start\ntheirs\nend\n', 'Change notes on the branch');
+    repo.git('checkout', '-q', 'main');
+    repo.commitFile('notes.txt', 'start\nours\nend\n', 'Change notes on main');
+    assert.throws(() => repo.git('merge', '-q', 'feature/notes'));
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('resolves each conflict as answered and commits the merge', () => {
+    repo.configure({ prompts: { 'resolve.hunk': 'ours-theirs', 'resolve.continue': true } });
+
+    const result = repo.run(['resolve']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.read('notes.txt'), 'start\nours\ntheirs\nend\n');
+    assert.strictEqual(repo.git('rev-list', '--parents', '-1', 'HEAD').trim().split(' ').length, 3);
+    assert.strictEqual(repo.git('status', '--porcelain').trim(), '');
+  });
+
+  it('leaves skipped conflicts marked and the merge in progress', () => {
+    repo.configure({ prompts: { 'resolve.hunk': 'skip' } });
+
+    const result = repo.run(['resolve']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /1 file\(s\) still conflicted/);
+    assert.match(repo.read('notes.txt'), /^<<<<<<< /m);
+    assert.strictEqual(repo.git('status', '--porcelain').trim(), 'UU notes.txt');
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const ChangeGrouper = require('../src/core/change-grouper');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const added = (...paths) => paths.map(filePath => ({ path: filePath, status: 'A' }));
+const summarize = (groups) => groups.map(group => [group.name, group.files.map(file => file.path)]);
+
+describe('ChangeGrouper', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  it('groups by directory, below generic source roots and at package roots', async () => {
+    repo.write('packages/api/package.json', '{}');
+    const grouper = new ChangeGrouper(repo.dir);
+
+    const groups = await grouper.group(added('src/auth/login.js', 'src/auth/session.js', 'src/ui/button.js', 'packages/api/lib/server.js', 'README.md'), 'directory');
+    assert.deepStrictEqual(summarize(groups), [
+      ['(root)', ['README.md']],
+      ['packages/api', ['packages/api/lib/server.js']],
+      ['src/auth', ['src/auth/login.js', 'src/auth/session.js']],
+      ['src/ui', ['src/ui/button.js']]
+    ]);
+  });
+
+  it('groups by file type', async () => {
+    const groups = await new ChangeGrouper(repo.dir).group(added('src/a.js', 'src/a.test.js', 'docs/guide.md', '.github/workflows/ci.yml', 'package.json'), 'type');
+
+    assert.deepStrictEqual(summarize(groups), [
+      ['build', ['package.json']],
+      ['ci', ['.github/workflows/ci.yml']],
+      ['docs', ['docs/guide.md']],
+      ['source', ['src/a.js']],
+      ['tests', ['src/a.test.js']]
+    ]);
+  });
+
+  it('splits each directory by type without repeating names like "docs (docs)"', async () => {
+    const groups = await new ChangeGrouper(repo.dir).group(added('src/auth/login.js', 'src/auth/login.test.js', 'docs/guide.md'), 'directory+type');
+
+    assert.deepStrictEqual(summarize(groups), [
+      ['docs', ['docs/guide.md']],
+      ['src/auth', ['src/auth/login.js']],
+      ['src/auth (tests)', ['src/auth/login.test.js']]
+    ]);
+  });
+
+  it('keeps only known files from proposed groups and collects the rest', () => {
+    const files = added('a.js', 'b.js', 'c.js');
+    const groups = new ChangeGrouper(repo.dir).normalizeGroups([
+      { name: 'first', files: ['a.js', 'missing.js'] },
+      { name: 'again', files: ['a.js'] },
+      { files: ['b.js'] }
+    ], files);
+
+    assert.deepStrictEqual(summarize(groups), [
+      ['first', ['a.js']],
+      ['Group 2', ['b.js']],
+      ['other changes', ['c.js']]
+    ]);
+  });
+
+  it('rejects unknown strategies', async () => {
+    await assert.rejects(new ChangeGrouper(repo.dir).group([], 'size'), /Unknown split strategy: size/);
+  });
+});
+
+describe('easygit save --split', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n');
+    repo.git('checkout', '-q', '-b', 'feature/split');
+    repo.write('src/app.js', 'app\n');
+    repo.write('docs/guide.md', 'guide\n');
+  });
+
+  afterEach(() => {
+    repo.remove();
+  });
+
+  const configure = (config = {}) => repo.configure({
+    prompts: { 'save.splitReview': 'done' },
+    hooks: { preCommit: ['echo ran >> .git/hook-log'] },
+    ...config
+  });
+
+  it('commits each group separately and runs the pre-commit hooks for each', () => {
+    configure();
+
+    const result = repo.run(['save', '--split']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(repo.git('log', '--format=%s', '-2').trim().split('\n'), ['Add app.js', 'Add guide.md']);
+    assert.strictEqual(repo.git('show', '--name-only', '--format=', 'HEAD').trim(), 'src/app.js');
+    assert.strictEqual(repo.read('.git/hook-log'), 'ran\nran\n');
+  });
+
+  it('skips the pre-commit hooks with --no-hooks', () => {
+    configure();
+
+    const result = repo.run(['save', '--split', '--no-hooks']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-list', '--count', 'HEAD').trim(), '3');
+    assert.strictEqual(repo.exists('.git/hook-log'), false);
+  });
+
+  it('stops before committing when a message breaks the team rules', () => {
+    configure({ team: { commitLint: { rules: { 'subject-max-length': { max: 5 } } } } });
+
+    const result = repo.run(['save', '--split']);
+    assert.notStrictEqual(result.code, 0);
+    assert.strictEqual(repo.git('rev-list', '--count', 'HEAD').trim(), '1');
+  });
+});
+
+describe('easygit save --no-hooks', () => {
+  it('skips the pre-commit hooks for a regular save', () => {
+    const repo = createTempRepo();
+    try {
+      repo.commitFile('README.md', 'readme\n');
+      repo.git('checkout', '-q', '-b', 'feature/hooks');
+      repo.configure({ hooks: { preCommit: ['echo ran >> .git/hook-log'] } });
+      repo.write('README.md', 'changed\n');
+
+      const result = repo.run(['save', 'Update readme', '--all', '--no-hooks']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(repo.git('log', '-1', '--format=%s').trim(), 'Update readme');
+      assert.strictEqual(repo.exists('.git/hook-log'), false);
+    } finally {
+      repo.remove();
+    }
+  });
+});
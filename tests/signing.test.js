@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const GitRepository = require('../src/core/git-repository');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+const hasSshKeygen = (() => {
+  try {
+    execFileSync('ssh-keygen', ['-?'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return error.code !== 'ENOENT';
+  }
+})();
+
+describe('GitRepository signing options', () => {
+  const gitRepo = new GitRepository();
+
+  it('adds nothing while signing is off', () => {
+    assert.deepStrictEqual(gitRepo.getSigningOptions({ enabled: false, format: 'ssh' }), { config: [], args: [] });
+    assert.deepStrictEqual(gitRepo.getSigningOptions(null), { config: [], args: [] });
+  });
+
+  it('maps the signing format to gpg.format and passes the key', () => {
+    assert.deepStrictEqual(gitRepo.getSigningOptions({ enabled: true, format: 'ssh', key: '~/.ssh/id.pub' }), {
+      config: ['gpg.format=ssh'],
+      args: ['--gpg-sign=~/.ssh/id.pub']
+    });
+    assert.deepStrictEqual(gitRepo.getSigningOptions({ enabled: true, format: 'gpg' }), {
+      config: ['gpg.format=openpgp'],
+      args: ['--gpg-sign']
+    });
+  });
+});
+
+describe('signing and protected branches', () => {
+  let remote;
+  let repo;
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    repo.git('push', '-q', '-u', 'origin', 'main');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    remote.remove();
+  });
+
+  it('warns about unsigned commits pushed to a protected branch but still pushes them', () => {
+    const head = repo.commitFile('app.js', 'app\n', 'Add app');
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /1 unsigned commit\(s\) about to be pushed to protected branch "main"/);
+    assert.strictEqual(remote.git('rev-parse', 'main').trim(), head);
+  });
+
+  it('refuses unsigned commits on a protected branch when core.signCommits is on', () => {
+    const pushed = remote.git('rev-parse', 'main').trim();
+    repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.configure({ core: { signCommits: true } });
+
+    const result = repo.run(['sync']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout + result.stderr, /core\.signCommits requires signed commits/);
+    assert.strictEqual(remote.git('rev-parse', 'main').trim(), pushed);
+  });
+
+  it('signs commits made by save with an SSH key and pushes them without a warning', { skip: !hasSshKeygen }, () => {
+    execFileSync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-f', repo.file('.git/signing-key')]);
+    repo.configure({ core: { signCommits: true, signingFormat: 'ssh', signingKey: repo.file('.git/signing-key.pub') } });
+    repo.git('checkout', '-q', '-b', 'feature/signed');
+    repo.write('README.md', 'signed\n');
+
+    const save = repo.run(['save', 'Update readme', '--all']);
+    assert.strictEqual(save.code, 0, save.stderr);
+    assert.match(repo.git('cat-file', 'commit', 'HEAD'), /^gpgsig -----BEGIN SSH SIGNATURE-----/m);
+
+    repo.git('checkout', '-q', 'main');
+    repo.git('merge', '-q', '--ff-only', 'feature/signed');
+    const sync = repo.run(['sync']);
+    assert.strictEqual(sync.code, 0, sync.stderr);
+    assert.doesNotMatch(sync.stdout, /unsigned commit/);
+    assert.strictEqual(remote.git('log', '-1', '--format=%s', 'main').trim(), 'Update readme');
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GitRepository = require('../src/core/git-repository');
+const SubmoduleManager = require('../src/core/submodule-manager');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+// git refuses file:// submodules unless told otherwise
+const ALLOW_FILE_PROTOCOL = { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'protocol.file.allow', GIT_CONFIG_VALUE_0: 'always' };
+
+describe('submodules', () => {
+  let lib;
+  let repo;
+  let v1;
+
+  beforeEach(() => {
+    lib = createTempRepo();
+    v1 = lib.commitFile('lib.js', 'v1\n', 'Lib v1');
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', lib.dir, 'lib');
+    repo.commit('Add lib');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    lib.remove();
+  });
+
+  const inLib = (...args) => repo.git('-C', 'lib', ...args);
+  // Commits inside the submodule checkout, optionally pushing to its remote
+  const commitInLib = (content, push) => {
+    repo.write('lib/lib.js', content);
+    inLib('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-am', `Lib ${content.trim()}`);
+    if (push) {
+      inLib('push', '-q', 'origin', 'HEAD:refs/heads/next');
+      inLib('fetch', '-q', 'origin');
+    }
+    return inLib('rev-parse', 'HEAD').trim();
+  };
+
+  const manager = async () => {
+    const gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+    return new SubmoduleManager(gitRepo);
+  };
+
+  it('reads recorded commits and the state of each checkout', async () => {
+    const submodules = await manager();
+    assert.deepStrictEqual(await submodules.getRecordedShas('HEAD'), { lib: v1 });
+    assert.deepStrictEqual(await submodules.getRecordedShas('HEAD~1'), {});
+
+    commitInLib('v2\n', false);
+    const [status] = await submodules.getStatus();
+    assert.strictEqual(status.path, 'lib');
+    assert.strictEqual(status.recorded, v1);
+    assert.notStrictEqual(status.checkedOut, v1);
+    assert.strictEqual(status.ahead, 1);
+    assert.strictEqual(status.dirty, false);
+  });
+
+  it('finds staged pointers to commits the submodule remote does not have', async () => {
+    const unpushed = commitInLib('v2\n', false);
+    repo.git('add', 'lib');
+    assert.deepStrictEqual(await (await manager()).findUnpushedPointers(), [{ path: 'lib', sha: unpushed }]);
+
+    commitInLib('v3\n', true);
+    repo.git('add', 'lib');
+    assert.deepStrictEqual(await (await manager()).findUnpushedPointers(), []);
+  });
+
+  it('warns on save when the new pointer is not pushed', () => {
+    repo.git('checkout', '-q', '-b', 'feature/lib');
+    commitInLib('v2\n', false);
+
+    const result = repo.run(['save', 'Bump lib', '--all']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Submodule pointers moved to commits that are not on the submodule's remote/);
+  });
+
+  it('moves submodules along when switch changes the recorded commit', () => {
+    repo.git('checkout', '-q', '-b', 'feature/lib');
+    commitInLib('v2\n', true);
+    repo.git('commit', '-q', '-am', 'Bump lib');
+
+    const result = repo.run(['switch', 'main'], ALLOW_FILE_PROTOCOL);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Updated submodules: lib/);
+    assert.strictEqual(inLib('rev-parse', 'HEAD').trim(), v1);
+    assert.strictEqual(repo.git('status', '--porcelain').trim(), '');
+  });
+
+  it('lists submodules that are behind their recorded commit in status', () => {
+    commitInLib('v2\n', false);
+
+    const result = repo.run(['status']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /lib checked out [0-9a-f]{8}, recorded [0-9a-f]{8}, 1 unpushed commit\(s\)/);
+  });
+});
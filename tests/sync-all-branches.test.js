@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit sync --all-branches', () => {
+  let remote;
+  let repo;
+  const upstream = {};
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    for (const branch of ['dev', 'diverged', 'old']) {
+      repo.git('branch', branch);
+      repo.git('push', '-q', '-u', 'origin', branch);
+    }
+    repo.git('push', '-q', '-u', 'origin', 'main');
+    repo.git('branch', '-q', '--track', 'topic', 'dev');
+
+    // Moves the remote branch one commit ahead of the local one
+    const advanceRemote = (branch) => {
+      repo.git('checkout', '-q', branch);
+      upstream[branch] = repo.commitFile(`${branch}.txt`, `${branch}\n`, `Update ${branch}`);
+      repo.git('push', '-q', 'origin', branch);
+      repo.git('reset', '-q', '--hard', 'HEAD~1');
+    };
+    advanceRemote('dev');
+    advanceRemote('diverged');
+    repo.commitFile('local.txt', 'local\n', 'Local work');
+    advanceRemote('main');
+    remote.git('branch', '-D', 'old');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    remote.remove();
+  });
+
+  const tip = (branch) => repo.git('rev-parse', branch).trim();
+  const row = (output, branch) => output.split('\n').find(line => line.trim().startsWith(`${branch} `));
+
+  it('fast-forwards every branch it can without checking them out', () => {
+    const diverged = tip('diverged');
+
+    const result = repo.run(['sync', '--all-branches']);
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    assert.strictEqual(tip('main'), upstream.main);
+    assert.strictEqual(repo.read('main.txt'), 'main\n');
+    assert.strictEqual(tip('dev'), upstream.dev);
+    assert.strictEqual(tip('topic'), upstream.dev, 'branches tracking a local branch follow it in the same run');
+    assert.strictEqual(tip('diverged'), diverged);
+    assert.strictEqual(repo.git('branch', '--show-current').trim(), 'main');
+
+    assert.match(row(result.stdout, 'diverged'), /diverged\s+1 ahead, 1 behind origin\/diverged/);
+    assert.match(row(result.stdout, 'old'), /upstream gone/);
+    assert.match(result.stdout, /3 updated, 0 current, 1 diverged, 1 upstream gone, 0 skipped/);
+  });
+
+  it('skips branches checked out elsewhere or with uncommitted changes here', () => {
+    repo.git('worktree', 'add', '-q', repo.file('.git/dev-worktree'), 'dev');
+    repo.write('README.md', 'uncommitted\n');
+    const main = tip('main');
+
+    const result = repo.run(['sync', '--all-branches']);
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    assert.strictEqual(tip('main'), main);
+    assert.notStrictEqual(tip('dev'), upstream.dev);
+    assert.match(row(result.stdout, 'main'), /skipped\s+checked out here with uncommitted changes/);
+    assert.match(row(result.stdout, 'dev'), /skipped\s+checked out in .*dev-worktree/);
+  });
+
+  it('only reports what would change with --dry-run', () => {
+    const dev = tip('dev');
+
+    const result = repo.run(['sync', '--all-branches', '--dry-run']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(tip('dev'), dev);
+    assert.match(row(result.stdout, 'dev'), /would update/);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit sync --dry-run', () => {
+  let remote;
+  let repo;
+  let base;
+  let incoming;
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('notes.txt', 'notes\n', 'Add notes');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    repo.git('checkout', '-q', '-b', 'feature/preview');
+    base = repo.git('rev-parse', 'HEAD').trim();
+    repo.git('push', '-q', '-u', 'origin', 'feature/preview');
+
+    // Someone else pushed a commit this clone has not fetched yet
+    incoming = repo.commitFile('notes.txt', 'theirs\n', 'Change notes remotely');
+    repo.git('push', '-q', 'origin', 'feature/preview');
+    repo.git('reset', '-q', '--hard', base);
+    repo.git('update-ref', 'refs/remotes/origin/feature/preview', base);
+  });
+
+  afterEach(() => {
+    repo.remove();
+    remote.remove();
+  });
+
+  const preview = () => {
+    const result = repo.run(['sync', '--dry-run', '--json']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    return JSON.parse(result.stdout);
+  };
+
+  it('previews incoming commits from the remote without fetching them', () => {
+    repo.write('notes.txt', 'uncommitted\n');
+
+    const plan = preview();
+    assert.strictEqual(plan.status, 'behind');
+    assert.deepStrictEqual(plan.incoming.map(commit => [commit.hash, commit.subject, commit.files]), [[incoming, 'Change notes remotely', ['notes.txt']]]);
+    assert.deepStrictEqual(plan.stashConflicts, ['notes.txt']);
+    assert.deepStrictEqual(plan.actions, [
+      'Stash uncommitted changes before sync',
+      'Fast-forward 1 commits from origin/feature/preview',
+      'Restore stashed changes after sync'
+    ]);
+
+    assert.strictEqual(repo.git('rev-parse', 'origin/feature/preview').trim(), base);
+    assert.strictEqual(repo.git('for-each-ref', 'refs/easygit/preview').trim(), '');
+    assert.strictEqual(repo.read('notes.txt'), 'uncommitted\n');
+  });
+
+  it('predicts conflicts for diverged branches', () => {
+    const outgoing = repo.commitFile('notes.txt', 'ours\n', 'Change notes locally');
+
+    const plan = preview();
+    assert.strictEqual(plan.status, 'diverged');
+    assert.strictEqual(plan.ahead, 1);
+    assert.strictEqual(plan.behind, 1);
+    assert.deepStrictEqual(plan.outgoing.map(commit => commit.hash), [outgoing]);
+    assert.deepStrictEqual(plan.conflicts, ['notes.txt']);
+    assert.strictEqual(repo.git('rev-parse', 'HEAD').trim(), outgoing);
+  });
+
+  it('falls back to the last fetched state when the remote cannot be reached', () => {
+    repo.git('remote', 'set-url', 'origin', repo.file('.git/missing-remote'));
+
+    const plan = preview();
+    assert.strictEqual(plan.status, 'up-to-date');
+    assert.match(plan.warnings[0], /Could not fetch origin .*; using the last fetched state/);
+  });
+});
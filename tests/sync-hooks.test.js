@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit sync hooks', () => {
+  let remote;
+  let repo;
+  let base;
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    repo.git('checkout', '-q', '-b', 'feature/hooks');
+    base = repo.git('rev-parse', 'HEAD').trim();
+    repo.git('push', '-q', '-u', 'origin', 'feature/hooks');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    remote.remove();
+  });
+
+  const log = 'echo "$EASYGIT_BRANCH $EASYGIT_REMOTE_REF $EASYGIT_REMOTE_SHA $EASYGIT_LOCAL_SHA $EASYGIT_PUSH_RANGE" >> .git/hook-log';
+
+  it('runs prePush hooks with the range being pushed', () => {
+    const head = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.configure({ hooks: { prePush: [log] } });
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.read('.git/hook-log'), `feature/hooks refs/heads/feature/hooks ${base} ${head} origin/feature/hooks..feature/hooks\n`);
+    assert.strictEqual(remote.git('rev-parse', 'feature/hooks').trim(), head);
+  });
+
+  it('does not push when a prePush hook fails', () => {
+    repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.configure({ hooks: { prePush: ['exit 1'] } });
+
+    const result = repo.run(['sync']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout + result.stderr, /prePush hook failed: exit 1 \(exit code 1\)/);
+    assert.strictEqual(remote.git('rev-parse', 'feature/hooks').trim(), base);
+  });
+
+  it('runs postMerge hooks once remote commits are in, and only warns when they fail', () => {
+    const head = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.git('push', '-q', 'origin', 'feature/hooks');
+    repo.git('reset', '-q', '--hard', base);
+    repo.configure({ hooks: { postMerge: ['echo "$EASYGIT_STRATEGY $EASYGIT_MERGE_RANGE" >> .git/hook-log', 'exit 1'] } });
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.read('.git/hook-log'), `rebase ${base}..${head}\n`);
+    assert.match(result.stderr, /Warning: postMerge hook failed: exit 1/);
+    assert.strictEqual(repo.git('rev-parse', 'HEAD').trim(), head);
+  });
+});
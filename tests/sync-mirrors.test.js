@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit sync with mirrors', () => {
+  let origin;
+  let mirror;
+  let repo;
+
+  beforeEach(() => {
+    origin = createTempRepo({ bare: true });
+    mirror = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('remote', 'add', 'origin', origin.dir);
+    repo.git('remote', 'add', 'mirror', mirror.dir);
+    repo.git('checkout', '-q', '-b', 'feature/mirrored');
+    repo.git('push', '-q', '-u', 'origin', 'feature/mirrored');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    mirror.remove();
+    origin.remove();
+  });
+
+  it('pushes the branch to every mirror after the primary', () => {
+    const head = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.git('tag', '-a', 'v1.0.0', '-m', 'Release 1.0.0');
+    repo.configure({ sync: { pushRemotes: ['origin', 'mirror'], mirrorTags: true } });
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(origin.git('rev-parse', 'feature/mirrored').trim(), head);
+    assert.strictEqual(mirror.git('rev-parse', 'feature/mirrored').trim(), head);
+    assert.strictEqual(mirror.git('tag', '--list').trim(), 'v1.0.0');
+    assert.match(result.stdout, /origin\s+✓ pushed \(primary\)\n\s+mirror\s+✓ pushed/);
+  });
+
+  it('reports mirrors that fail without undoing the primary push', () => {
+    const head = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.configure({ sync: { pushRemotes: ['mirror', 'backup'] } });
+    // The mirror rejects every push
+    fs.writeFileSync(mirror.file('hooks/pre-receive'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(origin.git('rev-parse', 'feature/mirrored').trim(), head);
+    assert.match(result.stdout, /backup\s+✗ remote is not configured in this repository/);
+    assert.match(result.stdout, /mirror\s+✗ /);
+    assert.match(result.stdout, /Some mirrors were not updated; origin already has your commits/);
+  });
+});
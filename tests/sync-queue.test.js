@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncQueue = require('../src/core/sync-queue');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('SyncQueue', () => {
+  let dir;
+  let queue;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easygit-queue-'));
+    queue = new SyncQueue(path.join(dir, 'sync-queue.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps only the options worth replaying', async () => {
+    const { operation } = await queue.add({ workingDir: '/work/app', branch: 'main', options: { remote: 'origin', rebase: true, dryRun: false, parent: {} } });
+
+    assert.deepStrictEqual(operation.options, { remote: 'origin', rebase: true });
+    assert.strictEqual(operation.status, 'pending');
+  });
+
+  it('replaces an earlier entry for the same branch but keeps --all-branches apart', async () => {
+    const first = await queue.add({ workingDir: '/work/app', branch: 'main', options: {} });
+    await queue.add({ workingDir: '/work/app', branch: 'main', options: { allBranches: true } });
+    const second = await queue.add({ workingDir: '/work/app/', branch: 'main', options: { merge: true } });
+
+    assert.strictEqual(second.replaced.id, first.operation.id);
+    assert.deepStrictEqual((await queue.list()).map(entry => [entry.branch, entry.options]), [
+      ['main', { allBranches: true }],
+      ['main', { merge: true }]
+    ]);
+  });
+
+  it('drops older duplicates written by earlier versions', async () => {
+    fs.writeFileSync(queue.queueFile, JSON.stringify([
+      { id: 'a', timestamp: '2024-01-01T00:00:00.000Z', workingDir: '/work/app', branch: 'main', options: {} },
+      { id: 'b', timestamp: '2024-01-02T00:00:00.000Z', workingDir: '/work/app', branch: 'main', options: {} },
+      { id: 'c', timestamp: '2024-01-01T00:00:00.000Z', workingDir: '/work/app', branch: 'dev', options: {} }
+    ]));
+
+    assert.strictEqual(await queue.dedupe(), 1);
+    assert.deepStrictEqual((await queue.list()).map(entry => [entry.id, entry.status]), [['b', 'pending'], ['c', 'pending']]);
+  });
+
+  it('finds entries by a unique id prefix', async () => {
+    fs.writeFileSync(queue.queueFile, JSON.stringify([
+      { id: 'abc1', workingDir: '/a', branch: 'main' },
+      { id: 'abd2', workingDir: '/b', branch: 'main' }
+    ]));
+
+    assert.strictEqual((await queue.find('abc')).id, 'abc1');
+    await assert.rejects(queue.find('ab'), /ambiguous \(abc1, abd2\)/);
+    await assert.rejects(queue.find('x'), /No queued sync with id "x"/);
+  });
+
+  it('records failures for the next retry', async () => {
+    const { operation } = await queue.add({ workingDir: '/work/app', branch: 'main', options: {} });
+    await queue.recordFailure(operation.id, new Error('offline'));
+
+    const [entry] = await queue.list();
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.attempts, 1);
+    assert.strictEqual(entry.lastError, 'offline');
+  });
+});
+
+describe('easygit sync --process-queue', () => {
+  let remote;
+  let repo;
+  let other;
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    other = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    repo.git('push', '-q', '-u', 'origin', 'main');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    other.remove();
+    remote.remove();
+  });
+
+  const queueFile = () => path.join(repo.home, '.easygit', 'sync-queue.json');
+  const queueEntry = (branch, options) => {
+    fs.mkdirSync(path.dirname(queueFile()), { recursive: true });
+    fs.writeFileSync(queueFile(), JSON.stringify([{
+      id: 'q1',
+      timestamp: new Date().toISOString(),
+      workingDir: repo.dir,
+      branch,
+      options,
+      status: 'pending',
+      attempts: 0,
+      lastError: null
+    }]));
+  };
+  const queued = () => JSON.parse(fs.readFileSync(queueFile(), 'utf8'));
+
+  // Replays from another repository, the way a user would after coming back online
+  const processQueue = () => other.run(['sync', '--process-queue'], { HOME: repo.home });
+
+  it('replays an --all-branches sync whichever branch is checked out', () => {
+    const behind = repo.git('rev-parse', 'HEAD').trim();
+    const ahead = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.git('push', '-q', 'origin', 'main');
+    repo.git('reset', '-q', '--hard', behind);
+    repo.git('checkout', '-q', '-b', 'feature/elsewhere');
+    queueEntry('feature/offline', { remote: 'origin', allBranches: true });
+
+    const result = processQueue();
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-parse', 'main').trim(), ahead);
+    assert.deepStrictEqual(queued(), []);
+  });
+
+  it('still refuses a branch sync while another branch is checked out', () => {
+    repo.git('checkout', '-q', '-b', 'feature/elsewhere');
+    queueEntry('main', { remote: 'origin' });
+
+    processQueue();
+    const [entry] = queued();
+    assert.strictEqual(entry.status, 'failed');
+    assert.match(entry.lastError, /Repository is on "feature\/elsewhere", not "main"/);
+  });
+
+  it('answers prompts from the queued repository\'s config', () => {
+    repo.git('checkout', '-q', '-b', 'feature/offline');
+    repo.commitFile('remote.txt', 'remote\n', 'Remote change');
+    repo.git('push', '-q', '-u', 'origin', 'feature/offline');
+    repo.git('reset', '-q', '--hard', 'HEAD~1');
+    repo.commitFile('local.txt', 'local\n', 'Local change');
+    repo.configure({ prompts: { 'sync.diverged': 'merge' } });
+    queueEntry('feature/offline', { remote: 'origin' });
+
+    const result = processQueue();
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-list', '--parents', '-1', 'HEAD').trim().split(' ').length, 3);
+    assert.deepStrictEqual(queued(), []);
+  });
+});
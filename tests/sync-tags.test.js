@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('easygit sync --tags', () => {
+  let remote;
+  let repo;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    remote = createTempRepo({ bare: true });
+    repo = createTempRepo();
+    first = repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    second = repo.commitFile('app.js', 'app\n', 'Add app');
+    repo.git('remote', 'add', 'origin', remote.dir);
+    repo.git('push', '-q', '-u', 'origin', 'main');
+
+    // v0.9 only on the remote, v1.0 only here, "release" on different commits
+    repo.git('tag', 'v0.9', first);
+    repo.git('tag', 'release', first);
+    repo.git('push', '-q', 'origin', 'v0.9', 'release');
+    repo.git('tag', '-d', 'v0.9');
+    repo.git('tag', '-f', 'release', second);
+    repo.git('tag', '-a', 'v1.0', '-m', 'Release 1.0');
+  });
+
+  afterEach(() => {
+    repo.remove();
+    remote.remove();
+  });
+
+  const tag = (git, name) => git('rev-parse', `${name}^{commit}`).trim();
+
+  it('pushes and fetches missing tags and leaves conflicting ones alone by default', () => {
+    const result = repo.run(['sync', '--tags']);
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    assert.strictEqual(tag(remote.git, 'v1.0'), second);
+    assert.strictEqual(tag(repo.git, 'v0.9'), first);
+    assert.strictEqual(tag(repo.git, 'release'), second);
+    assert.strictEqual(tag(remote.git, 'release'), first);
+    assert.match(result.stdout, /Left 1 conflicting tag\(s\) as they are: release/);
+  });
+
+  it('takes a conflicting tag from the remote when asked', () => {
+    repo.configure({ prompts: { 'sync.tagConflict': 'fetch' } });
+
+    const result = repo.run(['sync', '--tags']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(tag(repo.git, 'release'), first);
+  });
+
+  it('overwrites a remote tag only after a second confirmation', () => {
+    repo.configure({ prompts: { 'sync.tagConflict': 'push', 'sync.overwriteRemoteTag': true } });
+
+    const result = repo.run(['sync', '--tags']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(tag(remote.git, 'release'), second);
+  });
+
+  it('does not move tags on the remote with --yes alone', () => {
+    repo.configure({ prompts: { 'sync.tagConflict': 'push' } });
+
+    const result = repo.run(['--yes', 'sync', '--tags']);
+    assert.strictEqual(result.code, 3);
+    assert.strictEqual(tag(remote.git, 'release'), first);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const GitRepository = require('../src/core/git-repository');
+const TriangularWorkflow = require('../src/core/triangular-workflow');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+// A clone of a fork: "upstream" is the project, "origin" the fork
+const createFork = () => {
+  const upstream = createTempRepo({ bare: true });
+  const fork = createTempRepo({ bare: true });
+  const repo = createTempRepo();
+  repo.commitFile('README.md', 'readme\n', 'Initial commit');
+  repo.git('remote', 'add', 'origin', fork.dir);
+  repo.git('remote', 'add', 'upstream', upstream.dir);
+  repo.git('push', '-q', 'origin', 'main');
+  repo.git('push', '-q', 'upstream', 'main');
+
+  // Lands a commit on upstream's main that the clone has not seen
+  const advanceUpstream = () => {
+    const base = repo.git('rev-parse', 'main').trim();
+    repo.git('checkout', '-q', 'main');
+    const head = repo.commitFile('upstream.txt', 'upstream\n', 'Upstream change');
+    repo.git('push', '-q', 'upstream', 'main');
+    repo.git('reset', '-q', '--hard', base);
+    return head;
+  };
+
+  return { upstream, fork, repo, advanceUpstream, remove: () => [repo, fork, upstream].forEach(entry => entry.remove()) };
+};
+
+describe('TriangularWorkflow', () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFork();
+  });
+
+  afterEach(() => {
+    setup.remove();
+  });
+
+  const workflow = async () => {
+    const gitRepo = new GitRepository(setup.repo.dir);
+    await gitRepo.initialize();
+    return new TriangularWorkflow(gitRepo);
+  };
+
+  it('finds a remote named "upstream" and integrates from its default branch', async () => {
+    setup.repo.git('checkout', '-q', '-b', 'feature/fork');
+    const triangular = await workflow();
+
+    assert.strictEqual(await triangular.getUpstreamRemote(), 'upstream');
+    assert.deepStrictEqual(await triangular.getIntegrationSource('feature/fork', 'upstream'), { remote: 'upstream', branch: 'main' });
+  });
+
+  it('integrates branches that track upstream from their own upstream branch', async () => {
+    setup.repo.git('push', '-q', 'upstream', 'main:release');
+    setup.repo.git('fetch', '-q', 'upstream');
+    setup.repo.git('checkout', '-q', '-b', 'release', '--track', 'upstream/release');
+
+    assert.deepStrictEqual(await (await workflow()).getIntegrationSource('release', 'upstream'), { remote: 'upstream', branch: 'release' });
+  });
+
+  it('describes where a branch stands against upstream and the fork', async () => {
+    setup.advanceUpstream();
+    setup.repo.git('fetch', '-q', 'upstream');
+    setup.repo.git('checkout', '-q', '-b', 'feature/fork');
+    setup.repo.commitFile('fork.txt', 'fork\n', 'Fork change');
+
+    const state = await (await workflow()).describe('feature/fork');
+    assert.deepStrictEqual(state.base, { ref: 'upstream/main', ahead: 1, behind: 1 });
+    assert.deepStrictEqual(state.fork, { ref: 'origin/feature/fork', exists: false, ahead: 0, behind: 0 });
+  });
+
+  it('is off when sync.upstreamRemote is false or names a missing remote', async () => {
+    // Project config is read from the working directory
+    const cwd = process.cwd();
+    process.chdir(setup.repo.dir);
+    try {
+      setup.repo.configure({ sync: { upstreamRemote: false } });
+      assert.strictEqual(await (await workflow()).describe('main'), null);
+
+      setup.repo.configure({ sync: { upstreamRemote: 'project' } });
+      await assert.rejects((await workflow()).getUpstreamRemote(), /Upstream remote "project" does not exist/);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
+
+describe('easygit sync in a fork', () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFork();
+  });
+
+  afterEach(() => {
+    setup.remove();
+  });
+
+  it('rebases onto upstream and pushes the branch to the fork', () => {
+    const { repo, fork, upstream } = setup;
+    const upstreamHead = setup.advanceUpstream();
+    repo.git('checkout', '-q', '-b', 'feature/fork');
+    repo.commitFile('fork.txt', 'fork\n', 'Fork change');
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-parse', 'HEAD~1').trim(), upstreamHead);
+    assert.strictEqual(fork.git('rev-parse', 'feature/fork').trim(), repo.git('rev-parse', 'HEAD').trim());
+    assert.throws(() => upstream.git('rev-parse', '--verify', '--quiet', 'feature/fork'));
+  });
+
+  it('force-pushes to the fork once rebasing rewrote what it already had', () => {
+    const { repo, fork } = setup;
+    repo.git('checkout', '-q', '-b', 'feature/fork');
+    repo.commitFile('fork.txt', 'fork\n', 'Fork change');
+    repo.git('push', '-q', '-u', 'origin', 'feature/fork');
+    const upstreamHead = setup.advanceUpstream();
+    repo.git('checkout', '-q', 'feature/fork');
+    repo.configure({ prompts: { 'sync.forcePush': true } });
+
+    const result = repo.run(['sync']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(fork.git('rev-parse', 'feature/fork~1').trim(), upstreamHead);
+  });
+});
+
+describe('easygit sync --upstream', () => {
+  let setup;
+
+  beforeEach(() => {
+    setup = createFork();
+  });
+
+  afterEach(() => {
+    setup.remove();
+  });
+
+  it('fast-forwards the default branch from upstream and pushes it to the fork', () => {
+    const { repo, fork } = setup;
+    const upstreamHead = setup.advanceUpstream();
+    repo.git('checkout', '-q', '-b', 'feature/fork');
+
+    const result = repo.run(['sync', '--upstream']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-parse', 'main').trim(), upstreamHead);
+    assert.strictEqual(fork.git('rev-parse', 'main').trim(), upstreamHead);
+  });
+
+  it('follows the push policy for the fork\'s protected default branch', () => {
+    const { repo, fork } = setup;
+    const forkHead = fork.git('rev-parse', 'main').trim();
+    setup.advanceUpstream();
+    repo.configure({ team: { requirePullRequests: true } });
+
+    const result = repo.run(['sync', '--upstream']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout + result.stderr, /Refused by team policy: "main" is protected/);
+    assert.strictEqual(fork.git('rev-parse', 'main').trim(), forkHead);
+  });
+
+  it('refuses to overwrite commits that only the fork has', () => {
+    const { repo, fork } = setup;
+    setup.advanceUpstream();
+    repo.git('checkout', '-q', '-b', 'feature/fork');
+    repo.commitFile('fork.txt', 'fork\n', 'Fork only');
+    repo.git('push', '-q', 'origin', 'HEAD:main');
+    const forkHead = fork.git('rev-parse', 'main').trim();
+
+    const result = repo.run(['sync', '--upstream']);
+    assert.notStrictEqual(result.code, 0);
+    assert.match(result.stdout + result.stderr, /origin\/main has 1 commit\(s\) that are not in upstream\/main/);
+    assert.strictEqual(fork.git('rev-parse', 'main').trim(), forkHead);
+  });
+});
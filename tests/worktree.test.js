@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const GitRepository = require('../src/core/git-repository');
+const WorktreeManager = require('../src/core/worktree-manager');
+const { createTempRepo } = require('./helpers/temp-repo');
+
+describe('worktrees', () => {
+  let repo;
+  let worktreesDir;
+
+  beforeEach(() => {
+    repo = createTempRepo();
+    repo.commitFile('README.md', 'readme\n', 'Initial commit');
+    repo.git('branch', 'feature/login');
+    // The default worktree.directory puts worktrees next to the repository
+    worktreesDir = `${repo.dir}.worktrees`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(worktreesDir, { recursive: true, force: true });
+    repo.remove();
+  });
+
+  const loginWorktree = () => path.join(worktreesDir, 'feature-login');
+  const manager = async () => {
+    const gitRepo = new GitRepository(repo.dir);
+    await gitRepo.initialize();
+    return new WorktreeManager(gitRepo);
+  };
+
+  it('lists worktrees with their branches, the main one first', async () => {
+    repo.git('worktree', 'add', '-q', loginWorktree(), 'feature/login');
+    repo.git('worktree', 'add', '-q', '--detach', path.join(worktreesDir, 'other'));
+
+    const worktrees = await (await manager()).list();
+    assert.deepStrictEqual(worktrees.map(worktree => [worktree.main, worktree.branch, worktree.detached]), [
+      [true, 'main', false],
+      [false, 'feature/login', false],
+      [false, null, true]
+    ]);
+    assert.deepStrictEqual(Object.keys(await (await manager()).getBranchesElsewhere()), ['feature/login']);
+  });
+
+  it('checks a branch out in its own worktree with switch --worktree', () => {
+    const result = repo.run(['switch', 'feature/login', '--worktree']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /'feature\/login' is now checked out in .*feature-login/);
+    assert.strictEqual(repo.git('-C', loginWorktree(), 'branch', '--show-current').trim(), 'feature/login');
+    assert.strictEqual(repo.git('branch', '--show-current').trim(), 'main');
+  });
+
+  it('creates new branches from HEAD for switch --worktree', () => {
+    const result = repo.run(['switch', 'feature/new', '--worktree']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(repo.git('rev-parse', 'feature/new').trim(), repo.git('rev-parse', 'main').trim());
+    assert.ok(fs.existsSync(path.join(worktreesDir, 'feature-new')));
+  });
+
+  it('points to the worktree that already holds a branch instead of switching', () => {
+    repo.git('worktree', 'add', '-q', loginWorktree(), 'feature/login');
+
+    const result = repo.run(['switch', 'feature/login']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /'feature\/login' is checked out in .*feature-login/);
+    assert.strictEqual(repo.git('branch', '--show-current').trim(), 'main');
+  });
+
+  it('lists, prunes and removes worktrees', () => {
+    repo.git('worktree', 'add', '-q', loginWorktree(), 'feature/login');
+    repo.git('worktree', 'add', '-q', '-b', 'feature/gone', path.join(worktreesDir, 'gone'));
+    fs.rmSync(path.join(worktreesDir, 'gone'), { recursive: true, force: true });
+    fs.writeFileSync(path.join(loginWorktree(), 'README.md'), 'changed\n');
+
+    const list = repo.run(['worktree', 'list']);
+    assert.strictEqual(list.code, 0, list.stderr);
+    assert.match(list.stdout, /feature\/login\s+.*uncommitted changes/);
+    assert.match(list.stdout, /feature\/gone\s+.*stale/);
+
+    const prune = repo.run(['worktree', 'prune']);
+    assert.strictEqual(prune.code, 0, prune.stderr);
+    assert.doesNotMatch(repo.git('worktree', 'list'), /gone/);
+
+    const refused = repo.run(['worktree', 'remove', 'feature/login']);
+    assert.notStrictEqual(refused.code, 0);
+    assert.match(refused.stdout + refused.stderr, /has uncommitted changes/);
+
+    repo.configure({ prompts: { 'worktree.removeDirty': true } });
+    const removed = repo.run(['worktree', 'remove', 'feature/login', '--force']);
+    assert.strictEqual(removed.code, 0, removed.stderr);
+    assert.strictEqual(fs.existsSync(loginWorktree()), false);
+    assert.strictEqual(repo.git('rev-parse', '--verify', '--quiet', 'feature/login').trim().length, 40);
+  });
+});